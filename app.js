@@ -2,16 +2,203 @@ const express = require('express');
 const path = require('path');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const { createBackendProxy, sendError, relay, relayError, clearSessionCookie } = require('./lib/proxy');
+const { parseListQuery, toListResponse, MAX_PAGE_SIZE } = require('./lib/incidentQuery');
+const { createIncidentEvents } = require('./lib/incidentEvents');
+const { createIncidentHistory, diffFields } = require('./lib/incidentHistory');
+const incidentStats = require('./lib/incidentStats');
+const { createIncidentComments } = require('./lib/incidentComments');
+const { createJsonStore } = require('./lib/jsonStore');
+const { actorFromToken, sessionFromToken, isExpired, rolesFromClaims, decodeJwt } = require('./lib/jwt');
+const { normalizeRoles, can, permissionsFor, requirePermission, requireConfirmedSession } = require('./lib/permissions');
+const { createSessionCheck } = require('./lib/sessionCheck');
+const { createMemoryStore, createRateLimiter, DEFAULT_LOCKOUT } = require('./lib/rateLimit');
+const { checkPassword } = require('./lib/passwordPolicy');
+const bulk = require('./lib/bulk');
+const transfer = require('./lib/incidentTransfer');
+const { versionOf, ifMatchSatisfied } = require('./lib/incidentVersion');
+const { createRegistry, requestMetrics, backendMetrics, routeLabel } = require('./lib/metrics');
+const { createReadinessProbe, backendCheck } = require('./lib/health');
+const { createSessionTracker } = require('./lib/sessionTracker');
+const { createLogger, isValidRequestId, accessLog } = require('./lib/logger');
+const incidentModel = require('./lib/incidentModel');
+const { validate, validateBody } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { securityHeaders } = require('./lib/securityHeaders');
+const { createCsrfProtection } = require('./lib/csrf');
+const { cors } = require('./lib/cors');
+const { loadConfig, ConfigError } = require('./lib/config');
+const { createShutdown } = require('./lib/shutdown');
+const { createWebhooks, DELIVERY_STATUSES } = require('./lib/webhooks');
+
+// All settings come from the environment and the optional CONFIG_FILE (see lib/config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  // When required (tests), rethrow so the caller sees the error; when run directly, log it and exit
+  if (!(error instanceof ConfigError) || require.main !== module) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
-const port = process.env.PORT || 8080;
 
-// Get backend API URL from environment variable
-const BACKEND_API_URL = process.env.BACKEND_API_URL || 'http://localhost:3000';
+// JSON lines on stdout; LOG_LEVEL is error, warn, info (default), debug or silent
+const logger = createLogger({ level: config.logLevel });
+
+// Prometheus metrics served on /metrics
+const metrics = createRegistry();
+
+// Single backend client shared by every proxy route
+const backend = createBackendProxy({
+  baseUrl: config.backendUrl,
+  timeoutMs: config.backendTimeoutMs,
+  retries: config.backendRetries,
+  onAttempt: backendMetrics(metrics),
+});
+
+// Backend reachability for /readyz, probed at most once per readinessCacheMs
+const readiness = createReadinessProbe({
+  check: backendCheck(backend, config.backendHealthPath),
+  cacheMs: config.readinessCacheMs,
+});
+
+// Confirms tokens with the backend before data only the proxy holds is served (see lib/permissions.js)
+const sessionCheck = createSessionCheck({
+  backend,
+  path: config.backendSessionPath,
+  cacheMs: config.sessionCheckCacheMs,
+  // Only sessions the backend accepted count towards active_sessions
+  onConfirm: (token) => activeSessions.touch(token),
+});
+const requireBackendSession = requireConfirmedSession(sessionCheck);
+
+// Fan-out of incident changes to dashboards subscribed to /api/incidents/stream
+const incidentEvents = createIncidentEvents({
+  backend,
+  pollIntervalMs: config.incidentPollIntervalMs,
+  checkSession: (token) => sessionCheck.check(token),
+  // Like reads, decided by the backend: the session must be able to GET the incident
+  canRead: async (token, incidentId) => {
+    const result = await backend.request('GET', `/api/incidents/${encodeURIComponent(incidentId)}`, { token, retries: 0 });
+    return result.ok;
+  },
+  logger,
+});
+
+// CSRF tokens are bound to the session JWT; CORS origins may send changes too
+const csrf = createCsrfProtection({
+  secret: config.csrfSecret,
+  allowedOrigins: [...config.csrfTrustedOrigins, ...config.corsOrigins],
+});
+
+// Brute-force protection for the credential routes
+const rateLimitStore = createMemoryStore();
+const loginLimiter = createRateLimiter({
+  name: 'login',
+  store: rateLimitStore,
+  limits: {
+    ip: { max: 20, windowMs: 15 * 60 * 1000 },
+    username: { max: 10, windowMs: 15 * 60 * 1000 },
+  },
+  lockout: DEFAULT_LOCKOUT,
+});
+const registerLimiter = createRateLimiter({
+  name: 'register',
+  store: rateLimitStore,
+  limits: {
+    ip: { max: 5, windowMs: 60 * 60 * 1000 },
+    username: { max: 3, windowMs: 60 * 60 * 1000 },
+  },
+});
+const credentialsIdentity = (req) => ({ ip: req.ip, username: req.body.username });
+
+// Activity timeline kept by the proxy for backends without incident history
+const historyStore = createJsonStore(config.historyStoreFile, { logger });
+const incidentHistory = createIncidentHistory({ store: historyStore });
+
+// Comment threads kept by the proxy for backends without comment routes
+const commentStore = createJsonStore(config.commentStoreFile, { logger });
+const incidentComments = createIncidentComments({ store: commentStore });
+
+// Outbound notifications on incident create, escalate and severity changes
+const webhookDeliveries = metrics.counter('webhook_deliveries_total',
+  'Webhook delivery attempts by endpoint and outcome (delivered, retry, dead).', ['endpoint', 'outcome']);
+const webhooks = createWebhooks({
+  endpoints: config.webhooks,
+  store: createJsonStore(config.webhookStoreFile, { logger }),
+  timeoutMs: config.webhookTimeoutMs,
+  maxAttempts: config.webhookMaxAttempts,
+  retryDelayMs: config.webhookRetryDelayMs,
+  logger,
+  onDelivery: (labels) => webhookDeliveries.inc(labels),
+});
+
+// SIGTERM/SIGINT stop new connections and let requests in flight finish
+const shutdown = createShutdown({
+  timeoutMs: config.shutdownTimeoutMs,
+  logger,
+  hooks: [() => incidentEvents.close(), () => historyStore.flush(), () => commentStore.flush(), () => webhooks.close()],
+});
+
+// req.ip (rate limits, access log) comes from X-Forwarded-For only behind these proxies
+if (config.trustedProxies.length) {
+  app.set('trust proxy', config.trustedProxies);
+}
+app.set('session cookie', config.cookie);
 
 // Middleware
+app.use(shutdown.track);
+// Request counts and latencies for every route (see /metrics)
+app.use(requestMetrics(metrics));
+// Tag every request so errors can be correlated with backend logs. An id set
+// upstream (load balancer, gateway) is kept so one id follows the request end to end.
+app.use((req, res, next) => {
+  const upstreamId = req.get('X-Request-Id');
+  req.id = isValidRequestId(upstreamId) ? upstreamId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+app.use(accessLog(logger, { routeOf: routeLabel }));
+app.use(securityHeaders);
+// Imports are whole files, so they get a larger limit and CSV support
+app.use('/api/incidents/import', bodyParser.json({ limit: '2mb' }), bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }));
 app.use(bodyParser.json()); // To parse JSON bodies from browser requests
 app.use(cookieParser()); // To parse cookies from browser requests
+app.use('/api', cors({ origins: config.corsOrigins })); // Dashboards on the configured other origins
+app.use('/api', csrf.checkOrigin); // Reject cross-site state-changing requests
+
+// --- Health and metrics ---
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the backend can be reached (cached probe) and the server is not shutting down
+app.get('/readyz', async (req, res) => {
+  if (shutdown.isDraining()) {
+    return res.status(503).json({ status: 'shutting_down' });
+  }
+  const backendState = await readiness.probe();
+  res.status(backendState.ready ? 200 : 503).json({ status: backendState.ready ? 'ready' : 'unavailable', backend: backendState });
+});
+
+// Prometheus scrape endpoint; METRICS_TOKEN, when set, must be sent as a bearer token
+app.get('/metrics', (req, res) => {
+  const expected = config.metricsToken;
+  if (expected) {
+    const given = Buffer.from(req.get('Authorization') || '');
+    const wanted = Buffer.from(`Bearer ${expected}`);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+      return sendError(req, res, 401, 'AUTH_REQUIRED', 'A valid metrics token is required.');
+    }
+  }
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
 
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
@@ -22,264 +209,895 @@ app.get('/', (req, res) => {
 });
 
 // --- Proxy API Routes ---
+// Sessions issued or confirmed by the backend and not yet expired or logged out
+// Sessions issued or used and not yet expired or logged out
+const activeSessions = createSessionTracker({ fallbackTtlMs: config.cookie.fallbackMaxAgeMs });
+metrics.gauge('active_sessions', 'Sessions issued or confirmed by the backend whose token has not expired or been logged out.', () => activeSessions.count());
+
+// Stores the backend JWT in the session cookie, living exactly as long as the token
+const setSessionCookie = (res, token) => {
+  activeSessions.touch(token);
+  const session = sessionFromToken(token);
+  const expiresIn = session && session.expiresAt ? Date.parse(session.expiresAt) - Date.now() : NaN;
+  // Set JWT as an HttpOnly cookie
+  res.cookie('jwtToken', token, {
+    httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
+    secure: config.cookie.secure, // HTTPS only; on by default when NODE_ENV=production
+    maxAge: expiresIn > 0 ? expiresIn : config.cookie.fallbackMaxAgeMs,
+    sameSite: config.cookie.sameSite, // Lax by default, protects against CSRF attacks
+    domain: config.cookie.domain || undefined,
+    path: '/',
+  });
+};
 
 // Proxy for user login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', validateBody(schemas.login), loginLimiter.middleware(credentialsIdentity), async (req, res) => {
   const { username, password } = req.body;
   try {
-    const fetch = (await import('node-fetch')).default; // Dynamic import
-    // Changed from /login to /api/login to match backend path
-    const backendResponse = await fetch(`${BACKEND_API_URL}/api/login`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password }),
+    const result = await backend.request('POST', '/api/login', {
+      body: { username, password },
+      requestId: req.id,
     });
 
-    const data = await backendResponse.json();
-
-    if (backendResponse.ok && data.token) {
-      // Set JWT as an HttpOnly cookie
-      res.cookie('jwtToken', data.token, {
-        httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
-        secure: process.env.NODE_ENV === 'production', // Use secure in production (HTTPS)
-        maxAge: 3600000, // 1 hour (in milliseconds)
-        sameSite: 'Lax', // Protects against CSRF attacks
-      });
-      res.status(200).json({ message: 'Login successful' });
-    } else {
-      res.status(backendResponse.status).json({ error: data.error || 'Login failed' });
+    if (result.ok && result.data && result.data.token) {
+      await loginLimiter.recordSuccess(req.rateLimitIdentity);
+      req.actor = actorFromToken(result.data.token); // for the access log
+      setSessionCookie(res, result.data.token);
+      // The CSRF token is readable by the page; the JWT itself never is
+      return res.status(200).json({ message: 'Login successful', csrfToken: csrf.tokenFor(result.data.token) });
     }
+    if (result.ok) {
+      return sendError(req, res, 502, 'BACKEND_INVALID_RESPONSE', 'Login failed', result.status);
+    }
+    if (result.status < 500) {
+      // Rejected credentials count towards the account lockout
+      await loginLimiter.recordFailure(req.rateLimitIdentity);
+    }
+    // A rejected login is not an expired session, so don't relay it as one
+    const message = (result.data && result.data.error) || 'Login failed';
+    return sendError(req, res, result.status >= 500 ? 502 : result.status, 'LOGIN_FAILED', message, result.status);
   } catch (error) {
-    console.error('Proxy login error:', error);
-    
-    res.status(500).json({ error: 'Internal server error during login proxy.' });
+    relayError(req, res, error, 'Internal server error during login proxy.');
   }
 });
 
+// Rejects weak passwords before they reach the backend
+const enforcePasswordPolicy = (req, res, next) => {
+  const problems = checkPassword(req.body.password, { username: req.body.username });
+  if (problems.length) {
+    return sendError(req, res, 400, 'VALIDATION_FAILED', 'Request validation failed.', null, {
+      errors: problems.map((message) => ({ field: 'password', message })),
+    });
+  }
+  next();
+};
+
 // Proxy for user registration
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', validateBody(schemas.register), registerLimiter.middleware(credentialsIdentity), enforcePasswordPolicy, async (req, res) => {
   const { username, password } = req.body;
   try {
-    const fetch = (await import('node-fetch')).default;
-    const backendResponse = await fetch(`${BACKEND_API_URL}/api/register`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password }),
+    const result = await backend.request('POST', '/api/register', {
+      body: { username, password },
+      requestId: req.id,
     });
-
-    
-    // Log the full response for debugging
-    console.log('Backend Response Status:', backendResponse.status);
-    console.log('Backend Response Headers:', Object.fromEntries(backendResponse.headers.entries()));
-    const responseText = await backendResponse.text();
-    console.log('Backend Response Body:', responseText);
-
-    // Try to parse as JSON if possible
-    let data;
-    try {
-      data = JSON.parse(responseText);
-    } catch (e) {
-      return res.status(500).json({ 
-        error: 'Backend returned non-JSON response',
-        response: responseText
-      });
-    }
-
-    res.status(backendResponse.status).json(data);
+    relay(req, res, result, 'Registration failed');
   } catch (error) {
-    console.error('Proxy register error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error during registration proxy.',
-      details: error.message 
-    });
+    relayError(req, res, error, 'Internal server error during registration proxy.');
   }
 });
 
+// Roles of the token's user, limited to the ones the permission policy knows
+const rolesForToken = (token) => normalizeRoles(rolesFromClaims(decodeJwt(token) || {}), config.defaultRole);
+
 // Middleware to check for JWT in cookie and attach to request for backend
 const proxyAuthenticate = async (req, res, next) => {
   const token = req.cookies.jwtToken; // Get token from HttpOnly cookie
 
   if (!token) {
-    return res.status(401).json({ error: 'Authentication required. No token found.' });
+    return sendError(req, res, 401, 'AUTH_REQUIRED', 'Authentication required. No token found.');
+  }
+  // No need to bother the backend with a token that has already run out
+  if (isExpired(token)) {
+    activeSessions.end(token);
+    clearSessionCookie(req, res);
+    return sendError(req, res, 401, 'SESSION_EXPIRED', 'Session expired. Please log in again.');
   }
   // Attach token to request object so subsequent proxy routes can use it
   req.backendToken = token;
+  req.actor = actorFromToken(token);
+  req.roles = rolesForToken(token);
   next();
 };
 
-// Shared handler logic for fetching incidents
-const handleGetIncidents = async (req, res) => {
-  const { id } = req.params; // id will be undefined if called from the '/api/incidents' route
-  const url = id ? `${BACKEND_API_URL}/api/incidents/${id}` : `${BACKEND_API_URL}/api/incidents`;
-  try {
-    const fetch = (await import('node-fetch')).default; // Dynamic import
-    const backendResponse = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${req.backendToken}`, // Use token from cookie
-        'Content-Type': 'application/json',
-      },
-    });
+// CSRF token bootstrap for pages loaded with an existing session
+app.get('/api/csrf', proxyAuthenticate, (req, res) => {
+  res.status(200).json({ csrfToken: csrf.tokenFor(req.backendToken) });
+});
 
-    if (backendResponse.status === 401 || backendResponse.status === 403) {
-      // Clear cookie if backend rejects token
-      res.clearCookie('jwtToken');
-      return res.status(backendResponse.status).json({ error: 'Session expired or invalid token. Please log in again.' });
-    }
+// Who the current user is and when the session runs out
+app.get('/api/session', proxyAuthenticate, (req, res) => {
+  const session = sessionFromToken(req.backendToken) || { username: req.actor, issuedAt: null, expiresAt: null };
+  res.status(200).json({
+    ...session,
+    roles: req.roles,
+    permissions: permissionsFor(req.roles),
+    csrfToken: csrf.tokenFor(req.backendToken),
+  });
+});
 
-    // Add error handling for non-JSON responses
-    const contentType = backendResponse.headers.get('content-type');
-    if (!contentType || !contentType.includes('application/json')) {
-      console.error('Backend returned non-JSON response');
-      return res.status(500).json({ 
-        error: 'Backend service unavailable or incorrect response format',
-        details: await backendResponse.text()
+// Sliding session: trades the current JWT for a fresh one at the backend.
+// The CSRF token is bound to the JWT, so the response carries the new one.
+app.post('/api/session/refresh', proxyAuthenticate, csrf.requireToken, async (req, res) => {
+  try {
+    const result = await backend.request('POST', config.backendRefreshPath, {
+      token: req.backendToken,
+      requestId: req.id,
+    });
+    if (result.ok && result.data && result.data.token) {
+      activeSessions.end(req.backendToken);
+      setSessionCookie(res, result.data.token);
+      const roles = rolesForToken(result.data.token);
+      return res.status(200).json({
+        ...sessionFromToken(result.data.token),
+        roles,
+        permissions: permissionsFor(roles),
+        csrfToken: csrf.tokenFor(result.data.token),
       });
     }
+    if (result.status === 404 || result.status === 405 || result.status === 501) {
+      return sendError(req, res, 501, 'REFRESH_UNSUPPORTED', 'The backend does not support session refresh.', result.status);
+    }
+    relay(req, res, result, 'Session refresh failed.');
+  } catch (error) {
+    relayError(req, res, error, 'Internal server error during session refresh.');
+  }
+});
 
-    const data = await backendResponse.json();
-    res.status(backendResponse.status).json(data);
+// Builds an authenticated route handler that forwards to the backend.
+// `resolve` maps the browser request onto { path, body, query, headers } for the backend;
+// the optional `onSuccess` runs after a 2xx answer was relayed.
+const proxyRoute = (method, resolve, fallbackMessage, onSuccess) => async (req, res) => {
+  try {
+    const { path: backendPath, body, query, headers } = resolve(req);
+    const result = await backend.request(method, backendPath, {
+      token: req.backendToken,
+      body,
+      query,
+      headers,
+      requestId: req.id,
+    });
+    setVersionHeader(res, result);
+    relay(req, res, result, fallbackMessage);
+    if (result.ok && onSuccess) {
+      onSuccess(req, result);
+    }
   } catch (error) {
-    console.error(`Proxy GET incidents error (path: ${req.path}):`, error);
-    res.status(500).json({ error: 'Internal server error during incident fetch proxy.' });
+    relayError(req, res, error, fallbackMessage);
   }
 };
 
-// Proxy for incident CRUD operations (protected by proxyAuthenticate)
-// Route for getting all incidents
-app.get('/api/incidents', proxyAuthenticate, handleGetIncidents);
+const incidentPath = (req) => `/api/incidents/${encodeURIComponent(req.params.id)}`;
 
-// Route for getting a specific incident by ID
-app.get('/api/incidents/:id', proxyAuthenticate, handleGetIncidents);
+// The backend answer if it is an incident, otherwise null
+const incidentFrom = (result) => (result.data && result.data.id !== undefined ? result.data : null);
 
-// app.get('/api/escalate/:id', proxyAuthenticate, handleEscalate);
+// Answers carrying an incident get its version as ETag, to be sent back in If-Match
+const setVersionHeader = (res, result) => {
+  const version = result.ok && incidentFrom(result) ? versionOf(result) : null;
+  if (version) {
+    res.setHeader('ETag', version.etag);
+  }
+};
 
-app.post('/api/incidents', proxyAuthenticate, async (req, res) => {
+// Loads the incident as it is before a change into req.currentIncident.
+// Best effort: a failed lookup leaves it null and the request carries on.
+// req.currentLookup keeps the backend answer (null if the backend was unreachable).
+const loadCurrentIncident = async (req, res, next) => {
+  req.currentIncident = null;
+  req.currentLookup = null;
   try {
-    const fetch = (await import('node-fetch')).default; // Dynamic import
-    const backendResponse = await fetch(`${BACKEND_API_URL}/api/incidents`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${req.backendToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(req.body),
+    const result = await backend.request('GET', incidentPath(req), {
+      token: req.backendToken,
+      requestId: req.id,
+      retries: 0,
     });
+    req.currentLookup = result;
+    if (result.ok && result.isJson) {
+      req.currentIncident = result.data;
+    }
+  } catch (error) {
+    req.log.warn('Could not load incident before update', { incidentId: req.params.id, error: error.message });
+  }
+  next();
+};
 
-    if (backendResponse.status === 401 || backendResponse.status === 403) {
-      res.clearCookie('jwtToken');
-      return res.status(backendResponse.status).json({ error: 'Session expired or invalid token. Please log in again.' });
+// Shared handler logic for fetching incidents
+const handleGetIncidents = async (req, res) => {
+  const { id } = req.params; // id will be undefined if called from the '/api/incidents' route
+  const fallbackMessage = 'Internal server error during incident fetch proxy.';
+  try {
+    if (id) {
+      const result = await backend.request('GET', incidentPath(req), {
+        token: req.backendToken,
+        requestId: req.id,
+      });
+      setVersionHeader(res, result);
+      return relay(req, res, result, fallbackMessage);
     }
 
-    const data = await backendResponse.json();
-    res.status(backendResponse.status).json(data);
+    // List queries are forwarded; a backend that supports them answers with
+    // { items, total, ... }, otherwise we get the full array and apply them here
+    const listQuery = parseListQuery(req.query);
+    const result = await backend.request('GET', '/api/incidents', {
+      token: req.backendToken,
+      query: listQuery,
+      requestId: req.id,
+    });
+    if (!result.ok || !result.isJson) {
+      return relay(req, res, result, fallbackMessage);
+    }
+    const list = toListResponse(result.data, listQuery);
+    if (!list) {
+      return sendError(req, res, 502, 'BACKEND_INVALID_RESPONSE',
+        'Backend returned an unexpected incident list format.', result.status);
+    }
+    res.status(200).json(list);
   } catch (error) {
-    console.error('Proxy POST incident error:', error);
-    res.status(500).json({ error: 'Internal server error during incident creation proxy.' });
+    relayError(req, res, error, fallbackMessage);
+  }
+};
+
+// Why a status change is not allowed ({ status, code, message }), or null if it is
+const statusTransitionError = (currentIncident, requested) => {
+  if (!currentIncident) {
+    return {
+      status: 502,
+      code: 'STATUS_UNVERIFIED',
+      message: 'Could not load the incident to verify the status change. Please try again.',
+    };
+  }
+  const from = incidentModel.currentStatus(currentIncident);
+  if (!incidentModel.canTransition(from, requested)) {
+    const allowed = incidentModel.STATUS_TRANSITIONS[from];
+    return {
+      status: 409,
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `Cannot change status from '${from}' to '${requested}'. Allowed: ${allowed.length ? allowed.join(', ') : 'none'}.`,
+    };
+  }
+  return null;
+};
+
+// Optimistic concurrency: an edit must name the version it is based on in If-Match.
+// A stale version gets 409 with the current server copy so the client can merge.
+const requireMatchingVersion = (req, res, next) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return sendError(req, res, 428, 'PRECONDITION_REQUIRED',
+      'Send the version you edited (the ETag of GET /api/incidents/:id) in the If-Match header.');
+  }
+  if (req.currentLookup && !req.currentLookup.ok) {
+    return relay(req, res, req.currentLookup, 'Failed to load the incident.');
+  }
+  const version = req.currentLookup && versionOf(req.currentLookup);
+  if (!req.currentIncident || !version) {
+    return sendError(req, res, 502, 'VERSION_UNVERIFIED',
+      'Could not load the incident to check its version. Please try again.');
   }
+  if (!ifMatchSatisfied(ifMatch, version.etag)) {
+    res.setHeader('ETag', version.etag);
+    return sendError(req, res, 409, 'VERSION_CONFLICT',
+      'This incident was changed by someone else since you opened it.', null,
+      { current: req.currentIncident, version: version.etag });
+  }
+  // A backend with its own ETags can close the gap between our check and its write
+  req.backendIfMatch = version.fromBackend ? version.etag : undefined;
+  next();
+};
+
+// Rejects status changes the incident lifecycle does not allow
+const enforceStatusTransition = (req, res, next) => {
+  const requested = req.body && req.body.status;
+  if (requested === undefined) {
+    return next();
+  }
+  const problem = statusTransitionError(req.currentIncident, requested);
+  if (problem) {
+    return sendError(req, res, problem.status, problem.code, problem.message);
+  }
+  next();
+};
+
+const handleEscalate = proxyRoute('POST', (req) => ({
+  path: `/api/escalate/${encodeURIComponent(req.params.id)}`,
+}), 'Internal server error during escalation proxy.', (req, result) => {
+  incidentHistory.record(req.params.id, 'escalated', req.actor);
+  incidentEvents.publish('escalated', req.params.id, incidentFrom(result));
+  webhooks.notify('escalated', incidentFrom(result) || { id: req.params.id }, { actor: req.actor });
 });
 
-app.put('/api/incidents/:id', proxyAuthenticate, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const fetch = (await import('node-fetch')).default; // Dynamic import
-    const backendResponse = await fetch(`${BACKEND_API_URL}/api/incidents/${id}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${req.backendToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(req.body),
+// Live updates for open dashboards; must be registered before '/api/incidents/:id'.
+// Events carry whole incidents, so the backend has to accept the token first.
+app.get('/api/incidents/stream', proxyAuthenticate, requireBackendSession, (req, res) => {
+  incidentEvents.subscribe(res, {
+    token: req.backendToken,
+    // EventSource sends the header on automatic reconnects; the query
+    // parameter covers streams the browser had to recreate itself
+    lastSeenId: req.get('Last-Event-ID') || req.query.lastEventId,
+  });
+});
+
+// Yields the incidents matching the list filters page by page, across all pages.
+// A failed backend answer is yielded as { error: result } and ends the walk.
+async function* matchingIncidents(req, listQuery) {
+  for (let page = 1; ; page++) {
+    const query = { ...listQuery, page, pageSize: MAX_PAGE_SIZE };
+    const result = await backend.request('GET', '/api/incidents', {
+      token: req.backendToken,
+      query,
+      requestId: req.id,
     });
+    if (!result.ok || !result.isJson) {
+      yield { error: result };
+      return;
+    }
+    if (Array.isArray(result.data)) {
+      // The backend ignores the query and sent everything: filter and sort here, in one page
+      yield { items: toListResponse(result.data, { ...query, pageSize: Math.max(result.data.length, 1) }).items };
+      return;
+    }
+    const list = toListResponse(result.data, query);
+    if (!list) {
+      yield { error: result, invalidFormat: true };
+      return;
+    }
+    yield { items: list.items };
+    if (!list.items.length || page * list.pageSize >= list.total) return;
+  }
+}
 
-    if (backendResponse.status === 401 || backendResponse.status === 403) {
-      res.clearCookie('jwtToken');
-      return res.status(backendResponse.status).json({ error: 'Session expired or invalid token. Please log in again.' });
+// Download of the (optionally filtered) incident list as CSV or JSON.
+// Takes the same q/type/reporter/resource_id/sort/order parameters as the list;
+// rows are written as the backend pages arrive. Must be registered before '/api/incidents/:id'.
+app.get('/api/incidents/export', proxyAuthenticate, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!transfer.EXPORT_FORMATS.includes(format)) {
+    return sendError(req, res, 400, 'VALIDATION_FAILED', `format must be one of: ${transfer.EXPORT_FORMATS.join(', ')}`);
+  }
+  const fallbackMessage = 'Internal server error during incident export.';
+  let count = 0;
+  try {
+    for await (const page of matchingIncidents(req, parseListQuery(req.query))) {
+      if (page.error) {
+        if (res.headersSent) {
+          // Too late for an error envelope; a cut-off download is the only signal left
+          req.log.error('Incident export aborted', { backendStatus: page.error.status, rowsWritten: count });
+          return res.destroy();
+        }
+        if (page.invalidFormat) {
+          return sendError(req, res, 502, 'BACKEND_INVALID_RESPONSE',
+            'Backend returned an unexpected incident list format.', page.error.status);
+        }
+        return relay(req, res, page.error, fallbackMessage);
+      }
+      if (!res.headersSent) {
+        const date = new Date().toISOString().slice(0, 10);
+        res.status(200);
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="incidents-${date}.${format}"`);
+        // The BOM makes spreadsheet programs read the file as UTF-8
+        res.write(format === 'csv' ? `\ufeff${transfer.csvHeader()}` : '[');
+      }
+      for (const incident of page.items) {
+        res.write(format === 'csv' ? transfer.csvRow(incident) : `${count ? ',' : ''}\n${JSON.stringify(incident)}`);
+        count += 1;
+      }
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    if (res.headersSent) {
+      req.log.error('Incident export aborted', { rowsWritten: count, error: error.message });
+      return res.destroy();
     }
+    relayError(req, res, error, fallbackMessage);
+  }
+});
 
-    const data = await backendResponse.json();
-    res.status(backendResponse.status).json(data);
+// Overview for the dashboard's summary panel: counts by type, reporter, resource,
+// status, severity and escalation, age buckets, incidents created per day (?days=,
+// default 14) and SLA timers. Takes the list filters; must be registered before '/api/incidents/:id'.
+app.get('/api/incidents/stats', proxyAuthenticate, async (req, res) => {
+  const incidents = [];
+  try {
+    for await (const page of matchingIncidents(req, parseListQuery(req.query))) {
+      if (page.error) {
+        if (page.invalidFormat) {
+          return sendError(req, res, 502, 'BACKEND_INVALID_RESPONSE',
+            'Backend returned an unexpected incident list format.', page.error.status);
+        }
+        return relay(req, res, page.error, 'Failed to load incidents for the summary.');
+      }
+      incidents.push(...page.items);
+    }
+    res.status(200).json(incidentStats.summarize(incidents, {
+      historyOf: (id) => incidentHistory.list(id),
+      slaMinutes: config.slaMinutes,
+      days: req.query.days,
+    }));
   } catch (error) {
-    console.error('Proxy PUT incident error:', error);
-    res.status(500).json({ error: 'Internal server error during incident update proxy.' });
+    relayError(req, res, error, 'Internal server error during incident summary.');
   }
 });
 
-app.delete('/api/incidents/:id', proxyAuthenticate, async (req, res) => {
-  const { id } = req.params;
+// Creates incidents from a CSV (text/csv) or JSON file. Every row is validated like
+// the create form; with ?dryRun=true nothing is created and the report is a preview.
+// Answers { dryRun, total, valid, invalid, created, failed, ignoredFields, rows: [...] }.
+app.post('/api/incidents/import', proxyAuthenticate, csrf.requireToken, requirePermission('incident:create'), async (req, res) => {
+  const format = req.is('application/json') ? 'json' : 'csv';
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+  let prepared;
   try {
-    const fetch = (await import('node-fetch')).default; // Dynamic import
-    const backendResponse = await fetch(`${BACKEND_API_URL}/api/incidents/${id}`, {
-      method: 'DELETE',
-      headers: {
-        'Authorization': `Bearer ${req.backendToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    prepared = transfer.prepareImport(transfer.readImport(req.body, format));
+  } catch (error) {
+    if (error instanceof transfer.ImportError) {
+      return sendError(req, res, 400, 'IMPORT_INVALID_FILE', error.message);
+    }
+    return relayError(req, res, error, 'Internal server error during incident import.');
+  }
 
-    if (backendResponse.status === 401 || backendResponse.status === 403) {
-      res.clearCookie('jwtToken');
-      return res.status(backendResponse.status).json({ error: 'Session expired or invalid token. Please log in again.' });
+  const rows = await bulk.mapWithConcurrency(prepared.rows, config.bulkConcurrency, async ({ row, value, errors }) => {
+    if (errors.length) {
+      return { row, ok: false, result: 'invalid', errors };
+    }
+    if (dryRun) {
+      return { row, ok: true, result: 'valid', incident: newIncidentBody(value) };
+    }
+    try {
+      const result = await backend.request('POST', '/api/incidents', {
+        token: req.backendToken,
+        body: newIncidentBody(value),
+        requestId: req.id,
+      });
+      const outcome = bulk.outcomeFromResult(result, 'Failed to create incident.');
+      if (!outcome.ok) {
+        return { row, ...outcome, result: 'failed' };
+      }
+      recordCreated(req, result);
+      const incident = incidentFrom(result);
+      return { row, ok: true, result: 'created', id: incident ? incident.id : null };
+    } catch (error) {
+      return { row, ...bulk.outcomeFromError(error, 'Failed to create incident.', req.log), result: 'failed' };
     }
+  });
+
+  if (rows.some((row) => row.code === 'SESSION_EXPIRED')) {
+    clearSessionCookie(req, res);
+  }
+  const count = (result) => rows.filter((row) => row.result === result).length;
+  res.status(200).json({
+    dryRun,
+    total: rows.length,
+    valid: rows.length - count('invalid'),
+    invalid: count('invalid'),
+    created: count('created'),
+    failed: count('failed'),
+    ignoredFields: prepared.ignoredFields,
+    rows,
+  });
+});
+
+// Proxy for incident CRUD operations (protected by proxyAuthenticate)
+// Route for getting all incidents
+app.get('/api/incidents', proxyAuthenticate, handleGetIncidents);
+
+// Route for getting a specific incident by ID
+app.get('/api/incidents/:id', proxyAuthenticate, handleGetIncidents);
+
+// Answers a backend without the route gives for an incident it does have
+const routeMissing = (result) => [404, 405, 501].includes(result.status);
+
+// What the proxy keeps about an incident is only served to sessions the backend
+// lets see that incident. The call also proves the token genuine, so the claims
+// can be trusted from here on (see lib/permissions.js).
+// Resolves to null, or to the backend's answer when it refused.
+const checkIncidentAccess = async (req) => {
+  const result = await backend.request('GET', incidentPath(req), {
+    token: req.backendToken,
+    requestId: req.id,
+  });
+  if (!result.ok) {
+    return result;
+  }
+  sessionCheck.confirm(req.backendToken);
+  return null;
+};
 
-    const data = await backendResponse.json();
-    res.status(backendResponse.status).json(data);
+// Activity timeline of one incident. Uses the backend's history if it has one,
+// otherwise the events the proxy recorded itself. true/false once
+// BACKEND_HISTORY or the backend's answers have settled which.
+let backendHasHistory = { on: true, off: false, auto: null }[config.backendHistory];
+app.get('/api/incidents/:id/history', proxyAuthenticate, async (req, res) => {
+  try {
+    let missing = false;
+    if (backendHasHistory !== false) {
+      const result = await backend.request('GET', `${incidentPath(req)}/history`, {
+        token: req.backendToken,
+        requestId: req.id,
+      });
+      if (result.ok && result.isJson && Array.isArray(result.data)) {
+        backendHasHistory = true;
+        return res.status(200).json({ source: 'backend', events: result.data });
+      }
+      if (!result.ok && !routeMissing(result)) {
+        return relay(req, res, result, 'Failed to load incident history.');
+      }
+      missing = backendHasHistory === null && routeMissing(result);
+    }
+    let refused = await checkIncidentAccess(req);
+    // No history for an incident the backend has: stop asking
+    if (missing && !refused) {
+      backendHasHistory = false;
+    }
+    // The timeline of an incident deleted through the proxy stays readable to any session the backend accepts
+    if (refused && refused.status === 404 && incidentHistory.list(req.params.id).some((event) => event.type === 'deleted')) {
+      refused = await sessionCheck.check(req.backendToken, { requestId: req.id });
+    }
+    if (refused) {
+      return relay(req, res, refused, 'Failed to load the incident.');
+    }
+    res.status(200).json({ source: 'proxy', events: incidentHistory.list(req.params.id) });
   } catch (error) {
-    console.error('Proxy DELETE incident error:', error);
-    res.status(500).json({ error: 'Internal server error during incident deletion proxy.' });
+    relayError(req, res, error, 'Internal server error during incident history proxy.');
   }
 });
 
-// Logout route: simply clear the cookie
-app.post('/api/logout', (req, res) => {
-  res.clearCookie('jwtToken');
-  res.status(200).json({ message: 'Logged out successfully.' });
+// Comment threads. Forwarded to the backend if it has comment routes,
+// otherwise kept by the proxy. Author and time always come from the session.
+const commentsPath = (req) => `${incidentPath(req)}/comments`;
+
+// true/false once BACKEND_COMMENTS or the backend's answers have settled it
+let backendHasComments = { on: true, off: false, auto: null }[config.backendComments];
+
+// Backends may answer with the bare list or with { comments }
+const commentsFrom = (data) => {
+  if (Array.isArray(data)) return data;
+  return data && Array.isArray(data.comments) ? data.comments : null;
+};
+
+// Settles an undecided backendHasComments from a GET of the incident's comments.
+// Resolves to the answer, whose 404 may only mean an unknown incident.
+const probeComments = async (req) => {
+  const result = await backend.request('GET', commentsPath(req), {
+    token: req.backendToken,
+    requestId: req.id,
+  });
+  if (result.ok && result.isJson && commentsFrom(result.data)) {
+    backendHasComments = true;
+  } else if (routeMissing(result) && !(await checkIncidentAccess(req))) {
+    backendHasComments = false;
+  }
+  return result;
+};
+
+app.get('/api/incidents/:id/comments', proxyAuthenticate, async (req, res) => {
+  try {
+    if (backendHasComments !== false) {
+      const result = backendHasComments === null ? await probeComments(req) : await backend.request('GET', commentsPath(req), {
+        token: req.backendToken,
+        requestId: req.id,
+      });
+      const comments = result.ok && result.isJson ? commentsFrom(result.data) : null;
+      if (comments) {
+        return res.status(200).json({ source: 'backend', comments });
+      }
+      if (backendHasComments !== false) {
+        return relay(req, res, result, 'Failed to load comments.');
+      }
+    }
+    const refused = await checkIncidentAccess(req);
+    if (refused) {
+      return relay(req, res, refused, 'Failed to load the incident.');
+    }
+    res.status(200).json({ source: 'proxy', comments: incidentComments.list(req.params.id) });
+  } catch (error) {
+    relayError(req, res, error, 'Internal server error during comment proxy.');
+  }
 });
 
-// Function to test backend connectivity
-async function testBackendConnection() {
+app.post('/api/incidents/:id/comments', proxyAuthenticate, csrf.requireToken, requirePermission('incident:comment'), validateBody(schemas.comment), async (req, res) => {
+  const fallbackMessage = 'Internal server error during comment proxy.';
   try {
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(BACKEND_API_URL); // Or a specific health check endpoint
-    if (response.ok) {
-      console.log(`Successfully connected to backend at ${BACKEND_API_URL}. Status: ${response.status}`);
-    } else {
-      console.error(`Failed to connect to backend at ${BACKEND_API_URL}. Status: ${response.status}`);
+    if (backendHasComments === null) {
+      await probeComments(req);
     }
+    if (backendHasComments !== false) {
+      const result = await backend.request('POST', commentsPath(req), {
+        token: req.backendToken,
+        body: { body: req.body.body },
+        requestId: req.id,
+      });
+      return relay(req, res, result, 'Failed to add comment.');
+    }
+    // Only comment on incidents the backend knows (and lets this user see)
+    const refused = await checkIncidentAccess(req);
+    if (refused) {
+      return relay(req, res, refused, 'Failed to load the incident.');
+    }
+    if (incidentComments.isFull(req.params.id)) {
+      return sendError(req, res, 409, 'COMMENT_LIMIT', 'This incident has reached the maximum number of comments.');
+    }
+    res.status(201).json(incidentComments.add(req.params.id, { author: req.actor, body: req.body.body }));
   } catch (error) {
-    console.error(`Error connecting to backend at ${BACKEND_API_URL}:`, error.message);
+    relayError(req, res, error, fallbackMessage);
   }
-}
+});
 
-const handleEscalate = async (req, res) => {
-  const { id } = req.params;
+// Authors delete their own comments, comment:moderate anyone's. With backend
+// comments the backend decides, as only it knows who wrote what.
+app.delete('/api/incidents/:id/comments/:commentId', proxyAuthenticate, csrf.requireToken, async (req, res) => {
   try {
-    const fetch = (await import('node-fetch')).default;
-    const backendResponse = await fetch(`${BACKEND_API_URL}/api/escalate/${id}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${req.backendToken}`,
-        'Content-Type': 'application/json',
+    if (backendHasComments === null) {
+      await probeComments(req);
+    }
+    if (backendHasComments !== false) {
+      const result = await backend.request('DELETE', `${commentsPath(req)}/${encodeURIComponent(req.params.commentId)}`, {
+        token: req.backendToken,
+        requestId: req.id,
+      });
+      return relay(req, res, result, 'Failed to delete comment.');
+    }
+    // Author and roles come from the claims, which only count for a token the backend accepts
+    const refused = await checkIncidentAccess(req);
+    if (refused) {
+      return relay(req, res, refused, 'Failed to load the incident.');
+    }
+    const comment = incidentComments.get(req.params.id, req.params.commentId);
+    if (!comment) {
+      return sendError(req, res, 404, 'COMMENT_NOT_FOUND', 'Comment not found.');
+    }
+    if (comment.author !== req.actor && !can(req.roles, 'comment:moderate')) {
+      return sendError(req, res, 403, 'FORBIDDEN', 'You can only delete your own comments.');
+    }
+    incidentComments.remove(req.params.id, req.params.commentId);
+    res.status(200).json({});
+  } catch (error) {
+    relayError(req, res, error, 'Internal server error during comment proxy.');
+  }
+});
+
+// New incidents always start the lifecycle as 'open'
+const newIncidentBody = (fields) => ({
+  ...fields,
+  severity: fields.severity || incidentModel.DEFAULT_SEVERITY,
+  status: incidentModel.INITIAL_STATUS,
+});
+
+const recordCreated = (req, result) => {
+  const incident = incidentFrom(result);
+  if (incident) {
+    incidentHistory.record(incident.id, 'created', req.actor);
+    incidentEvents.publish('created', incident.id, incident);
+    webhooks.notify('created', incident, { actor: req.actor });
+  }
+};
+
+// History, live update and, for a new severity, webhooks after an edit
+const recordUpdated = (req, id, before, changes, result) => {
+  const changed = diffFields(before || {}, changes);
+  incidentHistory.record(id, 'updated', req.actor, changed);
+  const incident = incidentFrom(result);
+  incidentEvents.publish('updated', id, incident);
+  const severity = changed.find((change) => change.field === 'severity');
+  if (severity) {
+    webhooks.notify('severity_changed', incident || { ...before, ...changes, id }, {
+      actor: req.actor,
+      changes: { severity: { from: severity.from, to: severity.to } },
+    });
+  }
+};
+
+app.post('/api/incidents', proxyAuthenticate, csrf.requireToken, requirePermission('incident:create'), validateBody(schemas.createIncident), proxyRoute('POST', (req) => ({
+  path: '/api/incidents',
+  body: newIncidentBody(req.body),
+}), 'Internal server error during incident creation proxy.', recordCreated));
+
+// Edits may name only the fields that change, but a backend PUT may replace the
+// whole record, so the changes are applied to the incident as it was loaded
+app.put('/api/incidents/:id', proxyAuthenticate, csrf.requireToken, requirePermission('incident:update'), validateBody(schemas.updateIncident), loadCurrentIncident, requireMatchingVersion, enforceStatusTransition, proxyRoute('PUT', (req) => ({
+  path: incidentPath(req),
+  body: { ...req.currentIncident, ...req.body },
+  headers: req.backendIfMatch ? { 'If-Match': req.backendIfMatch } : undefined,
+}), 'Internal server error during incident update proxy.', (req, result) => {
+  recordUpdated(req, req.params.id, req.currentIncident, req.body, result);
+}));
+
+app.delete('/api/incidents/:id', proxyAuthenticate, csrf.requireToken, requirePermission('incident:delete'), proxyRoute('DELETE', (req) => ({
+  path: incidentPath(req),
+}), 'Internal server error during incident deletion proxy.', (req) => {
+  incidentHistory.record(req.params.id, 'deleted', req.actor);
+  incidentComments.removeAll(req.params.id);
+  incidentEvents.publish('deleted', req.params.id);
+}));
+
+app.post('/api/escalate/:id', proxyAuthenticate, csrf.requireToken, requirePermission('incident:escalate'), handleEscalate);
+
+// Permission each bulk action needs, same as its single-incident route
+const BULK_PERMISSIONS = {
+  escalate: 'incident:escalate',
+  update: 'incident:update',
+  delete: 'incident:delete',
+};
+
+// Checks the ids and, for 'update', the changes (with the single-update schema)
+const validateBulkRequest = (req, res, next) => {
+  const { ids, errors } = bulk.normalizeIds(req.body.ids);
+  if (req.body.action === 'update') {
+    const changes = validate(schemas.updateIncident, req.body.changes || {});
+    changes.errors.forEach((error) => errors.push({ ...error, field: `changes.${error.field}` }));
+    if (!changes.errors.length && !Object.keys(changes.value).length) {
+      errors.push({ field: 'changes', message: 'changes must contain at least one field' });
+    }
+    req.body.changes = changes.value;
+  } else if (req.body.changes !== undefined) {
+    errors.push({ field: 'changes', message: `changes are only allowed for the 'update' action` });
+  }
+  if (errors.length) {
+    return sendError(req, res, 400, 'VALIDATION_FAILED', 'Request validation failed.', null, { errors });
+  }
+  req.body.ids = ids;
+  next();
+};
+
+const requireBulkPermission = (req, res, next) => requirePermission(BULK_PERMISSIONS[req.body.action])(req, res, next);
+
+// One incident of a bulk request; mirrors the single-incident routes,
+// including status-transition checks, history and live updates
+const bulkWorkers = {
+  escalate: (req) => async (id) => {
+    const result = await backend.request('POST', `/api/escalate/${encodeURIComponent(id)}`, {
+      token: req.backendToken,
+      requestId: req.id,
+    });
+    const outcome = bulk.outcomeFromResult(result, 'Failed to escalate incident.');
+    if (outcome.ok) {
+      incidentHistory.record(id, 'escalated', req.actor);
+      incidentEvents.publish('escalated', id, incidentFrom(result));
+      webhooks.notify('escalated', incidentFrom(result) || { id }, { actor: req.actor });
+    }
+    return outcome;
+  },
+  update: (req) => async (id) => {
+    const backendPath = `/api/incidents/${encodeURIComponent(id)}`;
+    const options = { token: req.backendToken, requestId: req.id };
+    const current = await backend.request('GET', backendPath, options);
+    if (!current.ok) {
+      return bulk.outcomeFromResult(current, 'Failed to load incident.');
+    }
+    const currentIncident = incidentFrom(current);
+    if (!currentIncident) {
+      return { ok: false, status: 502, code: 'BACKEND_INVALID_RESPONSE', error: 'Backend returned an unexpected incident format.', backendStatus: current.status };
+    }
+    if (req.body.changes.status !== undefined) {
+      const problem = statusTransitionError(currentIncident, req.body.changes.status);
+      if (problem) {
+        return { ok: false, status: problem.status, code: problem.code, error: problem.message };
       }
+    }
+    // The whole record, as for single edits; a backend with its own ETags
+    // rejects the write if the incident changed since it was loaded
+    const version = versionOf(current);
+    const result = await backend.request('PUT', backendPath, {
+      ...options,
+      body: { ...currentIncident, ...req.body.changes },
+      headers: version && version.fromBackend ? { 'If-Match': version.etag } : undefined,
     });
+    if (result.status === 412) {
+      return { ok: false, status: 409, code: 'VERSION_CONFLICT', error: 'This incident was changed by someone else during the bulk edit.', backendStatus: 412 };
+    }
+    const outcome = bulk.outcomeFromResult(result, 'Failed to update incident.');
+    if (outcome.ok) {
+      recordUpdated(req, id, currentIncident, req.body.changes, result);
+    }
+    return outcome;
+  },
+  delete: (req) => async (id) => {
+    const result = await backend.request('DELETE', `/api/incidents/${encodeURIComponent(id)}`, {
+      token: req.backendToken,
+      requestId: req.id,
+    });
+    const outcome = bulk.outcomeFromResult(result, 'Failed to delete incident.');
+    if (outcome.ok) {
+      incidentHistory.record(id, 'deleted', req.actor);
+      incidentComments.removeAll(id);
+      incidentEvents.publish('deleted', id);
+    }
+    return outcome;
+  },
+};
+
+// Applies one action to many incidents and answers with a per-id report:
+// { action, total, succeeded, failed, results: [{ id, ok, status, code?, error? }] }
+app.post('/api/incidents/bulk', proxyAuthenticate, csrf.requireToken, validateBody(schemas.bulkIncidents), validateBulkRequest, requireBulkPermission, async (req, res) => {
+  const { action, ids } = req.body;
+  const report = await bulk.runBulk(ids, bulkWorkers[action](req), {
+    concurrency: config.bulkConcurrency,
+    fallbackMessage: `Internal server error during bulk ${action}.`,
+    logger: req.log,
+  });
 
-    if (backendResponse.status === 401 || backendResponse.status === 403) {
-      res.clearCookie('jwtToken');
-      return res.status(backendResponse.status).json({ error: 'Session expired or invalid token. Please log in again.' });
+  if (report.results.some((result) => result.code === 'SESSION_EXPIRED')) {
+    clearSessionCookie(req, res);
+    if (!report.succeeded) {
+      return sendError(req, res, 401, 'SESSION_EXPIRED', 'Session expired or invalid token. Please log in again.');
     }
+  }
+  res.status(200).json({ action, ...report });
+});
 
-    const data = await backendResponse.json();
-    res.status(backendResponse.status).json(data);
-  } catch (error) {
-    console.error('Proxy escalate error:', error);
-    res.status(500).json({ error: 'Internal server error during escalation proxy.' });
+// Delivery log of the outbound webhooks, newest first; ?status=dead lists the dead letters
+// The log is held by the proxy alone, so the admin role only counts once the backend accepted the token
+app.get('/api/webhooks/deliveries', proxyAuthenticate, requireBackendSession, requirePermission('webhook:read'), (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return sendError(req, res, 400, 'VALIDATION_FAILED', `status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
   }
-};
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), 500);
+  res.status(200).json({ endpoints: webhooks.endpoints(), deliveries: webhooks.list({ status, limit }) });
+});
 
-app.post('/api/escalate/:id', proxyAuthenticate, handleEscalate);
+// Controlled vocabulary for the incident 'type' field
+app.get('/api/meta/incident-types', (req, res) => {
+  res.status(200).json({ types: incidentModel.INCIDENT_TYPES });
+});
 
-app.listen(port, () => {
-  console.log(`Frontend proxy server listening on port ${port}`);
-  console.log('DEBUG ENV:', Object.entries(process.env));
-  testBackendConnection(); // Call the test function when the server starts
+// Severity levels and status lifecycle, so the UI offers only valid choices
+app.get('/api/meta/incident-workflow', (req, res) => {
+  res.status(200).json({
+    severities: incidentModel.SEVERITIES,
+    statuses: incidentModel.STATUSES,
+    transitions: incidentModel.STATUS_TRANSITIONS,
+  });
 });
+
+// Logout route: simply clear the cookie
+app.post('/api/logout', csrf.requireToken, (req, res) => {
+  activeSessions.end(req.cookies.jwtToken);
+  sessionCheck.forget(req.cookies.jwtToken);
+  clearSessionCookie(req, res);
+  res.status(200).json({ message: 'Logged out successfully.' });
+});
+
+// Malformed or oversized JSON bodies get the same error envelope as everything else
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(req, res, 400, 'INVALID_JSON', 'Request body is not valid JSON.');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(req, res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large.');
+  }
+  next(err);
+});
+
+// Logs whether the backend is reachable, using the same probe as /readyz
+async function testBackendConnection() {
+  const backendState = await readiness.probe();
+  if (backendState.ready) {
+    logger.info('Connected to backend', { backend: config.backendUrl, backendStatus: backendState.backendStatus });
+  } else {
+    logger.error('Backend is not reachable', { backend: config.backendUrl, ...backendState });
+  }
+}
+
+// `node app.js` starts the server; tests require the app and listen themselves
+if (require.main === module) {
+  const server = app.listen(config.port, () => {
+    logger.info('Frontend proxy server listening', { port: config.port });
+    testBackendConnection(); // Call the test function when the server starts
+  });
+  // Clients that take longer to send a whole request are disconnected
+  server.requestTimeout = config.requestTimeoutMs;
+  server.headersTimeout = Math.min(server.headersTimeout, config.requestTimeoutMs);
+  shutdown.listen(server);
+}
+
+module.exports = app;
@@ -0,0 +1,100 @@
+// Bulk incident operations for POST /api/incidents/bulk.
+// Every incident is its own backend call; they run with bounded concurrency
+// and each id gets an outcome, so one failure neither aborts nor hides the rest.
+
+const { BackendError } = require('./proxy');
+const { createLogger } = require('./logger');
+
+const defaultLogger = createLogger();
+
+const BULK_ACTIONS = ['escalate', 'update', 'delete'];
+const MAX_BULK_IDS = 100;
+const DEFAULT_CONCURRENCY = 5;
+
+// Like Promise.all(items.map(worker)) with at most `limit` workers in flight
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+  return results;
+}
+
+// Ids must be non-empty strings or integers; duplicates are dropped
+function normalizeIds(ids) {
+  const errors = [];
+  const seen = new Set();
+  ids.forEach((id, index) => {
+    const valid = (typeof id === 'string' && id.trim() !== '' && id.length <= 100) || Number.isInteger(id);
+    if (!valid) {
+      errors.push({ field: `ids[${index}]`, message: 'ids must be non-empty strings or integers' });
+      return;
+    }
+    seen.add(String(id).trim());
+  });
+  return { ids: [...seen], errors };
+}
+
+// Outcome of one backend call, using the codes of the error envelope
+function outcomeFromResult(result, fallbackMessage) {
+  if (result.ok && !result.isEmpty && !result.isJson) {
+    return {
+      ok: false,
+      status: 502,
+      code: 'BACKEND_INVALID_RESPONSE',
+      error: 'Backend returned an unexpected response format.',
+      backendStatus: result.status,
+    };
+  }
+  if (result.ok) {
+    return { ok: true, status: result.status };
+  }
+  if (result.status === 401 || result.status === 403) {
+    return { ok: false, status: result.status, code: 'SESSION_EXPIRED', error: 'Session expired or invalid token.' };
+  }
+  return {
+    ok: false,
+    status: result.status >= 500 ? 502 : result.status,
+    code: 'BACKEND_ERROR',
+    error: (result.data && (result.data.error || result.data.message)) || fallbackMessage,
+    backendStatus: result.status,
+  };
+}
+
+function outcomeFromError(error, fallbackMessage, logger = defaultLogger) {
+  if (error instanceof BackendError) {
+    return { ok: false, status: error.code === 'BACKEND_TIMEOUT' ? 504 : 502, code: error.code, error: error.message };
+  }
+  logger.error('Bulk operation error', { error });
+  return { ok: false, status: 500, code: 'INTERNAL_ERROR', error: fallbackMessage };
+}
+
+// Runs `worker(id)` for every id. The worker resolves to an outcome
+// ({ ok, status, code, error }); thrown errors become failed outcomes.
+async function runBulk(ids, worker, { concurrency = DEFAULT_CONCURRENCY, fallbackMessage = 'Operation failed.', logger } = {}) {
+  const results = await mapWithConcurrency(ids, concurrency, async (id) => {
+    try {
+      return { id, ...(await worker(id)) };
+    } catch (error) {
+      return { id, ...outcomeFromError(error, fallbackMessage, logger) };
+    }
+  });
+  const succeeded = results.filter((result) => result.ok).length;
+  return { total: results.length, succeeded, failed: results.length - succeeded, results };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_IDS,
+  DEFAULT_CONCURRENCY,
+  mapWithConcurrency,
+  normalizeIds,
+  outcomeFromResult,
+  outcomeFromError,
+  runBulk,
+};
@@ -0,0 +1,237 @@
+// Proxy configuration, read once at startup from the environment and an
+// optional JSON or YAML file (CONFIG_FILE). Environment variables win over the
+// file. Every setting is type-checked up front, so a bad value stops the
+// start with a message naming it instead of failing on the first request.
+//
+// The file uses the setting names below, e.g.
+//   backendUrl: https://incidents.internal
+//   cookie:
+//     sameSite: Strict
+//   corsOrigins: [https://status.example.com]
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { LEVELS } = require('./logger');
+const { ROLES } = require('./permissions');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('./webhooks');
+const { INCIDENT_TYPES } = require('./incidentModel');
+const { DEFAULT_SLA_MINUTES } = require('./incidentStats');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers turn an env string or file value into the setting's value, or throw
+// with what was expected. File values may already have the right type.
+const parsers = {
+  string(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') throw new Error('must be a string');
+    return String(value);
+  },
+  integer(value, { min = 0 } = {}) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(number) || number < min || String(value).trim() === '') {
+      throw new Error(`must be an integer of at least ${min}`);
+    }
+    return number;
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return true;
+    if (['false', '0', 'no'].includes(text)) return false;
+    throw new Error('must be true or false');
+  },
+  oneOf(value, { values }) {
+    const match = values.find((allowed) => allowed.toLowerCase() === String(value).trim().toLowerCase());
+    if (!match) throw new Error(`must be one of: ${values.join(', ')}`);
+    return match;
+  },
+  url(value) {
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch (error) {
+      throw new Error('must be an absolute http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('must be an absolute http(s) URL');
+    return url.toString().replace(/\/$/, '');
+  },
+  routePath(value) {
+    const text = parsers.string(value);
+    if (!text.startsWith('/')) throw new Error('must be a path starting with /');
+    return text;
+  },
+  // Comma separated in env, a list in the file
+  list(value, { item = (entry) => entry } = {}) {
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    return entries.map((entry) => String(entry).trim()).filter(Boolean).map(item);
+  },
+  origins(value) {
+    return parsers.list(value, {
+      item(entry) {
+        const url = new URL(parsers.url(entry));
+        if (url.pathname !== '/' || url.search) throw new Error(`"${entry}" is not an origin (scheme://host[:port])`);
+        return url.origin;
+      },
+    });
+  },
+  // "outage=60,default=720" in env, a mapping in the file; merged into the defaults
+  slaMinutes(value) {
+    const pairs = typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(value)
+      : parsers.list(value).map((entry) => entry.split('=').map((part) => part.trim()));
+    const keys = ['default', ...INCIDENT_TYPES.map((type) => type.value)];
+    const minutes = { ...DEFAULT_SLA_MINUTES };
+    pairs.forEach(([key, amount]) => {
+      if (!keys.includes(key)) throw new Error(`"${key}" is not an incident type (or default)`);
+      try {
+        minutes[key] = parsers.integer(amount ?? '', { min: 1 });
+      } catch (error) {
+        throw new Error(`${key} ${error.message}`);
+      }
+    });
+    return minutes;
+  },
+  // A JSON array in env, a list of mappings in the file:
+  //   { name, url, format: slack|json, secret, events: [created, escalated, severity_changed] }
+  webhooks(value) {
+    let entries = value;
+    if (typeof value === 'string') {
+      try {
+        entries = JSON.parse(value);
+      } catch (error) {
+        throw new Error('must be a JSON array of webhook endpoints');
+      }
+    }
+    if (!Array.isArray(entries)) throw new Error('must be a list of webhook endpoints');
+    const names = new Set();
+    return entries.map((entry, index) => {
+      const label = `webhook ${index + 1}`;
+      const check = (field, read) => {
+        try {
+          return read();
+        } catch (error) {
+          throw new Error(`${label}: ${field} ${error.message}`);
+        }
+      };
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`${label} must be a mapping`);
+      const unknown = Object.keys(entry).filter((key) => !['name', 'url', 'format', 'secret', 'events'].includes(key));
+      if (unknown.length) throw new Error(`${label}: unknown field ${unknown.join(', ')}`);
+      const name = entry.name === undefined ? `webhook-${index + 1}` : check('name', () => parsers.string(entry.name));
+      if (names.has(name)) throw new Error(`${label}: the name "${name}" is used twice`);
+      names.add(name);
+      return {
+        name,
+        url: check('url', () => parsers.url(entry.url)),
+        format: entry.format === undefined ? 'json' : check('format', () => parsers.oneOf(entry.format, { values: WEBHOOK_FORMATS })),
+        secret: entry.secret === undefined || entry.secret === null ? null : check('secret', () => parsers.string(entry.secret)),
+        events: entry.events === undefined
+          ? [...WEBHOOK_EVENTS]
+          : check('events', () => parsers.list(entry.events, { item: (event) => parsers.oneOf(event, { values: WEBHOOK_EVENTS }) })),
+      };
+    });
+  },
+};
+
+// name (path in the file) -> how to read it
+const SETTINGS = {
+  port: { env: 'PORT', type: 'integer', min: 1, default: 8080 },
+  backendUrl: { env: 'BACKEND_API_URL', type: 'url', default: 'http://localhost:3000' },
+  backendTimeoutMs: { env: 'BACKEND_TIMEOUT_MS', type: 'integer', min: 1, default: 10000 },
+  backendRetries: { env: 'BACKEND_RETRIES', type: 'integer', default: 2 },
+  backendRefreshPath: { env: 'BACKEND_REFRESH_PATH', type: 'routePath', default: '/api/refresh' },
+  backendHealthPath: { env: 'BACKEND_HEALTH_PATH', type: 'routePath', default: '/' },
+  backendSessionPath: { env: 'BACKEND_SESSION_PATH', type: 'routePath', default: '/api/incidents?page=1&pageSize=1' },
+  sessionCheckCacheMs: { env: 'SESSION_CHECK_CACHE_MS', type: 'integer', default: 30000 },
+  backendHistory: { env: 'BACKEND_HISTORY', type: 'oneOf', values: ['auto', 'on', 'off'], default: 'auto' },
+  backendComments: { env: 'BACKEND_COMMENTS', type: 'oneOf', values: ['auto', 'on', 'off'], default: 'auto' },
+  defaultRole: { env: 'DEFAULT_ROLE', type: 'oneOf', values: ROLES, default: 'responder' },
+  logLevel: { env: 'LOG_LEVEL', type: 'oneOf', values: Object.keys(LEVELS), default: 'info' },
+  historyStoreFile: { env: 'HISTORY_STORE_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'incident-history.json') },
+  commentStoreFile: { env: 'COMMENT_STORE_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'incident-comments.json') },
+  csrfSecret: { env: 'CSRF_SECRET', type: 'string', default: null },
+  csrfTrustedOrigins: { env: 'CSRF_TRUSTED_ORIGINS', type: 'origins', default: [] },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'origins', default: [] },
+  trustedProxies: { env: 'TRUSTED_PROXIES', type: 'list', default: [] },
+  incidentPollIntervalMs: { env: 'INCIDENT_POLL_INTERVAL_MS', type: 'integer', min: 1, default: 15000 },
+  bulkConcurrency: { env: 'BULK_CONCURRENCY', type: 'integer', min: 1, default: 5 },
+  readinessCacheMs: { env: 'READINESS_CACHE_MS', type: 'integer', default: 5000 },
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: null },
+  slaMinutes: { env: 'SLA_MINUTES', type: 'slaMinutes', default: DEFAULT_SLA_MINUTES },
+  // `sensitive` settings are never echoed in error messages (webhook URLs and secrets)
+  webhooks: { env: 'WEBHOOKS', type: 'webhooks', default: [], sensitive: true },
+  webhookTimeoutMs: { env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+  webhookMaxAttempts: { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+  webhookRetryDelayMs: { env: 'WEBHOOK_RETRY_DELAY_MS', type: 'integer', min: 1, default: 10000 },
+  webhookStoreFile: { env: 'WEBHOOK_STORE_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'webhook-deliveries.json') },
+  requestTimeoutMs: { env: 'REQUEST_TIMEOUT_MS', type: 'integer', min: 1, default: 60000 },
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 1, default: 10000 },
+  'cookie.secure': { env: 'COOKIE_SECURE', type: 'boolean', default: null }, // null: on when NODE_ENV=production
+  'cookie.sameSite': { env: 'COOKIE_SAME_SITE', type: 'oneOf', values: ['Strict', 'Lax', 'None'], default: 'Lax' },
+  'cookie.domain': { env: 'COOKIE_DOMAIN', type: 'string', default: null },
+  'cookie.fallbackMaxAgeMs': { env: 'SESSION_FALLBACK_MAX_AGE_MS', type: 'integer', min: 1, default: 3600000 },
+};
+
+function readFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE: cannot read ${file} (${error.code || error.message})`]);
+  }
+  try {
+    const data = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+    if (data === null || data === undefined) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) throw new Error('the top level must be a mapping');
+    return data;
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE: ${file} is not valid ${/\.json$/i.test(file) ? 'JSON' : 'YAML'}: ${error.message}`]);
+  }
+}
+
+const lookup = (data, name) => name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+
+// Returns the validated settings as a nested object (cookie.* under `cookie`);
+// throws a ConfigError listing every invalid or unknown setting.
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const fileData = file ? readFile(file) : {};
+  const problems = [];
+  const config = { cookie: {} };
+
+  const known = new Set(Object.keys(SETTINGS).map((name) => name.split('.')[0]));
+  Object.keys(fileData).filter((key) => !known.has(key)).forEach((key) => {
+    problems.push(`${key} (in ${file}): unknown setting`);
+  });
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    const raw = fromEnv ? env[setting.env] : lookup(fileData, name);
+    let value = setting.default;
+    if (raw !== undefined && raw !== null) {
+      try {
+        value = parsers[setting.type](raw, setting);
+      } catch (error) {
+        const source = fromEnv ? setting.env : `${name} (in ${file})`;
+        problems.push(setting.sensitive ? `${source}: ${error.message}` : `${source}: ${error.message} (got ${JSON.stringify(raw)})`);
+      }
+    }
+    const [group, key] = name.split('.');
+    if (key) config[group][key] = value; else config[name] = value;
+  }
+
+  if (config.cookie.secure === null) config.cookie.secure = env.NODE_ENV === 'production';
+  if (config.cookie.sameSite === 'None' && !config.cookie.secure) {
+    problems.push('COOKIE_SAME_SITE: None requires COOKIE_SECURE=true (browsers drop the cookie otherwise)');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+module.exports = { SETTINGS, ConfigError, loadConfig };
@@ -0,0 +1,31 @@
+// CORS for the /api routes, for dashboards served from another origin.
+// Only the configured origins get CORS headers; credentials (the session
+// cookie) are allowed, so the list must never contain '*'.
+
+const ALLOWED_METHODS = 'GET, POST, PUT, DELETE';
+const ALLOWED_HEADERS = 'Content-Type, X-CSRF-Token, If-Match, X-Request-Id';
+const EXPOSED_HEADERS = 'ETag, X-Request-Id, Retry-After';
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+function cors({ origins = [] } = {}) {
+  const allowed = new Set(origins);
+
+  return (req, res, next) => {
+    const origin = req.get('origin');
+    res.vary('Origin');
+    if (!origin || !allowed.has(origin)) return next();
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    if (req.method === 'OPTIONS' && req.get('access-control-request-method')) {
+      res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+      res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+      res.setHeader('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE_SECONDS));
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+module.exports = { cors };
@@ -0,0 +1,65 @@
+// CSRF protection for the cookie-authenticated /api routes.
+// The token is an HMAC of the session JWT, so it is bound to the session,
+// needs no server-side storage and cannot be derived by another site.
+// Browsers get it from the login response or GET /api/csrf and send it back
+// in the X-CSRF-Token header on every state-changing request.
+
+const crypto = require('crypto');
+const { sendError } = require('./proxy');
+
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function createCsrfProtection({ secret, allowedOrigins = [] } = {}) {
+  // Without a configured secret tokens only survive until the next restart;
+  // the browser then fetches a fresh one from /api/csrf
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const trustedOrigins = new Set(allowedOrigins.map((origin) => origin.replace(/\/$/, '')));
+
+  const tokenFor = (sessionToken) => crypto.createHmac('sha256', key).update(String(sessionToken)).digest('base64url');
+
+  function isValid(sessionToken, candidate) {
+    if (!sessionToken || typeof candidate !== 'string') return false;
+    const expected = Buffer.from(tokenFor(sessionToken));
+    const actual = Buffer.from(candidate);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Same host as the request, or an explicitly trusted origin
+  function isTrustedOrigin(req, origin) {
+    try {
+      const url = new URL(origin);
+      return url.host === req.get('host') || trustedOrigins.has(url.origin);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Rejects cross-site state-changing requests by their Origin (or Referer).
+  // Requests without either header do not come from a browser page.
+  function checkOrigin(req, res, next) {
+    if (SAFE_METHODS.has(req.method)) return next();
+    const origin = req.get('origin') || req.get('referer');
+    if (origin && !isTrustedOrigin(req, origin)) {
+      return sendError(req, res, 403, 'CSRF_ORIGIN_REJECTED', 'Cross-site request rejected.');
+    }
+    next();
+  }
+
+  // Requires a valid X-CSRF-Token for the session in the jwtToken cookie
+  function requireToken(req, res, next) {
+    const sessionToken = req.cookies.jwtToken;
+    if (!sessionToken) {
+      // Nothing a forged request could act on; routes enforce auth themselves
+      return next();
+    }
+    if (!isValid(sessionToken, req.get(CSRF_HEADER))) {
+      return sendError(req, res, 403, 'CSRF_INVALID', 'Missing or invalid CSRF token. Please reload the page.');
+    }
+    next();
+  }
+
+  return { tokenFor, checkOrigin, requireToken };
+}
+
+module.exports = { createCsrfProtection, CSRF_HEADER };
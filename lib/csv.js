@@ -0,0 +1,92 @@
+// Minimal RFC 4180 CSV reading and writing for incident export/import.
+
+// Spreadsheets run cells starting with these as formulas; exported cells get
+// a leading apostrophe, which parseCsv's callers strip again on import
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (CRLF terminated) from a list of values
+function formatRow(values) {
+  return `${values.map(escapeCell).join(',')}\r\n`;
+}
+
+// Undoes the formula guard added by escapeCell
+function unescapeFormula(text) {
+  return text.length > 1 && text[0] === "'" && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+class CsvError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+// Parses CSV text into an array of rows (arrays of strings).
+// Handles quoted fields with commas, quotes and line breaks; blank lines are skipped.
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let fieldStarted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+        const next = input[i + 1];
+        if (next !== undefined && next !== ',' && next !== '\r' && next !== '\n') {
+          throw new CsvError('Unexpected character after closing quote', line);
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+  if (quoted) {
+    throw new CsvError('Unterminated quoted field', line);
+  }
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+module.exports = { formatRow, parseCsv, unescapeFormula, CsvError };
@@ -0,0 +1,47 @@
+// Readiness probe for GET /readyz. The backend check is cached for `cacheMs`
+// and concurrent callers share one probe, so a busy orchestrator or load
+// balancer cannot turn health checks into load on the backend.
+
+const DEFAULT_CACHE_MS = 5000;
+
+// `check()` resolves to { ready, ...details } and must not throw
+function createReadinessProbe({ check, cacheMs = DEFAULT_CACHE_MS, now = Date.now }) {
+  let cached = null;
+  let inFlight = null;
+
+  async function probe() {
+    if (cached && now() - cached.checkedAt < cacheMs) {
+      return cached.result;
+    }
+    if (!inFlight) {
+      inFlight = Promise.resolve()
+        .then(check)
+        .catch((error) => ({ ready: false, error: error.message }))
+        .then((result) => {
+          const checkedAt = now();
+          cached = { checkedAt, result: { ...result, checkedAt: new Date(checkedAt).toISOString() } };
+          return cached.result;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  return { probe };
+}
+
+// Readiness check against the backend: any HTTP answer below 500 means it is up
+function backendCheck(backend, path = '/', timeoutMs = 2000) {
+  return async () => {
+    try {
+      const result = await backend.request('GET', path, { retries: 0, timeoutMs });
+      return { ready: result.status < 500, backendStatus: result.status };
+    } catch (error) {
+      return { ready: false, error: error.code || error.message };
+    }
+  };
+}
+
+module.exports = { DEFAULT_CACHE_MS, createReadinessProbe, backendCheck };
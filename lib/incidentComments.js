@@ -0,0 +1,50 @@
+// Comment threads on incidents, kept by the proxy for backends without comments.
+// Bodies are stored as the markdown the user wrote; the dashboard renders it
+// without ever interpreting HTML.
+
+const crypto = require('crypto');
+
+// A thread this long is a chat log; stop it before it bloats the store
+const MAX_COMMENTS_PER_INCIDENT = 1000;
+
+function createIncidentComments({ store }) {
+  const thread = (incidentId) => store.get(String(incidentId)) || [];
+
+  // Oldest first
+  function list(incidentId) {
+    return [...thread(incidentId)].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  const isFull = (incidentId) => thread(incidentId).length >= MAX_COMMENTS_PER_INCIDENT;
+
+  function add(incidentId, { author, body }) {
+    const comment = {
+      id: crypto.randomUUID(),
+      incidentId: String(incidentId),
+      author,
+      body,
+      createdAt: new Date().toISOString(),
+    };
+    store.set(String(incidentId), [...thread(incidentId), comment]);
+    return comment;
+  }
+
+  const get = (incidentId, commentId) => thread(incidentId).find((comment) => comment.id === commentId) || null;
+
+  function remove(incidentId, commentId) {
+    const comments = thread(incidentId);
+    const remaining = comments.filter((comment) => comment.id !== commentId);
+    if (remaining.length === comments.length) return false;
+    if (remaining.length) store.set(String(incidentId), remaining); else store.delete(String(incidentId));
+    return true;
+  }
+
+  // Drops the whole thread, e.g. when the incident is deleted
+  function removeAll(incidentId) {
+    if (store.get(String(incidentId))) store.delete(String(incidentId));
+  }
+
+  return { list, isFull, add, get, remove, removeAll };
+}
+
+module.exports = { createIncidentComments, MAX_COMMENTS_PER_INCIDENT };
@@ -0,0 +1,218 @@
+// Live incident updates for GET /api/incidents/stream (Server-Sent Events).
+// Events come from the proxy's own mutating routes and, as a fallback for
+// changes made elsewhere, from periodically diffing the backend list.
+
+const { createLogger } = require('./logger');
+const { toListResponse, MAX_PAGE_SIZE } = require('./incidentQuery');
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const DEFAULT_HISTORY_SIZE = 200;
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RECONNECT_DELAY_MS = 5000;
+
+const EVENT_TYPES = ['created', 'updated', 'deleted', 'escalated'];
+
+// `checkSession(token)` resolves to null while the backend still accepts a
+// client's token, otherwise to the backend's answer (see lib/sessionCheck.js).
+// `canRead(token, incidentId)` resolves to whether that session may read the
+// incident; other clients do not get its events.
+function createIncidentEvents({ backend, pollIntervalMs, historySize, checkSession = async () => null, canRead = async () => true, logger = createLogger() } = {}) {
+  const interval = pollIntervalMs > 0 ? pollIntervalMs : DEFAULT_POLL_INTERVAL_MS;
+  const maxHistory = historySize > 0 ? historySize : DEFAULT_HISTORY_SIZE;
+
+  const clients = new Set();
+  // Recent events kept for replay when a client reconnects with Last-Event-ID
+  const history = [];
+  // Last known state of every incident, keyed by id, used for diffing. Only
+  // ever taken from the backend list, whose items may differ in shape from
+  // the single-incident answers published by the proxy's routes.
+  const snapshot = new Map();
+  // Incidents the proxy published since the last diff: their next list entry
+  // is taken into the snapshot without another event
+  const published = new Set();
+  let snapshotReady = false;
+  let lastEventId = 0;
+  let pollTimer = null;
+  let polling = false;
+
+  const write = (client, event) => {
+    client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Writes the event if the client's session may read the incident. Deletions
+  // carry no incident and go to everyone. Queued per client to keep the order.
+  const deliver = (client, event) => {
+    client.queue = client.queue.then(async () => {
+      if (event.type !== 'deleted' && !(await canRead(client.token, event.data.id))) return;
+      if (clients.has(client)) write(client, event);
+    }).catch((error) => {
+      logger.warn('Incident stream delivery failed', { error: error.message });
+    });
+  };
+
+  function emit(type, incidentId, incident) {
+    const event = {
+      id: ++lastEventId,
+      type,
+      data: { id: incidentId, incident, at: new Date().toISOString() },
+    };
+    history.push(event);
+    if (history.length > maxHistory) {
+      history.shift();
+    }
+    clients.forEach((client) => deliver(client, event));
+    return event;
+  }
+
+  function publish(type, incidentId, incident = null) {
+    if (!EVENT_TYPES.includes(type) || incidentId === undefined || incidentId === null) {
+      return null;
+    }
+    if (snapshotReady) {
+      published.add(String(incidentId));
+    }
+    return emit(type, incidentId, incident);
+  }
+
+  // Compares the backend list with the last snapshot and publishes the differences
+  function diff(incidents) {
+    const seen = new Set();
+    incidents.forEach((incident) => {
+      if (!incident || incident.id === undefined || incident.id === null) return;
+      const key = String(incident.id);
+      const serialized = JSON.stringify(incident);
+      seen.add(key);
+      if (snapshotReady && !published.has(key)) {
+        if (!snapshot.has(key)) {
+          emit('created', incident.id, incident);
+        } else if (snapshot.get(key) !== serialized) {
+          emit('updated', incident.id, incident);
+        }
+      }
+      snapshot.set(key, serialized);
+    });
+    [...snapshot.keys()].filter((key) => !seen.has(key)).forEach((key) => {
+      snapshot.delete(key);
+      if (snapshotReady && !published.has(key)) {
+        emit('deleted', key, null);
+      }
+    });
+    published.clear();
+    snapshotReady = true;
+  }
+
+  const isRejection = (result) => result && (result.status === 401 || result.status === 403);
+
+  // Ends the streams of clients whose session has been revoked or was never
+  // genuine, so no client keeps receiving events on someone else's session
+  async function dropRejectedClients() {
+    await Promise.all([...clients].map(async (client) => {
+      try {
+        if (isRejection(await checkSession(client.token))) {
+          client.close();
+        }
+      } catch (error) {
+        // Backend unreachable: keep the client until it can be asked again
+        logger.warn('Incident stream session check failed', { error: error.message });
+      }
+    }));
+  }
+
+  // Every incident the backend has, walking its pages. Resolves to
+  // { incidents }, or to { result } with the answer that ended the walk early.
+  async function listAll(token) {
+    const incidents = [];
+    for (let page = 1; ; page++) {
+      const query = { page, pageSize: MAX_PAGE_SIZE };
+      const result = await backend.request('GET', '/api/incidents', { token, query, retries: 0 });
+      if (!result.ok || !result.isJson) return { result };
+      // A backend that ignores the query sends everything at once
+      if (Array.isArray(result.data)) return { incidents: result.data };
+      const list = toListResponse(result.data, query);
+      if (!list) return { result };
+      incidents.push(...list.items);
+      if (!list.items.length || page * list.pageSize >= list.total) return { incidents };
+    }
+  }
+
+  async function poll() {
+    if (!clients.size || polling) return;
+    polling = true;
+    try {
+      await dropRejectedClients();
+      // Any remaining client's session is good enough to read the list
+      const client = [...clients][0];
+      if (!client) return;
+      const { incidents, result } = await listAll(client.token);
+      if (isRejection(result)) {
+        // That session is gone; drop it so the browser re-authenticates
+        client.close();
+        return;
+      }
+      // Only a complete list can tell which incidents were deleted
+      if (incidents) {
+        diff(incidents);
+      }
+    } catch (error) {
+      logger.warn('Incident stream poll failed', { error: error.message });
+    } finally {
+      polling = false;
+    }
+  }
+
+  function startPolling() {
+    if (!pollTimer) {
+      pollTimer = setInterval(poll, interval);
+      poll();
+    }
+  }
+
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    // Without a poller the snapshot goes stale, so rebuild it next time
+    snapshotReady = false;
+    published.clear();
+  }
+
+  // Registers an SSE response; replays missed events after lastSeenId
+  function subscribe(res, { token, lastSeenId } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const client = { res, token, queue: Promise.resolve(), close: () => res.end() };
+    clients.add(client);
+    const seenId = Number(lastSeenId);
+    if (Number.isInteger(seenId) && seenId > 0) {
+      history.filter((event) => event.id > seenId).forEach((event) => deliver(client, event));
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    startPolling();
+
+    const unsubscribe = () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+      if (!clients.size) {
+        stopPolling();
+      }
+    };
+    res.on('close', unsubscribe);
+    return unsubscribe;
+  }
+
+  // Ends every stream (e.g. on shutdown); browsers reconnect after the retry delay
+  function close() {
+    [...clients].forEach((client) => client.close());
+    stopPolling();
+  }
+
+  return { publish, subscribe, diff, close };
+}
+
+module.exports = { createIncidentEvents, EVENT_TYPES };
@@ -0,0 +1,45 @@
+// Activity timeline of incidents (create / edit / escalate / delete).
+// Recorded by the proxy for backends that keep no history of their own.
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['created', 'updated', 'escalated', 'deleted'];
+// Keeps a single busy incident from growing the store without bound
+const MAX_EVENTS_PER_INCIDENT = 500;
+
+// Field-level changes between the stored incident and the submitted update.
+// Only fields present in `update` are compared, as that is what was edited.
+function diffFields(before = {}, update = {}) {
+  return Object.keys(update)
+    .filter((field) => field !== 'id')
+    .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(update[field] ?? null))
+    .map((field) => ({ field, from: before[field] ?? null, to: update[field] ?? null }));
+}
+
+function createIncidentHistory({ store }) {
+  function record(incidentId, type, actor, changes = []) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown incident history event type: ${type}`);
+    }
+    const key = String(incidentId);
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      actor,
+      at: new Date().toISOString(),
+      changes,
+    };
+    const events = [...(store.get(key) || []), event].slice(-MAX_EVENTS_PER_INCIDENT);
+    store.set(key, events);
+    return event;
+  }
+
+  // Oldest first
+  function list(incidentId) {
+    return [...(store.get(String(incidentId)) || [])].sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  return { record, list };
+}
+
+module.exports = { createIncidentHistory, diffFields };
@@ -0,0 +1,47 @@
+// Structured incident fields: controlled type vocabulary, severity levels
+// and the status lifecycle with its allowed transitions.
+
+const INCIDENT_TYPES = [
+  { value: 'outage', label: 'Outage' },
+  { value: 'degradation', label: 'Service degradation' },
+  { value: 'performance', label: 'Performance' },
+  { value: 'security', label: 'Security' },
+  { value: 'data-loss', label: 'Data loss' },
+  { value: 'maintenance', label: 'Maintenance' },
+  { value: 'other', label: 'Other' },
+];
+
+// SEV1 is the most severe
+const SEVERITIES = ['SEV1', 'SEV2', 'SEV3', 'SEV4'];
+const DEFAULT_SEVERITY = 'SEV3';
+
+const STATUSES = ['open', 'acknowledged', 'investigating', 'resolved', 'closed'];
+const INITIAL_STATUS = 'open';
+
+// Statuses each status may move to. Resolved incidents can be reopened for
+// investigation; closed is final.
+const STATUS_TRANSITIONS = {
+  open: ['acknowledged', 'investigating', 'resolved'],
+  acknowledged: ['investigating', 'resolved'],
+  investigating: ['resolved'],
+  resolved: ['investigating', 'closed'],
+  closed: [],
+};
+
+// Incidents created before statuses existed count as open
+const currentStatus = (incident) => (incident && STATUSES.includes(incident.status) ? incident.status : INITIAL_STATUS);
+
+function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+  INCIDENT_TYPES,
+  SEVERITIES,
+  DEFAULT_SEVERITY,
+  STATUSES,
+  INITIAL_STATUS,
+  STATUS_TRANSITIONS,
+  currentStatus,
+  canTransition,
+};
@@ -0,0 +1,103 @@
+// Search, filtering, sorting and pagination for GET /api/incidents.
+// The parameters are forwarded to the backend; if the backend ignores them
+// (i.e. it answers with a plain array) the same rules are applied here.
+
+const SORT_FIELDS = ['id', 'title', 'type', 'severity', 'status', 'reporter', 'assignee', 'resource_id'];
+const FILTER_FIELDS = ['type', 'reporter', 'resource_id'];
+const SEARCH_FIELDS = ['title', 'description', 'reporter', 'assignee', 'type', 'resource_id'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toPositiveInt = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const normalize = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+// Turns raw query string values into a clean, bounded set of options
+function parseListQuery(query = {}) {
+  const single = (value) => (Array.isArray(value) ? value[0] : value);
+  const text = (value) => (typeof single(value) === 'string' ? single(value).trim() : '');
+
+  const sort = SORT_FIELDS.includes(text(query.sort)) ? text(query.sort) : '';
+  return {
+    q: text(query.q),
+    type: text(query.type),
+    reporter: text(query.reporter),
+    resource_id: text(query.resource_id),
+    sort,
+    order: text(query.order) === 'desc' ? 'desc' : 'asc',
+    page: toPositiveInt(single(query.page), 1),
+    pageSize: Math.min(toPositiveInt(single(query.pageSize), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+  };
+}
+
+// Distinct values offered in the dashboard's filter inputs
+function collectFacets(incidents) {
+  const distinct = (field) => [...new Set(incidents
+    .map((incident) => incident[field])
+    .filter((value) => value !== undefined && value !== null && value !== '')
+    .map(String))].sort((a, b) => a.localeCompare(b));
+  return { types: distinct('type'), reporters: distinct('reporter') };
+}
+
+function matches(incident, options) {
+  for (const field of FILTER_FIELDS) {
+    if (options[field] && normalize(incident[field]) !== normalize(options[field])) {
+      return false;
+    }
+  }
+  if (options.q) {
+    const needle = normalize(options.q);
+    return SEARCH_FIELDS.some((field) => normalize(incident[field]).includes(needle));
+  }
+  return true;
+}
+
+// Applies the options to a full incident list and returns one page of it
+function applyListQuery(incidents, options) {
+  let items = incidents.filter((incident) => matches(incident, options));
+
+  if (options.sort) {
+    const direction = options.order === 'desc' ? -1 : 1;
+    items = [...items].sort((a, b) => direction * String(a[options.sort] ?? '')
+      .localeCompare(String(b[options.sort] ?? ''), undefined, { numeric: true, sensitivity: 'base' }));
+  }
+
+  const total = items.length;
+  const start = (options.page - 1) * options.pageSize;
+  return {
+    items: items.slice(start, start + options.pageSize),
+    total,
+    page: options.page,
+    pageSize: options.pageSize,
+    facets: collectFacets(incidents),
+  };
+}
+
+// Normalizes whatever the backend sent into { items, total, page, pageSize }
+function toListResponse(data, options) {
+  if (Array.isArray(data)) {
+    return applyListQuery(data, options);
+  }
+  if (data && Array.isArray(data.items)) {
+    return {
+      items: data.items,
+      total: Number.isInteger(data.total) ? data.total : data.items.length,
+      page: toPositiveInt(data.page, options.page),
+      pageSize: toPositiveInt(data.pageSize, options.pageSize),
+      facets: data.facets || collectFacets(data.items),
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  parseListQuery,
+  applyListQuery,
+  toListResponse,
+};
@@ -0,0 +1,148 @@
+// Aggregates for GET /api/incidents/stats: counts per field, escalation state,
+// age of the unresolved incidents, incidents created per day and SLA timers.
+// Incidents carry no timestamps of their own on every backend, so creation
+// and escalation times fall back to the history the proxy recorded.
+
+const { currentStatus } = require('./incidentModel');
+
+// Statuses in which the SLA clock has stopped
+const DONE_STATUSES = ['resolved', 'closed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Upper bounds of the age buckets; the last one is open ended
+const AGE_BUCKETS = [
+  { bucket: 'lt1h', label: '< 1 hour', maxMs: HOUR_MS },
+  { bucket: '1to4h', label: '1–4 hours', maxMs: 4 * HOUR_MS },
+  { bucket: '4to24h', label: '4–24 hours', maxMs: DAY_MS },
+  { bucket: '1to7d', label: '1–7 days', maxMs: 7 * DAY_MS },
+  { bucket: 'gt7d', label: '> 7 days', maxMs: Infinity },
+];
+
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 90;
+const MAX_SLA_TIMERS = 100;
+
+// Minutes to resolve an incident, per type; `default` covers the rest
+const DEFAULT_SLA_MINUTES = {
+  default: 1440,
+  outage: 60,
+  security: 60,
+  'data-loss': 120,
+  degradation: 240,
+};
+
+const timeOf = (value) => {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// First time found among the incident's own fields, then the recorded history
+function createdAtOf(incident, events = []) {
+  const own = [incident.created_at, incident.createdAt, incident.created].map(timeOf).find((time) => time !== null);
+  if (own !== undefined) return own;
+  const created = events.find((event) => event.type === 'created');
+  return created ? timeOf(created.at) : null;
+}
+
+function escalationOf(incident, events = []) {
+  const escalations = events.filter((event) => event.type === 'escalated');
+  const at = timeOf(incident.escalated_at) ?? timeOf(incident.escalatedAt) ?? (escalations.length ? timeOf(escalations.at(-1).at) : null);
+  return { escalated: Boolean(incident.escalated) || at !== null, at };
+}
+
+// [{ value, count }], most frequent first; missing values count as null
+function countBy(incidents, field) {
+  const counts = new Map();
+  incidents.forEach((incident) => {
+    const raw = incident[field];
+    const value = raw === undefined || raw === null || raw === '' ? null : String(raw);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts].map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value ?? '').localeCompare(String(b.value ?? '')));
+}
+
+const slaMinutesFor = (type, slaMinutes) => slaMinutes[type] ?? slaMinutes.default ?? DEFAULT_SLA_MINUTES.default;
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// `historyOf(id)` returns the events the proxy recorded for an incident
+function summarize(incidents, { historyOf = () => [], slaMinutes = DEFAULT_SLA_MINUTES, days = DEFAULT_DAYS, now = Date.now() } = {}) {
+  const rows = incidents.filter((incident) => incident && incident.id !== undefined && incident.id !== null).map((incident) => {
+    const events = historyOf(incident.id) || [];
+    return {
+      incident,
+      status: currentStatus(incident),
+      createdAt: createdAtOf(incident, events),
+      escalation: escalationOf(incident, events),
+    };
+  });
+  const unresolved = rows.filter((row) => !DONE_STATUSES.includes(row.status));
+
+  const ageBuckets = AGE_BUCKETS.map(({ bucket, label }) => ({ bucket, label, count: 0 }));
+  let unknownAge = 0;
+  unresolved.forEach((row) => {
+    if (row.createdAt === null) {
+      unknownAge += 1;
+      return;
+    }
+    const index = AGE_BUCKETS.findIndex(({ maxMs }) => now - row.createdAt < maxMs);
+    ageBuckets[index].count += 1;
+  });
+
+  const dayCount = Math.min(Math.max(Number.parseInt(days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const createdPerDay = Array.from({ length: dayCount }, (_, index) => ({ date: utcDay(now - (dayCount - 1 - index) * DAY_MS), count: 0 }));
+  const dayIndex = new Map(createdPerDay.map((day, index) => [day.date, index]));
+  rows.forEach((row) => {
+    if (row.createdAt !== null && dayIndex.has(utcDay(row.createdAt))) createdPerDay[dayIndex.get(utcDay(row.createdAt))].count += 1;
+  });
+
+  const timers = unresolved.filter((row) => row.createdAt !== null).map(({ incident, status, createdAt, escalation }) => {
+    const dueAt = createdAt + slaMinutesFor(incident.type, slaMinutes) * 60 * 1000;
+    return {
+      id: incident.id,
+      title: incident.title || null,
+      type: incident.type || null,
+      severity: incident.severity || null,
+      status,
+      escalated: escalation.escalated,
+      escalatedAt: escalation.at === null ? null : new Date(escalation.at).toISOString(),
+      createdAt: new Date(createdAt).toISOString(),
+      dueAt: new Date(dueAt).toISOString(),
+      remainingMs: dueAt - now,
+      breached: dueAt <= now,
+    };
+  }).sort((a, b) => a.remainingMs - b.remainingMs);
+
+  const all = rows.map((row) => row.incident);
+  const escalatedCount = rows.filter((row) => row.escalation.escalated).length;
+  // Unresolved escalated incidents and how long they have been waiting since escalating
+  const waits = unresolved.filter((row) => row.escalation.at !== null).map((row) => now - row.escalation.at);
+  return {
+    generatedAt: new Date(now).toISOString(),
+    total: rows.length,
+    unresolved: unresolved.length,
+    byType: countBy(all, 'type'),
+    byReporter: countBy(all, 'reporter'),
+    byResource: countBy(all, 'resource_id'),
+    byStatus: countBy(rows.map((row) => ({ status: row.status })), 'status'),
+    bySeverity: countBy(all, 'severity'),
+    escalation: {
+      escalated: escalatedCount,
+      notEscalated: rows.length - escalatedCount,
+      waiting: unresolved.filter((row) => row.escalation.escalated).length,
+      longestWaitMs: waits.length ? Math.max(...waits) : null,
+    },
+    ageBuckets,
+    unknownAge,
+    createdPerDay,
+    sla: {
+      minutes: slaMinutes,
+      breached: timers.filter((timer) => timer.breached).length,
+      timers: timers.slice(0, MAX_SLA_TIMERS),
+    },
+  };
+}
+
+module.exports = { summarize, createdAtOf, AGE_BUCKETS, DEFAULT_SLA_MINUTES, MAX_DAYS };
@@ -0,0 +1,92 @@
+// Incident export (CSV/JSON) and import for /api/incidents/export and
+// /api/incidents/import. Imported rows are checked with the same schema as
+// the create form (lib/schemas.js), so an import can create nothing the form could not.
+
+const { formatRow, parseCsv, unescapeFormula, CsvError } = require('./csv');
+const { validate } = require('./validation');
+const schemas = require('./schemas');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_FIELDS = ['id', 'title', 'description', 'type', 'severity', 'status', 'reporter', 'assignee', 'resource_id'];
+const IMPORT_FIELDS = Object.keys(schemas.createIncident.properties);
+const MAX_IMPORT_ROWS = 1000;
+
+const csvHeader = () => formatRow(EXPORT_FIELDS);
+const csvRow = (incident) => formatRow(EXPORT_FIELDS.map((field) => incident[field]));
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Turns an uploaded file into plain records ({ field: value } objects).
+// CSV needs a header row; JSON may be an array or { items: [...] } as exported.
+function readImport(body, format) {
+  let records;
+  if (format === 'csv') {
+    let rows;
+    try {
+      rows = parseCsv(typeof body === 'string' ? body : '');
+    } catch (error) {
+      if (error instanceof CsvError) throw new ImportError(`Invalid CSV: ${error.message}`);
+      throw error;
+    }
+    if (!rows.length) throw new ImportError('The file is empty.');
+    const header = rows[0].map((name) => name.trim().toLowerCase());
+    records = rows.slice(1).map((cells) => {
+      const record = {};
+      header.forEach((name, index) => {
+        const cell = unescapeFormula(cells[index] || '');
+        // Empty cells mean "not set", like empty optional form fields
+        if (name && cell.trim() !== '') record[name] = cell;
+      });
+      return record;
+    });
+  } else {
+    records = Array.isArray(body) ? body : body && body.items;
+    if (!Array.isArray(records)) {
+      throw new ImportError('JSON imports must be an array of incidents.');
+    }
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Too many rows (${records.length}); the limit is ${MAX_IMPORT_ROWS}.`);
+  }
+  return records;
+}
+
+// Validates every record. Fields the create form does not have (e.g. the
+// id and status columns of an export) are ignored and listed once.
+function prepareImport(records) {
+  const ignored = new Set();
+  const rows = records.map((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { row: index + 1, value: null, errors: [{ field: null, message: 'Row must be an object' }] };
+    }
+    const input = {};
+    Object.keys(record).forEach((field) => {
+      if (record[field] === null) return;
+      if (IMPORT_FIELDS.includes(field)) {
+        input[field] = record[field];
+      } else {
+        ignored.add(field);
+      }
+    });
+    const { value, errors } = validate(schemas.createIncident, input);
+    return { row: index + 1, value, errors };
+  });
+  return { rows, ignoredFields: [...ignored] };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  ImportError,
+  csvHeader,
+  csvRow,
+  readImport,
+  prepareImport,
+};
@@ -0,0 +1,49 @@
+// Incident versions (ETags) for optimistic concurrency on PUT /api/incidents/:id.
+// A backend that sends its own ETag, or a `version` field, is used as is;
+// otherwise the version is a hash of the incident as the backend returns it,
+// so a change to any field yields a new version.
+
+const crypto = require('crypto');
+
+// JSON with object keys sorted, so field order does not change the hash
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function computeVersion(incident) {
+  return `"${crypto.createHash('sha256').update(canonicalJson(incident)).digest('base64url').slice(0, 27)}"`;
+}
+
+// { etag, fromBackend } for a backend answer carrying an incident, or null.
+// `fromBackend` means the backend understands its own ETags (If-Match can be forwarded).
+function versionOf(result) {
+  const header = result.headers && typeof result.headers.get === 'function' ? result.headers.get('etag') : null;
+  if (header) {
+    return { etag: header, fromBackend: true };
+  }
+  if (!result.isJson || !result.data || typeof result.data !== 'object' || Array.isArray(result.data)) {
+    return null;
+  }
+  if (result.data.version !== undefined && result.data.version !== null) {
+    return { etag: `"v${String(result.data.version).replace(/"/g, '')}"`, fromBackend: false };
+  }
+  return { etag: computeVersion(result.data), fromBackend: false };
+}
+
+// If-Match check; '*' matches any version and weak tags (W/"...") compare by value
+function ifMatchSatisfied(ifMatch, etag) {
+  if (ifMatch.trim() === '*') return true;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifMatch.split(',').map(opaque).includes(opaque(etag));
+}
+
+module.exports = { canonicalJson, computeVersion, versionOf, ifMatchSatisfied };
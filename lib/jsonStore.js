@@ -0,0 +1,68 @@
+// Tiny key/value store kept in memory and, if a file is given, persisted as JSON.
+// Used for data the proxy has to keep itself because the backend does not.
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const WRITE_DELAY_MS = 100;
+
+function createJsonStore(file, { logger = createLogger() } = {}) {
+  let data = {};
+  let writeTimer = null;
+
+  if (file) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read store, starting empty', { file, error: error.message });
+      }
+    }
+  }
+
+  let writing = Promise.resolve();
+
+  // Writes go through a temp file so a crash never leaves half a file
+  function write() {
+    const tmpFile = `${file}.tmp`;
+    const snapshot = JSON.stringify(data);
+    writing = writing
+      .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+      .then(() => fs.promises.writeFile(tmpFile, snapshot))
+      .then(() => fs.promises.rename(tmpFile, file))
+      .catch((error) => logger.error('Could not write store', { file, error: error.message }));
+    return writing;
+  }
+
+  // Writes are batched
+  function persist() {
+    if (!file || writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      write();
+    }, WRITE_DELAY_MS);
+  }
+
+  return {
+    get: (key) => data[key],
+    set(key, value) {
+      data[key] = value;
+      persist();
+    },
+    delete(key) {
+      delete data[key];
+      persist();
+    },
+    keys: () => Object.keys(data),
+    // Writes a pending batch right away (e.g. on shutdown)
+    flush() {
+      if (!writeTimer) return writing;
+      clearTimeout(writeTimer);
+      writeTimer = null;
+      return write();
+    },
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,50 @@
+// Reads the claims of the backend-issued JWT.
+// The signature is NOT verified here: the backend does that on every proxied
+// call, the proxy only needs the claims for display and bookkeeping.
+
+function decodeJwt(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Name of the user behind a token, for audit trails
+function actorFromToken(token) {
+  const claims = decodeJwt(token);
+  if (!claims) return 'unknown';
+  return String(claims.username || claims.name || claims.sub || claims.user || 'unknown');
+}
+
+// Roles may come as a `roles` array or a single `role` claim
+function rolesFromClaims(claims) {
+  if (Array.isArray(claims.roles)) return claims.roles.map(String);
+  if (typeof claims.roles === 'string') return claims.roles.split(/[\s,]+/).filter(Boolean);
+  if (claims.role) return [String(claims.role)];
+  return [];
+}
+
+// What the UI needs to know about a session, or null for an unreadable token
+function sessionFromToken(token) {
+  const claims = decodeJwt(token);
+  if (!claims) return null;
+  return {
+    username: actorFromToken(token),
+    roles: rolesFromClaims(claims),
+    issuedAt: Number.isFinite(claims.iat) ? new Date(claims.iat * 1000).toISOString() : null,
+    expiresAt: Number.isFinite(claims.exp) ? new Date(claims.exp * 1000).toISOString() : null,
+  };
+}
+
+// True once the token's `exp` claim lies in the past; tokens without one never expire here
+function isExpired(token, now = Date.now()) {
+  const claims = decodeJwt(token);
+  return Boolean(claims && Number.isFinite(claims.exp) && claims.exp * 1000 <= now);
+}
+
+module.exports = { decodeJwt, actorFromToken, rolesFromClaims, sessionFromToken, isExpired };
@@ -0,0 +1,123 @@
+// Structured logging: one JSON object per line on stdout, for the log pipeline.
+// Every line is redacted before it is written, so passwords, tokens and
+// cookies never leave the process whatever a caller passes in.
+
+// 'silent' writes nothing (e.g. in tests)
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are secrets, wherever they appear
+const SECRET_KEY = /pass(word)?|secret|token|authorization|cookie|jwt|api[-_]?key|credential|session[-_]?id/i;
+// Secrets that end up inside free text (messages, URLs, error strings)
+const SECRET_PATTERNS = [
+  [/\bBearer\s+[\w~+/.=-]+/gi, `Bearer ${REDACTED}`],
+  [/\beyJ[\w-]*\.[\w-]+\.[\w-]*/g, REDACTED], // JWTs
+  [/([?&](?:token|password|secret|api_?key)=)[^&\s]*/gi, `$1${REDACTED}`],
+  [/(\/\/)[^/\s:@]+:[^/\s@]+@/g, `$1${REDACTED}@`], // user:password@ in URLs
+];
+const MAX_DEPTH = 6;
+
+function redactText(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Copy of `value` that is safe to log; errors become { name, message, code, stack }
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  let result;
+  if (value instanceof Error) {
+    result = { name: value.name, message: redactText(value.message) };
+    if (value.code !== undefined) result.code = value.code;
+    if (value.stack) result.stack = redactText(value.stack);
+  } else if (Array.isArray(value)) {
+    result = value.map((item) => redact(item, depth + 1, seen));
+  } else {
+    result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SECRET_KEY.test(key) && item !== null && item !== undefined && item !== ''
+        ? REDACTED
+        : redact(item, depth + 1, seen);
+    }
+  }
+  seen.delete(value);
+  return result;
+}
+
+// Unknown level names fall back to the default rather than silencing the logs
+const levelFrom = (name) => (Object.hasOwn(LEVELS, String(name).toLowerCase()) ? String(name).toLowerCase() : DEFAULT_LEVEL);
+
+// Logger with error/warn/info/debug(message, fields). `fields` is merged into
+// the line; child() returns a logger that adds `bindings` to every line.
+function createLogger({ level = DEFAULT_LEVEL, stream = process.stdout, bindings = {}, now = () => new Date() } = {}) {
+  const threshold = LEVELS[levelFrom(level)];
+
+  const write = (name, message, fields) => {
+    if (LEVELS[name] > threshold) return;
+    const line = redact({ time: now().toISOString(), level: name, msg: message, ...bindings, ...fields });
+    let text;
+    try {
+      text = JSON.stringify(line);
+    } catch (error) {
+      text = JSON.stringify({ time: line.time, level: name, msg: line.msg, logError: error.message });
+    }
+    stream.write(`${text}\n`);
+  };
+
+  return {
+    level: levelFrom(level),
+    isLevelEnabled: (name) => LEVELS[name] <= threshold,
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    child: (extra) => createLogger({ level, stream, now, bindings: { ...bindings, ...extra } }),
+  };
+}
+
+// Request ids accepted from upstream (load balancer, gateway); anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+const isValidRequestId = (id) => typeof id === 'string' && REQUEST_ID_PATTERN.test(id);
+
+// Routes probed every few seconds, logged at debug level only
+const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+
+// Middleware writing one access log line per request once it is done
+function accessLog(logger, { routeOf = () => null } = {}) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let logged = false;
+    const log = () => {
+      if (logged) return;
+      logged = true;
+      // req.path is relative to the router that answered, originalUrl is not
+      const requestPath = req.originalUrl.split('?')[0];
+      const fields = {
+        requestId: req.id,
+        method: req.method,
+        path: requestPath,
+        route: routeOf(req),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+        user: req.actor || null,
+        ip: req.ip,
+      };
+      if (!res.writableFinished) fields.aborted = true;
+      let level = res.statusCode >= 500 ? 'error' : 'info';
+      if (QUIET_PATHS.has(requestPath)) level = 'debug';
+      logger[level]('request completed', fields);
+    };
+    res.on('finish', log);
+    res.on('close', log);
+    next();
+  };
+}
+
+module.exports = { LEVELS, REDACTED, createLogger, redact, isValidRequestId, accessLog };
@@ -0,0 +1,137 @@
+// Prometheus metrics for GET /metrics, without a client library.
+// The registry holds counters, histograms and gauges and renders them in the
+// text exposition format (version 0.0.4).
+
+// Latency buckets in seconds, from a static file to a slow backend call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : String(value));
+
+function createRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values, in the order of `labelNames`
+  function series(labelNames) {
+    const entries = new Map();
+    return {
+      get(labels, create) {
+        const values = labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        if (!entries.has(key)) {
+          entries.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), value: create() });
+        }
+        return entries.get(key).value;
+      },
+      entries: () => [...entries.values()],
+    };
+  }
+
+  function register(name, help, type, lines) {
+    if (metrics.some((metric) => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    metrics.push({ name, help, type, lines });
+  }
+
+  function counter(name, help, labelNames = []) {
+    const values = series(labelNames);
+    register(name, help, 'counter', () => values.entries()
+      .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`));
+    return {
+      inc(labels = {}, amount = 1) {
+        values.get(labels, () => ({ count: 0 })).count += amount;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const values = series(labelNames);
+    register(name, help, 'histogram', () => values.entries().flatMap(({ labels, value }) => [
+      ...bounds.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.buckets[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${name}_count${formatLabels(labels)} ${value.count}`,
+    ]));
+    return {
+      observe(labels, seconds) {
+        const value = values.get(labels, () => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+          if (seconds <= bound) value.buckets[i] += 1;
+        });
+        value.sum += seconds;
+        value.count += 1;
+      },
+    };
+  }
+
+  // A gauge whose value is read from `collect()` at scrape time
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', () => [`${name} ${formatValue(collect())}`]);
+  }
+
+  function render() {
+    return `${metrics.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${escapeHelp(help)}`,
+      `# TYPE ${name} ${type}`,
+      ...lines(),
+    ].join('\n')).join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// Route label of a finished request: the Express route pattern, so ids do not
+// create a series each; requests no route handled (static files, 404s) share one
+const routeLabel = (req) => (req.route ? `${req.baseUrl || ''}${req.route.path}` : 'other');
+
+// Middleware counting every request and its latency by method, route and status
+function requestMetrics(registry) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests handled, by method, route and status.', ['method', 'route', 'status']);
+  const duration = registry.histogram('http_request_duration_seconds', 'HTTP request latency in seconds, by method and route.', ['method', 'route']);
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    let recorded = false;
+    // 'close' covers aborted requests and event streams the client went away from
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const route = routeLabel(req);
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+// Observer for createBackendProxy's `onAttempt`: every backend call by outcome
+function backendMetrics(registry) {
+  const requests = registry.counter('backend_requests_total', 'Backend calls, by method and outcome (ok, client_error, server_error, timeout, unreachable).', ['method', 'outcome']);
+  const duration = registry.histogram('backend_request_duration_seconds', 'Backend call latency in seconds, by method.', ['method']);
+
+  return ({ method, status, error, durationMs }) => {
+    let outcome;
+    if (error) {
+      outcome = error.code === 'BACKEND_TIMEOUT' ? 'timeout' : 'unreachable';
+    } else if (status >= 500) {
+      outcome = 'server_error';
+    } else {
+      outcome = status >= 400 ? 'client_error' : 'ok';
+    }
+    requests.inc({ method, outcome });
+    duration.observe({ method }, durationMs / 1000);
+  };
+}
+
+module.exports = { DEFAULT_BUCKETS, createRegistry, requestMetrics, backendMetrics, routeLabel };
@@ -0,0 +1,33 @@
+// Password strength policy applied on registration
+
+const MIN_LENGTH = 10;
+const MIN_CHARACTER_CLASSES = 3;
+
+// The most common leaked passwords that would still pass the other rules
+const COMMON_PASSWORDS = new Set([
+  'password123!', 'password1234', 'qwerty12345!', 'welcome123!', 'letmein1234!',
+  'administrator1', 'changeme123!', 'p@ssw0rd1234', 'passw0rd!234', 'iloveyou123!',
+]);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+// Returns the list of rules the password breaks (empty when it is acceptable)
+function checkPassword(password, { username } = {}) {
+  const problems = [];
+  if (password.length < MIN_LENGTH) {
+    problems.push(`password must be at least ${MIN_LENGTH} characters`);
+  }
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  if (classes < MIN_CHARACTER_CLASSES) {
+    problems.push(`password must contain at least ${MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, digits, symbols`);
+  }
+  if (username && username.length >= 3 && password.toLowerCase().includes(username.toLowerCase())) {
+    problems.push('password must not contain the username');
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    problems.push('password is too common');
+  }
+  return problems;
+}
+
+module.exports = { checkPassword, MIN_LENGTH };
@@ -0,0 +1,70 @@
+// Role-based permission policy.
+// Roles come from the JWT claims (see lib/jwt.js); the proxy enforces the
+// policy before a request reaches the backend and the UI uses the same table
+// (via GET /api/session) to hide actions the user cannot perform.
+//
+// The proxy does not verify JWT signatures, so roles and the user name are
+// only as trustworthy as the token:
+// - Routes that forward to the backend may rely on them as they are; the
+//   backend authorizes the forwarded call again, so a forged claim gets nothing.
+// - Routes serving data only the proxy holds (its incident history, comments,
+//   webhook log, live stream) must first have the token accepted by the
+//   backend: requireConfirmedSession, or an authenticated backend call of their
+//   own that succeeded. Only then may requirePermission or `sub` decide.
+
+const { sendError, relay, relayError } = require('./proxy');
+
+const ROLES = ['viewer', 'responder', 'admin'];
+
+// Permission -> roles that hold it. Reading incidents only needs a session.
+const POLICY = {
+  'incident:create': ['responder', 'admin'],
+  'incident:update': ['responder', 'admin'],
+  'incident:escalate': ['responder', 'admin'],
+  'incident:delete': ['admin'],
+  'incident:comment': ['responder', 'admin'],
+  // Everyone may delete their own comments; this is for other people's
+  'comment:moderate': ['admin'],
+  'webhook:read': ['admin'],
+};
+
+// Known roles from the claims; tokens without any fall back to `defaultRole`
+function normalizeRoles(claimedRoles, defaultRole) {
+  const roles = claimedRoles.map((role) => role.toLowerCase()).filter((role) => ROLES.includes(role));
+  if (roles.length) return roles;
+  return ROLES.includes(defaultRole) ? [defaultRole] : [];
+}
+
+function can(roles, permission) {
+  return (POLICY[permission] || []).some((role) => roles.includes(role));
+}
+
+function permissionsFor(roles) {
+  return Object.keys(POLICY).filter((permission) => can(roles, permission));
+}
+
+// Express middleware; expects req.roles to be set by the auth middleware
+const requirePermission = (permission) => (req, res, next) => {
+  if (can(req.roles || [], permission)) {
+    return next();
+  }
+  const allowed = POLICY[permission].join(' or ');
+  return sendError(req, res, 403, 'FORBIDDEN',
+    `You do not have permission to do this (requires role ${allowed}).`);
+};
+
+// Express middleware for proxy-only resources; `sessionCheck` comes from
+// lib/sessionCheck.js. A token the backend rejects ends the session.
+const requireConfirmedSession = (sessionCheck) => async (req, res, next) => {
+  try {
+    const rejected = await sessionCheck.check(req.backendToken, { requestId: req.id });
+    if (rejected) {
+      return relay(req, res, rejected, 'Could not confirm the session.');
+    }
+    next();
+  } catch (error) {
+    relayError(req, res, error, 'Internal server error while checking the session.');
+  }
+};
+
+module.exports = { ROLES, POLICY, normalizeRoles, can, permissionsFor, requirePermission, requireConfirmedSession };
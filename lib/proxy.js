@@ -0,0 +1,210 @@
+// Generic backend proxy layer.
+// Every /api route goes through here so auth headers, timeouts, retries,
+// body parsing and the error envelope are handled in exactly one place.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 200;
+
+// Only verbs that can safely be repeated are retried
+const IDEMPOTENT_METHODS = new Set(['GET', 'PUT', 'DELETE']);
+// Backend statuses that are worth another attempt
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+// node-fetch v3 is ESM only, so it is imported lazily and cached
+let fetchPromise = null;
+function getFetch() {
+  if (!fetchPromise) {
+    fetchPromise = import('node-fetch').then((mod) => mod.default);
+  }
+  return fetchPromise;
+}
+
+// Error raised when the backend could not be reached or did not answer in time
+class BackendError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'BackendError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reads the body once and decides whether it is JSON, text or empty
+async function readBody(backendResponse) {
+  const text = await backendResponse.text();
+  if (!text) {
+    return { data: null, text: '', isJson: false, isEmpty: true };
+  }
+  const contentType = backendResponse.headers.get('content-type') || '';
+  if (contentType.includes('application/json')) {
+    try {
+      return { data: JSON.parse(text), text, isJson: true, isEmpty: false };
+    } catch (e) {
+      // Fall through and treat a broken JSON body as plain text
+    }
+  }
+  return { data: null, text, isJson: false, isEmpty: false };
+}
+
+function createBackendProxy(options = {}) {
+  const baseUrl = options.baseUrl;
+  const defaultTimeoutMs = options.timeoutMs > 0 ? options.timeoutMs : DEFAULT_TIMEOUT_MS;
+  const defaultRetries = Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_RETRIES;
+  const retryDelayMs = options.retryDelayMs >= 0 ? options.retryDelayMs : DEFAULT_RETRY_DELAY_MS;
+  // Called after every attempt with { method, status, error, durationMs } (e.g. for metrics)
+  const onAttempt = typeof options.onAttempt === 'function' ? options.onAttempt : () => {};
+
+  async function attempt(url, fetchOptions, timeoutMs) {
+    const fetch = await getFetch();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startedAt = Date.now();
+    const report = (outcome) => onAttempt({ method: fetchOptions.method, durationMs: Date.now() - startedAt, ...outcome });
+    try {
+      const backendResponse = await fetch(url, { ...fetchOptions, signal: controller.signal });
+      const body = await readBody(backendResponse);
+      report({ status: backendResponse.status, error: null });
+      return {
+        status: backendResponse.status,
+        ok: backendResponse.ok,
+        headers: backendResponse.headers,
+        ...body,
+      };
+    } catch (error) {
+      const backendError = error.name === 'AbortError'
+        ? new BackendError(`Backend did not respond within ${timeoutMs}ms`, 'BACKEND_TIMEOUT', error)
+        : new BackendError('Backend is unreachable', 'BACKEND_UNAVAILABLE', error);
+      report({ status: null, error: backendError });
+      throw backendError;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Sends one request to the backend.
+  // Options: token, body, query, headers, requestId, timeoutMs, retries
+  async function request(method, path, requestOptions = {}) {
+    const upperMethod = method.toUpperCase();
+    const timeoutMs = requestOptions.timeoutMs || defaultTimeoutMs;
+    const retries = IDEMPOTENT_METHODS.has(upperMethod)
+      ? (Number.isInteger(requestOptions.retries) ? requestOptions.retries : defaultRetries)
+      : 0;
+
+    const url = new URL(path, baseUrl);
+    if (requestOptions.query) {
+      for (const [key, value] of Object.entries(requestOptions.query)) {
+        if (value !== undefined && value !== null && value !== '') {
+          url.searchParams.set(key, value);
+        }
+      }
+    }
+
+    const headers = { ...(requestOptions.headers || {}), 'Content-Type': 'application/json' };
+    if (requestOptions.token) {
+      headers['Authorization'] = `Bearer ${requestOptions.token}`;
+    }
+    if (requestOptions.requestId) {
+      headers['X-Request-Id'] = requestOptions.requestId;
+    }
+
+    const fetchOptions = { method: upperMethod, headers };
+    if (requestOptions.body !== undefined) {
+      fetchOptions.body = JSON.stringify(requestOptions.body);
+    }
+
+    let lastError;
+    for (let attemptNo = 0; attemptNo <= retries; attemptNo++) {
+      if (attemptNo > 0) {
+        // Exponential backoff: 200ms, 400ms, 800ms, ...
+        await sleep(retryDelayMs * 2 ** (attemptNo - 1));
+      }
+      try {
+        const result = await attempt(url.toString(), fetchOptions, timeoutMs);
+        if (!RETRYABLE_STATUSES.has(result.status) || attemptNo === retries) {
+          return result;
+        }
+        lastError = null;
+      } catch (error) {
+        lastError = error;
+        if (attemptNo === retries) {
+          throw error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  return { request };
+}
+
+// --- Express helpers ---
+
+// Sends the uniform error envelope used by every /api route.
+// `extra` adds route-specific detail (e.g. field errors) next to the envelope.
+function sendError(req, res, status, code, message, backendStatus = null, extra = {}) {
+  return res.status(status).json({
+    ...extra,
+    error: message,
+    code,
+    backendStatus,
+    requestId: req.id || null,
+  });
+}
+
+// Clears the session cookie with the attributes it was set with
+// (app.set('session cookie', { domain, ... }) in app.js), or browsers keep it
+function clearSessionCookie(req, res) {
+  const options = (req.app && req.app.get('session cookie')) || {};
+  res.clearCookie('jwtToken', { domain: options.domain || undefined, path: '/', secure: options.secure, sameSite: options.sameSite });
+}
+
+// Maps a backend result onto the browser response.
+// Successful responses are always JSON; failures always use the error envelope.
+function relay(req, res, result, fallbackMessage = 'Request failed') {
+  if (result.status === 401 || result.status === 403) {
+    // Clear cookie if backend rejects token
+    clearSessionCookie(req, res);
+    return sendError(req, res, result.status, 'SESSION_EXPIRED',
+      'Session expired or invalid token. Please log in again.', result.status);
+  }
+
+  if (result.ok) {
+    if (result.isEmpty) {
+      return res.status(result.status === 204 ? 200 : result.status).json({});
+    }
+    if (!result.isJson) {
+      return sendError(req, res, 502, 'BACKEND_INVALID_RESPONSE',
+        'Backend returned an unexpected response format.', result.status);
+    }
+    return res.status(result.status).json(result.data);
+  }
+
+  const message = (result.data && (result.data.error || result.data.message)) || fallbackMessage;
+  const status = result.status >= 500 ? 502 : result.status;
+  return sendError(req, res, status, 'BACKEND_ERROR', message, result.status);
+}
+
+// Turns a thrown error into the matching error envelope
+function relayError(req, res, error, fallbackMessage = 'Internal server error') {
+  if (error instanceof BackendError) {
+    const status = error.code === 'BACKEND_TIMEOUT' ? 504 : 502;
+    return sendError(req, res, status, error.code, error.message);
+  }
+  // req.log is the request's logger (see the request id middleware in app.js)
+  (req.log || console).error('Proxy error', { method: req.method, path: req.path, error });
+  return sendError(req, res, 500, 'INTERNAL_ERROR', fallbackMessage);
+}
+
+module.exports = {
+  BackendError,
+  createBackendProxy,
+  getFetch,
+  sendError,
+  relay,
+  relayError,
+  clearSessionCookie,
+  IDEMPOTENT_METHODS,
+};
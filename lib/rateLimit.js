@@ -0,0 +1,158 @@
+// Sliding-window rate limits and progressive lockout for /api/login and
+// /api/register. State lives in a pluggable store so it can be swapped for a
+// shared one (e.g. Redis) and unit-tested without the backend.
+//
+// Store interface (all methods may return promises):
+//   get(key) -> value | undefined
+//   set(key, value, ttlMs)
+//   delete(key)
+
+const { sendError } = require('./proxy');
+
+const DEFAULT_MAX_ENTRIES = 100000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-memory store; `now` is injectable so tests can move the clock. Expired
+// entries are swept on writes (at most once per SWEEP_INTERVAL_MS, or when
+// full) and past `maxEntries` the least recently written ones are dropped.
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  const entries = new Map();
+  let lastSweep = now();
+
+  function sweep() {
+    const currentTime = now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= currentTime) entries.delete(key);
+    }
+    lastSweep = currentTime;
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value, ttlMs) {
+      // Re-inserted so the Map stays ordered by last write
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      if (entries.size > maxEntries || now() - lastSweep >= SWEEP_INTERVAL_MS) sweep();
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+const DEFAULT_LOCKOUT = {
+  threshold: 5, // consecutive failures before the first lock
+  baseMs: 60 * 1000, // first lock, doubled for every further failure
+  maxMs: 60 * 60 * 1000,
+};
+
+// `limits` maps a dimension ('ip', 'username') to { max, windowMs }
+function createRateLimiter({ name, store, limits, lockout = null, now = Date.now }) {
+  const keyFor = (kind, dimension, value) => `${name}:${kind}:${dimension}:${value}`;
+
+  const dimensions = (identity) => Object.keys(limits)
+    .filter((dimension) => identity[dimension])
+    .map((dimension) => [dimension, String(identity[dimension]).toLowerCase()]);
+
+  // Returns { allowed, retryAfterMs, reason } without counting the attempt
+  async function check(identity) {
+    const currentTime = now();
+    let retryAfterMs = 0;
+    let reason = null;
+
+    if (lockout && identity.username) {
+      const lockedUntil = await store.get(keyFor('lock', 'username', String(identity.username).toLowerCase()));
+      if (lockedUntil > currentTime) {
+        retryAfterMs = lockedUntil - currentTime;
+        reason = 'LOCKED_OUT';
+      }
+    }
+
+    for (const [dimension, value] of dimensions(identity)) {
+      const { max, windowMs } = limits[dimension];
+      const attempts = ((await store.get(keyFor('attempts', dimension, value))) || [])
+        .filter((time) => time > currentTime - windowMs);
+      if (attempts.length >= max) {
+        const wait = attempts[0] + windowMs - currentTime;
+        if (wait > retryAfterMs) {
+          retryAfterMs = wait;
+          reason = 'RATE_LIMITED';
+        }
+      }
+    }
+
+    return { allowed: retryAfterMs === 0, retryAfterMs, reason };
+  }
+
+  async function recordAttempt(identity) {
+    const currentTime = now();
+    for (const [dimension, value] of dimensions(identity)) {
+      const { windowMs } = limits[dimension];
+      const key = keyFor('attempts', dimension, value);
+      const attempts = ((await store.get(key)) || []).filter((time) => time > currentTime - windowMs);
+      attempts.push(currentTime);
+      await store.set(key, attempts, windowMs);
+    }
+  }
+
+  // Every failure past the threshold doubles the lock, up to maxMs
+  async function recordFailure(identity) {
+    if (!lockout || !identity.username) return;
+    const username = String(identity.username).toLowerCase();
+    const failuresKey = keyFor('failures', 'username', username);
+    const failures = ((await store.get(failuresKey)) || 0) + 1;
+    await store.set(failuresKey, failures, lockout.maxMs);
+
+    if (failures >= lockout.threshold) {
+      const duration = Math.min(lockout.baseMs * 2 ** (failures - lockout.threshold), lockout.maxMs);
+      await store.set(keyFor('lock', 'username', username), now() + duration, duration);
+    }
+  }
+
+  async function recordSuccess(identity) {
+    if (!lockout || !identity.username) return;
+    const username = String(identity.username).toLowerCase();
+    await store.delete(keyFor('failures', 'username', username));
+    await store.delete(keyFor('lock', 'username', username));
+  }
+
+  // Express middleware: counts the attempt or answers 429 with Retry-After
+  const middleware = (identify) => async (req, res, next) => {
+    try {
+      const identity = identify(req);
+      const { allowed, retryAfterMs, reason } = await check(identity);
+      if (!allowed) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.setHeader('Retry-After', String(retryAfter));
+        const message = reason === 'LOCKED_OUT'
+          ? 'Too many failed attempts. This account is temporarily locked.'
+          : 'Too many attempts. Please wait before trying again.';
+        return sendError(req, res, 429, reason, message, null, { retryAfter });
+      }
+      await recordAttempt(identity);
+      req.rateLimitIdentity = identity;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { check, recordAttempt, recordFailure, recordSuccess, middleware };
+}
+
+module.exports = { createMemoryStore, createRateLimiter, DEFAULT_LOCKOUT, DEFAULT_MAX_ENTRIES };
@@ -0,0 +1,84 @@
+// Request body schemas for the proxy routes (see lib/validation.js for the format)
+
+const { INCIDENT_TYPES, SEVERITIES, STATUSES } = require('./incidentModel');
+const { BULK_ACTIONS, MAX_BULK_IDS } = require('./bulk');
+
+// '' stands for "not specified" in the dashboard's select boxes
+const TYPE_VALUES = ['', ...INCIDENT_TYPES.map((type) => type.value)];
+
+const credentials = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['username', 'password'],
+  properties: {
+    username: { type: 'string', minLength: 1, maxLength: 64 },
+    password: { type: 'string', minLength: 1, maxLength: 128, trim: false },
+  },
+};
+
+const login = credentials;
+
+const register = {
+  ...credentials,
+  properties: {
+    ...credentials.properties,
+    username: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 32,
+      pattern: '^[A-Za-z0-9_.-]+$',
+      patternMessage: 'username may only contain letters, digits, dots, dashes and underscores',
+    },
+  },
+};
+
+const incidentFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  reporter: { type: 'string', maxLength: 100 },
+  assignee: { type: 'string', maxLength: 100 },
+  type: { type: 'string', enum: TYPE_VALUES },
+  severity: { type: 'string', enum: SEVERITIES },
+  resource_id: { type: 'string', maxLength: 100 },
+};
+
+// Status is not accepted on create: every incident starts as 'open'
+const createIncident = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title'],
+  properties: incidentFields,
+};
+
+const updateIncident = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...incidentFields,
+    status: { type: 'string', enum: STATUSES },
+  },
+};
+
+// The ids and, for 'update', the changes are checked further by validateBulkRequest in app.js
+const bulkIncidents = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['action', 'ids'],
+  properties: {
+    action: { type: 'string', enum: BULK_ACTIONS },
+    ids: { type: 'array', minItems: 1, maxItems: MAX_BULK_IDS },
+    changes: { type: 'object' },
+  },
+};
+
+// Markdown text; author and time come from the session, not the body
+const comment = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['body'],
+  properties: {
+    body: { type: 'string', minLength: 1, maxLength: 5000 },
+  },
+};
+
+module.exports = { login, register, createIncident, updateIncident, bulkIncidents, comment };
@@ -0,0 +1,57 @@
+// Confirms with the backend that a session token is genuine. The proxy cannot
+// check JWT signatures, so before it serves data only it holds (its history,
+// comments, webhook log, live stream) one cheap authenticated backend call has
+// to succeed. Accepted tokens are remembered for `cacheMs`, so busy routes do
+// not turn into one extra backend call per request.
+
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_MS = 30000;
+const DEFAULT_PATH = '/api/incidents?page=1&pageSize=1';
+
+// Tokens are only kept as hashes
+const keyFor = (token) => crypto.createHash('sha256').update(String(token)).digest('base64url');
+
+// `onConfirm(token)` runs whenever the backend accepted a token (e.g. to count the session)
+function createSessionCheck({ backend, path = DEFAULT_PATH, cacheMs = DEFAULT_CACHE_MS, onConfirm = () => {}, now = Date.now }) {
+  // token hash -> time the backend last accepted it
+  const accepted = new Map();
+
+  const isFresh = (key) => accepted.has(key) && now() - accepted.get(key) < cacheMs;
+
+  function prune() {
+    for (const key of accepted.keys()) {
+      if (!isFresh(key)) accepted.delete(key);
+    }
+  }
+
+  // Records that a backend call made with the token just succeeded
+  function confirm(token) {
+    if (!token) return;
+    onConfirm(token);
+    if (cacheMs <= 0) return;
+    prune();
+    accepted.set(keyFor(token), now());
+  }
+
+  // Resolves to null once the backend accepts the token, otherwise to the
+  // backend's answer (401/403 for a forged or revoked token). Throws a
+  // BackendError when the backend cannot be reached.
+  async function check(token, { requestId } = {}) {
+    if (!token) return { status: 401, ok: false, data: null, isJson: false };
+    if (isFresh(keyFor(token))) return null;
+    const result = await backend.request('GET', path, { token, requestId, retries: 0 });
+    if (!result.ok) return result;
+    confirm(token);
+    return null;
+  }
+
+  // Tokens that were logged out or rejected elsewhere must be checked again
+  function forget(token) {
+    if (token) accepted.delete(keyFor(token));
+  }
+
+  return { check, confirm, forget };
+}
+
+module.exports = { createSessionCheck, DEFAULT_CACHE_MS, DEFAULT_PATH };
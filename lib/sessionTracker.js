@@ -0,0 +1,56 @@
+// Counts active sessions for the metrics endpoint. Sessions are JWT cookies
+// the proxy does not store, so a session counts as active from the moment it
+// is issued or confirmed by the backend until its token expires or the user
+// logs out. Cookies that were only presented are not counted: anyone can make
+// a token with a far-future `exp`.
+
+const crypto = require('crypto');
+const { sessionFromToken } = require('./jwt');
+
+// Tokens are only kept as hashes
+const keyFor = (token) => crypto.createHash('sha256').update(String(token)).digest('base64url');
+
+const DEFAULT_MAX_SESSIONS = 10000;
+
+// `fallbackTtlMs` applies to tokens without an expiry, counted from when they were last seen.
+// Beyond `maxSessions` the least recently touched sessions are forgotten.
+function createSessionTracker({ fallbackTtlMs, maxSessions = DEFAULT_MAX_SESSIONS, now = Date.now }) {
+  const sessions = new Map();
+
+  const expiryOf = (token) => {
+    const session = sessionFromToken(token);
+    const expiresAt = session && session.expiresAt ? Date.parse(session.expiresAt) : NaN;
+    return Number.isFinite(expiresAt) ? expiresAt : now() + fallbackTtlMs;
+  };
+
+  function prune() {
+    const currentTime = now();
+    for (const [key, expiresAt] of sessions) {
+      if (expiresAt <= currentTime) sessions.delete(key);
+    }
+  }
+
+  return {
+    // Records a session that was issued or confirmed
+    touch(token) {
+      if (!token) return;
+      const key = keyFor(token);
+      // Re-inserted so the Map stays ordered by last touch
+      sessions.delete(key);
+      sessions.set(key, expiryOf(token));
+      prune();
+      while (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    },
+    end(token) {
+      if (token) sessions.delete(keyFor(token));
+    },
+    count() {
+      prune();
+      return sessions.size;
+    },
+  };
+}
+
+module.exports = { createSessionTracker, DEFAULT_MAX_SESSIONS };
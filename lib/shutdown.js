@@ -0,0 +1,67 @@
+// Graceful shutdown for SIGTERM/SIGINT (container stops and restarts).
+// The server stops accepting connections, in-flight requests are allowed to
+// finish and only then does the process exit. Requests still running after
+// `timeoutMs` are cut off so a stuck backend call cannot block the restart.
+
+function createShutdown({ timeoutMs, logger, hooks = [], exit = (code) => process.exit(code) }) {
+  let server = null;
+  let draining = false;
+  const active = new Set();
+
+  // Middleware counting requests in flight. While draining, finished requests
+  // let go of their keep-alive connection so the server can close.
+  function track(req, res, next) {
+    active.add(res);
+    const done = () => {
+      active.delete(res);
+      if (draining) setImmediate(() => server.closeIdleConnections());
+    };
+    res.on('finish', done);
+    res.on('close', done);
+    if (draining) res.setHeader('Connection', 'close');
+    next();
+  }
+
+  async function shutdown(signal) {
+    if (draining || !server) return;
+    draining = true;
+    logger.info('Shutting down', { signal, inFlight: active.size, timeoutMs });
+
+    const forced = setTimeout(() => {
+      logger.warn('Shutdown timed out, closing remaining connections', { inFlight: active.size });
+      server.closeAllConnections();
+    }, timeoutMs);
+    forced.unref();
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    server.closeIdleConnections();
+
+    // Hooks end long-lived responses (event streams) and save pending state
+    for (const hook of hooks) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.error('Shutdown hook failed', { error });
+      }
+    }
+
+    const error = await closed;
+    clearTimeout(forced);
+    if (error) logger.error('Server close failed', { error });
+    logger.info('Shutdown complete');
+    exit(error ? 1 : 0);
+  }
+
+  return {
+    track,
+    shutdown,
+    isDraining: () => draining,
+    // Drains `httpServer` on the given signals
+    listen(httpServer, signals = ['SIGTERM', 'SIGINT']) {
+      server = httpServer;
+      signals.forEach((signal) => process.once(signal, () => shutdown(signal)));
+    },
+  };
+}
+
+module.exports = { createShutdown };
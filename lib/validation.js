@@ -0,0 +1,112 @@
+// Declarative request validation and sanitization.
+// Schemas are a small subset of JSON Schema for flat objects:
+//   type, required, properties, additionalProperties: false,
+//   minLength, maxLength, pattern, enum, minimum, maximum, minItems, maxItems
+// plus `trim: false` to keep surrounding whitespace (strings are trimmed otherwise).
+
+const { sendError } = require('./proxy');
+
+// Control characters other than tab and newlines never belong in a text field
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateField(field, value, rules) {
+  if (rules.type && !matchesType(value, rules.type)) {
+    return { error: `${field} must be of type ${rules.type}` };
+  }
+
+  let clean = value;
+  if (typeof value === 'string') {
+    clean = value.replace(CONTROL_CHARS, '');
+    if (rules.trim !== false) {
+      clean = clean.trim();
+    }
+    if (rules.minLength !== undefined && clean.length < rules.minLength) {
+      return { error: rules.minLength === 1 ? `${field} is required` : `${field} must be at least ${rules.minLength} characters` };
+    }
+    if (rules.maxLength !== undefined && clean.length > rules.maxLength) {
+      return { error: `${field} must be at most ${rules.maxLength} characters` };
+    }
+    if (rules.pattern && !new RegExp(rules.pattern).test(clean)) {
+      return { error: rules.patternMessage || `${field} has an invalid format` };
+    }
+  }
+  if (Array.isArray(value)) {
+    if (rules.minItems !== undefined && value.length < rules.minItems) {
+      return { error: `${field} must contain at least ${rules.minItems} item${rules.minItems === 1 ? '' : 's'}` };
+    }
+    if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+      return { error: `${field} must contain at most ${rules.maxItems} items` };
+    }
+  }
+  if (typeof value === 'number') {
+    if (rules.minimum !== undefined && value < rules.minimum) {
+      return { error: `${field} must be at least ${rules.minimum}` };
+    }
+    if (rules.maximum !== undefined && value > rules.maximum) {
+      return { error: `${field} must be at most ${rules.maximum}` };
+    }
+  }
+  if (rules.enum && !rules.enum.includes(clean)) {
+    return { error: `${field} must be one of: ${rules.enum.filter((option) => option !== '').join(', ')}` };
+  }
+  return { value: clean };
+}
+
+// Returns the sanitized value and a list of { field, message } errors
+function validate(schema, input) {
+  if (typeOf(input) !== 'object') {
+    return { value: null, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+  }
+
+  const errors = [];
+  const value = {};
+  const properties = schema.properties || {};
+
+  for (const field of Object.keys(input)) {
+    if (!properties[field]) {
+      if (schema.additionalProperties === false) {
+        errors.push({ field, message: `Unknown field '${field}'` });
+      }
+      continue;
+    }
+    if (input[field] === undefined) continue;
+    const result = validateField(field, input[field], properties[field]);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  for (const field of schema.required || []) {
+    if (input[field] === undefined || input[field] === null) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  }
+
+  return { value, errors };
+}
+
+// Express middleware: replaces req.body with the sanitized value or answers 400
+const validateBody = (schema) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body);
+  if (errors.length) {
+    return sendError(req, res, 400, 'VALIDATION_FAILED', 'Request validation failed.', null, { errors });
+  }
+  req.body = value;
+  next();
+};
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,232 @@
+// Outbound webhooks: incident events are POSTed to the configured endpoints,
+// either as Slack-compatible messages or as generic JSON signed with HMAC-SHA256.
+// Deliveries are queued and retried with exponential backoff; those that keep
+// failing stay in the log as dead letters. Queue and log live in a JsonStore,
+// so a restart neither drops pending deliveries nor forgets the failures.
+
+const crypto = require('crypto');
+const { getFetch } = require('./proxy');
+const { createLogger } = require('./logger');
+
+const WEBHOOK_EVENTS = ['created', 'escalated', 'severity_changed'];
+const WEBHOOK_FORMATS = ['slack', 'json'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 10000;
+// Finished deliveries kept for GET /api/webhooks/deliveries; pending ones are never dropped
+const MAX_LOGGED_DELIVERIES = 500;
+// Receivers should reject signatures older than this (replayed requests)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Statuses the receiver may answer differently a little later
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// `sha256=<hex>` over "<timestamp>.<body>", sent as X-Webhook-Signature
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers: checks the signature and that the timestamp is recent
+function verifySignature(secret, { timestamp, signature, body, now = Date.now() }) {
+  const seconds = Number(timestamp);
+  if (!secret || !signature || !Number.isInteger(seconds)) return false;
+  if (Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const EVENT_TITLES = {
+  created: 'Incident created',
+  escalated: 'Incident escalated',
+  severity_changed: 'Incident severity changed',
+};
+
+// Slack incoming-webhook message; Slack's markup needs &, < and > escaped
+function slackMessage({ event, incident, actor, changes }) {
+  const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const title = escape(incident.title || `Incident ${incident.id}`);
+  const facts = [incident.severity, incident.status].filter(Boolean).map(escape).join(', ');
+  const severity = changes && changes.severity
+    ? ` from ${escape(changes.severity.from ?? 'none')} to ${escape(changes.severity.to ?? 'none')}`
+    : '';
+  const by = actor ? ` by ${escape(actor)}` : '';
+  return { text: `*${EVENT_TITLES[event]}*${severity}${by}: ${title} (#${escape(incident.id)}${facts ? `, ${facts}` : ''})` };
+}
+
+// Endpoints come from the config (see lib/config.js): { name, url, format, secret, events }
+function createWebhooks({
+  endpoints = [],
+  store,
+  fetch,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  logger = createLogger(),
+  now = () => Date.now(),
+  onDelivery = () => {},
+} = {}) {
+  const byName = new Map(endpoints.map((endpoint) => [endpoint.name, endpoint]));
+  let deliveries = store.get('deliveries') || [];
+  const inFlight = new Map();
+  let timer = null;
+  let closed = false;
+
+  const save = () => {
+    const pending = deliveries.filter((delivery) => delivery.status === 'pending');
+    const finished = deliveries.filter((delivery) => delivery.status !== 'pending').slice(-MAX_LOGGED_DELIVERIES);
+    deliveries = [...finished, ...pending].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    store.set('deliveries', deliveries);
+  };
+
+  function payloadFor(endpoint, delivery) {
+    if (endpoint.format === 'slack') return slackMessage(delivery.event);
+    const { event, incident, actor, changes, createdAt } = delivery.event;
+    return { id: delivery.id, event, at: createdAt, actor, changes, incident };
+  }
+
+  async function send(endpoint, delivery) {
+    const doFetch = fetch || await getFetch();
+    const body = JSON.stringify(payloadFor(endpoint, delivery));
+    const timestamp = String(Math.floor(now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'incident-dashboard-webhooks',
+      'X-Webhook-Event': delivery.event.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp,
+    };
+    if (endpoint.secret) headers['X-Webhook-Signature'] = sign(endpoint.secret, timestamp, body);
+
+    const controller = new AbortController();
+    const abortTimer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await doFetch(endpoint.url, { method: 'POST', headers, body, signal: controller.signal });
+      // The answer is not used, but reading it lets the connection be reused
+      await response.text().catch(() => '');
+      return { status: response.status, error: response.ok ? null : `Receiver answered ${response.status}` };
+    } catch (error) {
+      return { status: null, error: error.name === 'AbortError' ? `No answer within ${timeoutMs}ms` : `Receiver unreachable: ${error.message}` };
+    } finally {
+      clearTimeout(abortTimer);
+    }
+  }
+
+  async function attempt(delivery) {
+    const endpoint = byName.get(delivery.endpoint);
+    const result = endpoint
+      ? await send(endpoint, delivery)
+      : { status: null, error: 'Endpoint is no longer configured', final: true };
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date(now()).toISOString();
+    delivery.responseStatus = result.status;
+    delivery.lastError = result.error;
+
+    let outcome;
+    if (!result.error) {
+      outcome = 'delivered';
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (!result.final && (result.status === null || isRetryableStatus(result.status)) && delivery.attempts < maxAttempts) {
+      outcome = 'retry';
+      delivery.nextAttemptAt = new Date(now() + retryDelayMs * 2 ** (delivery.attempts - 1)).toISOString();
+    } else {
+      outcome = 'dead';
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = null;
+      logger.warn('Webhook delivery failed for good', {
+        endpoint: delivery.endpoint, deliveryId: delivery.id, event: delivery.event.event, attempts: delivery.attempts, error: result.error,
+      });
+    }
+    onDelivery({ endpoint: delivery.endpoint, outcome });
+    save();
+  }
+
+  // Sends every delivery that is due and plans the next run for the rest
+  function run() {
+    clearTimeout(timer);
+    timer = null;
+    if (closed) return;
+    const due = deliveries.filter((delivery) => delivery.status === 'pending'
+      && !inFlight.has(delivery.id) && Date.parse(delivery.nextAttemptAt) <= now());
+    due.forEach((delivery) => {
+      const done = attempt(delivery)
+        .catch((error) => logger.error('Webhook delivery crashed', { deliveryId: delivery.id, error }))
+        .finally(() => {
+          inFlight.delete(delivery.id);
+          schedule();
+        });
+      inFlight.set(delivery.id, done);
+    });
+    schedule();
+  }
+
+  function schedule() {
+    if (closed || timer) return;
+    const waiting = deliveries.filter((delivery) => delivery.status === 'pending' && !inFlight.has(delivery.id));
+    if (!waiting.length) return;
+    const next = Math.min(...waiting.map((delivery) => Date.parse(delivery.nextAttemptAt)));
+    timer = setTimeout(run, Math.max(0, next - now()));
+    // Retries alone never keep the process alive
+    timer.unref();
+  }
+
+  // Queues `event` ('created', 'escalated', 'severity_changed') for every
+  // endpoint subscribed to it. Returns the new deliveries; sending happens later.
+  function notify(event, incident, { actor = null, changes = null } = {}) {
+    if (!WEBHOOK_EVENTS.includes(event) || !incident || closed) return [];
+    const createdAt = new Date(now()).toISOString();
+    const queued = endpoints.filter((endpoint) => endpoint.events.includes(event)).map((endpoint) => ({
+      id: crypto.randomUUID(),
+      endpoint: endpoint.name,
+      status: 'pending',
+      attempts: 0,
+      createdAt,
+      lastAttemptAt: null,
+      nextAttemptAt: createdAt,
+      responseStatus: null,
+      lastError: null,
+      event: { event, incident, actor, changes, createdAt },
+    }));
+    if (!queued.length) return [];
+    deliveries.push(...queued);
+    save();
+    setImmediate(run);
+    return queued;
+  }
+
+  // Newest first, optionally only one status; the payload is left out
+  function list({ status, limit = 100 } = {}) {
+    return deliveries
+      .filter((delivery) => !status || delivery.status === status)
+      .slice(-limit)
+      .reverse()
+      .map(({ event: { event, incident }, ...delivery }) => ({ ...delivery, event, incidentId: incident.id }));
+  }
+
+  // Stops retrying and waits for deliveries in flight (shutdown)
+  async function close() {
+    closed = true;
+    clearTimeout(timer);
+    timer = null;
+    await Promise.all(inFlight.values());
+    return store.flush();
+  }
+
+  // Deliveries left pending by the previous run pick up where they were
+  schedule();
+
+  return { notify, list, close, endpoints: () => endpoints.map(({ name, format, events }) => ({ name, format, events })) };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  DELIVERY_STATUSES,
+  createWebhooks,
+  sign,
+  verifySignature,
+  slackMessage,
+};
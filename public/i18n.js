@@ -0,0 +1,597 @@
+// Message catalogs and locale handling for the dashboard (loaded before script.js).
+// Static text in index.html is marked with data-i18n="key" (text) and
+// data-i18n-<attribute>="key" (placeholder, aria-label, title); script.js uses t().
+// A message is a string with {placeholders}, or { one, other } picked by `count`.
+// Proxy error messages (data.error) come from the server and stay as they are.
+
+const DEFAULT_LOCALE = 'en';
+// Last locale chosen on this browser; the per-user choice is stored under `${LOCALE_KEY}:<username>`
+const LOCALE_KEY = 'dashboard-locale';
+
+const MESSAGES = {
+    en: {
+        'app.title': 'Incident Management',
+        'app.heading': 'Incident Dashboard',
+        'app.logout': 'Logout',
+        'locale.label': 'Language',
+
+        'common.cancel': 'Cancel',
+        'common.delete': 'Delete',
+        'common.dismiss': 'Dismiss',
+        'common.edit': 'Edit',
+        'common.escalate': 'Escalate',
+        'common.unknown': 'Unknown',
+        'common.unspecified': 'Unspecified',
+        'common.notAvailable': 'N/A',
+        'common.someone': 'Someone',
+        'error.unexpectedResponse': 'Unexpected response ({status})',
+        'error.requestFailed': 'Request failed',
+        'error.requestFailedStatus': 'Request failed ({status})',
+        'form.correctFields': 'Please correct the highlighted fields.',
+
+        'field.id': 'ID',
+        'field.title': 'Title',
+        'field.reporter': 'Reporter',
+        'field.type': 'Type',
+        'field.severity': 'Severity',
+        'field.status': 'Status',
+        'field.assignee': 'Assignee',
+        'field.description': 'Description',
+        'field.resource_id': 'Resource ID',
+        'field.escalated': 'Escalated',
+        'field.created_at': 'Created',
+        'field.updated_at': 'Updated',
+
+        'status.open': 'open',
+        'status.acknowledged': 'acknowledged',
+        'status.investigating': 'investigating',
+        'status.resolved': 'resolved',
+        'status.closed': 'closed',
+
+        // Types the proxy ships with (lib/incidentModel.js); others keep the proxy's label
+        'type.outage': 'Outage',
+        'type.degradation': 'Service degradation',
+        'type.performance': 'Performance',
+        'type.security': 'Security',
+        'type.data-loss': 'Data loss',
+        'type.maintenance': 'Maintenance',
+        'type.other': 'Other',
+
+        'login.title': 'Login',
+        'login.username': 'Username',
+        'login.password': 'Password',
+        'login.submit': 'Login',
+        'login.register': 'Register',
+        'login.failed': 'Login failed',
+        'login.failedRetry': 'Login failed. Please try again.',
+        'login.missingFields': 'Please enter both username and password',
+        'login.tooManyAttempts': 'Too many attempts.',
+        'login.retryIn': '{message} Try again in {time}.',
+        'register.failed': 'Registration failed',
+        'register.failedRetry': 'Registration failed. Please try again.',
+
+        'session.expiresIn': 'Your session expires in',
+        'session.extend': 'Stay signed in',
+        'session.expired': 'Your session has expired. Log in again to continue where you left off.',
+        'drafts.createRestored': 'Your unsaved incident was restored.',
+        'drafts.editRestored': 'Your unsaved changes were restored.',
+        'offline.banner': 'You are offline. Showing the last known incidents; new changes are queued and sent when the connection returns.',
+
+        'create.heading': 'Create New Incident',
+        'create.selectType': 'Select a type',
+        'create.submit': 'Add Incident',
+        'create.success': 'Incident created successfully',
+        'create.failed': 'Failed to create incident',
+        'create.queued': 'You are offline. The incident will be created when the connection returns.',
+
+        'transfer.export': 'Export matching incidents:',
+        'transfer.importFrom': 'Import from file:',
+        'transfer.preview': 'Preview',
+        'transfer.import': 'Import',
+        'transfer.row': 'Row',
+        'transfer.result': 'Result',
+        'transfer.details': 'Details',
+        'import.failed': 'Import failed: {error}',
+        'import.failedPlain': 'Import failed',
+        'import.preview': 'Preview: {valid} of {total} rows are valid and would be created.',
+        'import.created': 'Created {created} of {total} incidents ({invalid} invalid, {failed} failed).',
+        'import.ignoredColumns': '{summary} Ignored columns: {fields}.',
+        'import.rowFailed': 'Failed',
+        'import.result.valid': 'valid',
+        'import.result.created': 'created',
+        'import.result.invalid': 'invalid',
+        'import.result.failed': 'failed',
+
+        'summary.heading': 'Overview',
+        'summary.refresh': 'Refresh',
+        'summary.createdPerDay': 'Created per day',
+        'summary.age': 'Age of unresolved incidents',
+        'summary.byType': 'By type',
+        'summary.escalation': 'Escalation',
+        'summary.topReporters': 'Top reporters',
+        'summary.topResources': 'Top resources',
+        'summary.slaTimers': 'SLA timers',
+        'summary.loadFailed': 'Failed to load the overview',
+        'summary.offline': 'Offline: showing the last overview loaded',
+        'summary.total': 'Incidents',
+        'summary.unresolved': 'Unresolved',
+        'summary.escalatedWaiting': 'Escalated, unresolved',
+        'summary.slaBreached': 'SLA breached',
+        'summary.escalated': 'Escalated',
+        'summary.escalatedLongestWait': 'Escalated (longest wait {duration})',
+        'summary.notEscalated': 'Not escalated',
+        'summary.other': 'Other',
+        'summary.noIncidents': 'No incidents',
+        'summary.createdChart': {
+            one: '{count} incident created in the last {days} days',
+            other: '{count} incidents created in the last {days} days'
+        },
+        'age.lt1h': '< 1 hour',
+        'age.1to4h': '1–4 hours',
+        'age.4to24h': '4–24 hours',
+        'age.1to7d': '1–7 days',
+        'age.gt7d': '> 7 days',
+        'sla.none': 'No unresolved incidents with a known start time',
+        'sla.escalated': 'escalated',
+        'sla.openFor': 'open for {duration}',
+        'sla.left': '{duration} left',
+        'sla.breached': 'SLA breached {duration} ago',
+        'duration.days': '{days}d {hours}h',
+        'duration.hours': '{hours}h {minutes}m',
+        'duration.minutes': '{minutes}m {seconds}s',
+
+        'toolbar.search': 'Search',
+        'toolbar.searchPlaceholder': 'Title, description, reporter...',
+        'toolbar.sortBy': 'Sort by',
+        'toolbar.sortDefault': 'Default',
+        'toolbar.sortOrder': 'Sort order',
+        'toolbar.asc': 'Asc',
+        'toolbar.desc': 'Desc',
+
+        'bulk.selectPage': 'Select all on this page',
+        'bulk.escalate': 'Escalate selected',
+        'bulk.edit': 'Edit selected',
+        'bulk.delete': 'Delete selected',
+        'bulk.clear': 'Clear selection',
+        'bulk.selected': '{count} selected',
+        'bulk.selectMatching': 'Select all {count} matching incidents',
+        'bulk.selectFailed': 'Could not select all incidents: {error}',
+        'bulk.selectFailedPlain': 'Could not select all incidents',
+        'bulk.confirmDelete': {
+            one: 'Are you sure you want to delete {count} incident?',
+            other: 'Are you sure you want to delete {count} incidents?'
+        },
+        'bulk.done.escalate': 'Escalated {done} of {total} incidents',
+        'bulk.done.update': 'Updated {done} of {total} incidents',
+        'bulk.done.delete': 'Deleted {done} of {total} incidents',
+        'bulk.reportDone': '{summary}.',
+        'bulk.reportFailures': '{summary}; {failed} failed and remain selected:',
+        'bulk.failure': 'Incident {id}: {error}',
+        'bulk.failed': 'failed',
+        'bulkEdit.heading': { one: 'Edit {count} Incident', other: 'Edit {count} Incidents' },
+        'bulkEdit.intro': 'Only the fields you set are changed; empty fields keep each incident\'s value.',
+        'bulkEdit.noChange': 'No change',
+        'bulkEdit.apply': 'Apply Changes',
+        'bulkEdit.chooseField': 'Choose at least one field to change',
+
+        'list.loading': 'Loading incidents...',
+        'list.loadFailed': 'Failed to load incidents',
+        'list.empty': 'No incidents found',
+        'pager.previous': 'Previous',
+        'pager.next': 'Next',
+        'pager.pageSize': 'Incidents per page',
+        'pager.perPage': '{count} / page',
+        'pager.info': 'Page {page} of {pages} ({total} incidents)',
+
+        'incident.fallbackTitle': 'Incident {id}',
+        'card.select': 'Select incident {id}',
+        'card.noDescription': 'No description',
+        'card.id': 'ID: {id}',
+        'card.reporter': 'Reporter: {reporter}',
+        'card.assignee': 'Assignee: {assignee}',
+        'card.unassigned': 'Unassigned',
+        'card.type': 'Type: {type}',
+        'card.resource': 'Resource ID: {resource}',
+
+        'detail.back': '← Back to dashboard',
+        'detail.activity': 'Activity',
+        'detail.loadFailed': 'Failed to load incident',
+        'detail.deleted': 'This incident has been deleted',
+        'timeline.empty': 'No recorded activity yet',
+        'timeline.created': '{actor} created the incident',
+        'timeline.updated': '{actor} edited the incident',
+        'timeline.escalated': '{actor} escalated the incident',
+        'timeline.deleted': '{actor} deleted the incident',
+        'timeline.other': '{actor}: {type}',
+
+        'comments.heading': 'Comments',
+        'comments.add': 'Add a comment',
+        'comments.hint': 'Markdown: **bold**, *italic*, `code`, [links](https://example.com), lists and ``` code blocks.',
+        'comments.submit': 'Comment',
+        'comments.empty': 'No comments yet',
+        'comments.loadFailed': 'Failed to load comments',
+        'comments.addFailed': 'Failed to add comment',
+        'comments.confirmDelete': 'Are you sure you want to delete this comment?',
+        'comments.deleteFailed': 'Failed to delete comment',
+        'comments.deleted': 'Comment deleted',
+
+        'edit.heading': 'Edit Incident',
+        'edit.save': 'Save Changes',
+        'edit.loadFailed': 'Failed to load incident: {error}',
+        'edit.failed': 'Failed to update incident',
+        'merge.heading': 'Someone Else Changed This Incident',
+        'merge.intro': 'Choose which value to keep for every field that differs. Fields only one side changed are preselected.',
+        'merge.field': 'Field',
+        'merge.mine': 'Your change',
+        'merge.server': 'Current on server',
+        'merge.discard': 'Discard My Changes',
+        'merge.save': 'Save Merged Version',
+        'merge.changedByBoth': 'changed by both',
+        'merge.noDifferences': 'Your changes match the current version.',
+        'merge.changedAgain': 'The incident changed again while you were merging. Please review the new differences.',
+        'confirm.heading': 'Confirm Deletion',
+        'confirm.deleteIncident': 'Are you sure you want to delete this incident?',
+
+        'escalate.done': 'Incident {id} escalated successfully!',
+        'escalate.doneDetail': 'Incident escalated',
+        'escalate.failed': 'Failed to escalate incident: {error}',
+        'escalate.queued': 'You are offline. The escalation will be sent when the connection returns.',
+        'delete.failed': 'Failed to delete incident: {error}',
+
+        'outbox.create': 'Create "{title}"',
+        'outbox.edit': 'Edit incident {id}',
+        'outbox.escalate': 'Escalate incident {id}',
+        'outbox.waiting': { one: '{count} change waiting to be sent', other: '{count} changes waiting to be sent' },
+        'outbox.attention': {
+            one: '{pending} waiting, {count} needs your attention',
+            other: '{pending} waiting, {count} need your attention'
+        },
+        'outbox.queued': 'queued',
+        'outbox.apply': 'Apply anyway',
+        'outbox.discard': 'Discard',
+        'outbox.deletedOnServer': 'The incident was deleted on the server.',
+        'outbox.changedOnServer': 'The incident was changed on the server since.'
+    },
+
+    de: {
+        'app.title': 'Incident-Management',
+        'app.heading': 'Incident-Dashboard',
+        'app.logout': 'Abmelden',
+        'locale.label': 'Sprache',
+
+        'common.cancel': 'Abbrechen',
+        'common.delete': 'Löschen',
+        'common.dismiss': 'Schließen',
+        'common.edit': 'Bearbeiten',
+        'common.escalate': 'Eskalieren',
+        'common.unknown': 'Unbekannt',
+        'common.unspecified': 'Nicht angegeben',
+        'common.notAvailable': 'k. A.',
+        'common.someone': 'Jemand',
+        'error.unexpectedResponse': 'Unerwartete Antwort ({status})',
+        'error.requestFailed': 'Anfrage fehlgeschlagen',
+        'error.requestFailedStatus': 'Anfrage fehlgeschlagen ({status})',
+        'form.correctFields': 'Bitte korrigieren Sie die markierten Felder.',
+
+        'field.id': 'ID',
+        'field.title': 'Titel',
+        'field.reporter': 'Gemeldet von',
+        'field.type': 'Typ',
+        'field.severity': 'Schweregrad',
+        'field.status': 'Status',
+        'field.assignee': 'Zuständig',
+        'field.description': 'Beschreibung',
+        'field.resource_id': 'Ressourcen-ID',
+        'field.escalated': 'Eskaliert',
+        'field.created_at': 'Erstellt',
+        'field.updated_at': 'Geändert',
+
+        'status.open': 'offen',
+        'status.acknowledged': 'bestätigt',
+        'status.investigating': 'in Untersuchung',
+        'status.resolved': 'gelöst',
+        'status.closed': 'geschlossen',
+
+        'type.outage': 'Ausfall',
+        'type.degradation': 'Eingeschränkter Dienst',
+        'type.performance': 'Performance',
+        'type.security': 'Sicherheit',
+        'type.data-loss': 'Datenverlust',
+        'type.maintenance': 'Wartung',
+        'type.other': 'Sonstiges',
+
+        'login.title': 'Anmeldung',
+        'login.username': 'Benutzername',
+        'login.password': 'Passwort',
+        'login.submit': 'Anmelden',
+        'login.register': 'Registrieren',
+        'login.failed': 'Anmeldung fehlgeschlagen',
+        'login.failedRetry': 'Anmeldung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+        'login.missingFields': 'Bitte geben Sie Benutzername und Passwort ein',
+        'login.tooManyAttempts': 'Zu viele Versuche.',
+        'login.retryIn': '{message} Erneut versuchen in {time}.',
+        'register.failed': 'Registrierung fehlgeschlagen',
+        'register.failedRetry': 'Registrierung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+
+        'session.expiresIn': 'Ihre Sitzung endet in',
+        'session.extend': 'Angemeldet bleiben',
+        'session.expired': 'Ihre Sitzung ist abgelaufen. Melden Sie sich erneut an, um dort weiterzumachen, wo Sie aufgehört haben.',
+        'drafts.createRestored': 'Ihr nicht gespeicherter Incident wurde wiederhergestellt.',
+        'drafts.editRestored': 'Ihre nicht gespeicherten Änderungen wurden wiederhergestellt.',
+        'offline.banner': 'Sie sind offline. Angezeigt werden die zuletzt bekannten Incidents; neue Änderungen werden gesendet, sobald die Verbindung zurück ist.',
+
+        'create.heading': 'Neuen Incident anlegen',
+        'create.selectType': 'Typ auswählen',
+        'create.submit': 'Incident anlegen',
+        'create.success': 'Incident wurde angelegt',
+        'create.failed': 'Incident konnte nicht angelegt werden',
+        'create.queued': 'Sie sind offline. Der Incident wird angelegt, sobald die Verbindung zurück ist.',
+
+        'transfer.export': 'Passende Incidents exportieren:',
+        'transfer.importFrom': 'Aus Datei importieren:',
+        'transfer.preview': 'Vorschau',
+        'transfer.import': 'Importieren',
+        'transfer.row': 'Zeile',
+        'transfer.result': 'Ergebnis',
+        'transfer.details': 'Details',
+        'import.failed': 'Import fehlgeschlagen: {error}',
+        'import.failedPlain': 'Import fehlgeschlagen',
+        'import.preview': 'Vorschau: {valid} von {total} Zeilen sind gültig und würden angelegt.',
+        'import.created': '{created} von {total} Incidents angelegt ({invalid} ungültig, {failed} fehlgeschlagen).',
+        'import.ignoredColumns': '{summary} Ignorierte Spalten: {fields}.',
+        'import.rowFailed': 'Fehlgeschlagen',
+        'import.result.valid': 'gültig',
+        'import.result.created': 'angelegt',
+        'import.result.invalid': 'ungültig',
+        'import.result.failed': 'fehlgeschlagen',
+
+        'summary.heading': 'Übersicht',
+        'summary.refresh': 'Aktualisieren',
+        'summary.createdPerDay': 'Angelegt pro Tag',
+        'summary.age': 'Alter der offenen Incidents',
+        'summary.byType': 'Nach Typ',
+        'summary.escalation': 'Eskalation',
+        'summary.topReporters': 'Häufigste Melder',
+        'summary.topResources': 'Häufigste Ressourcen',
+        'summary.slaTimers': 'SLA-Fristen',
+        'summary.loadFailed': 'Die Übersicht konnte nicht geladen werden',
+        'summary.offline': 'Offline: Angezeigt wird die zuletzt geladene Übersicht',
+        'summary.total': 'Incidents',
+        'summary.unresolved': 'Ungelöst',
+        'summary.escalatedWaiting': 'Eskaliert, ungelöst',
+        'summary.slaBreached': 'SLA verletzt',
+        'summary.escalated': 'Eskaliert',
+        'summary.escalatedLongestWait': 'Eskaliert (längste Wartezeit {duration})',
+        'summary.notEscalated': 'Nicht eskaliert',
+        'summary.other': 'Andere',
+        'summary.noIncidents': 'Keine Incidents',
+        'summary.createdChart': {
+            one: '{count} Incident in den letzten {days} Tagen angelegt',
+            other: '{count} Incidents in den letzten {days} Tagen angelegt'
+        },
+        'age.lt1h': '< 1 Stunde',
+        'age.1to4h': '1–4 Stunden',
+        'age.4to24h': '4–24 Stunden',
+        'age.1to7d': '1–7 Tage',
+        'age.gt7d': '> 7 Tage',
+        'sla.none': 'Keine offenen Incidents mit bekanntem Beginn',
+        'sla.escalated': 'eskaliert',
+        'sla.openFor': 'offen seit {duration}',
+        'sla.left': 'noch {duration}',
+        'sla.breached': 'SLA seit {duration} verletzt',
+        'duration.days': '{days} T. {hours} Std.',
+        'duration.hours': '{hours} Std. {minutes} Min.',
+        'duration.minutes': '{minutes} Min. {seconds} Sek.',
+
+        'toolbar.search': 'Suche',
+        'toolbar.searchPlaceholder': 'Titel, Beschreibung, Melder...',
+        'toolbar.sortBy': 'Sortieren nach',
+        'toolbar.sortDefault': 'Standard',
+        'toolbar.sortOrder': 'Sortierreihenfolge',
+        'toolbar.asc': 'Aufsteigend',
+        'toolbar.desc': 'Absteigend',
+
+        'bulk.selectPage': 'Alle auf dieser Seite auswählen',
+        'bulk.escalate': 'Auswahl eskalieren',
+        'bulk.edit': 'Auswahl bearbeiten',
+        'bulk.delete': 'Auswahl löschen',
+        'bulk.clear': 'Auswahl aufheben',
+        'bulk.selected': '{count} ausgewählt',
+        'bulk.selectMatching': 'Alle {count} passenden Incidents auswählen',
+        'bulk.selectFailed': 'Nicht alle Incidents konnten ausgewählt werden: {error}',
+        'bulk.selectFailedPlain': 'Nicht alle Incidents konnten ausgewählt werden',
+        'bulk.confirmDelete': {
+            one: 'Möchten Sie {count} Incident wirklich löschen?',
+            other: 'Möchten Sie {count} Incidents wirklich löschen?'
+        },
+        'bulk.done.escalate': '{done} von {total} Incidents eskaliert',
+        'bulk.done.update': '{done} von {total} Incidents geändert',
+        'bulk.done.delete': '{done} von {total} Incidents gelöscht',
+        'bulk.reportDone': '{summary}.',
+        'bulk.reportFailures': '{summary}; {failed} fehlgeschlagen und weiterhin ausgewählt:',
+        'bulk.failure': 'Incident {id}: {error}',
+        'bulk.failed': 'fehlgeschlagen',
+        'bulkEdit.heading': { one: '{count} Incident bearbeiten', other: '{count} Incidents bearbeiten' },
+        'bulkEdit.intro': 'Nur die gesetzten Felder werden geändert; leere Felder behalten den Wert jedes Incidents.',
+        'bulkEdit.noChange': 'Keine Änderung',
+        'bulkEdit.apply': 'Änderungen anwenden',
+        'bulkEdit.chooseField': 'Wählen Sie mindestens ein Feld, das geändert werden soll',
+
+        'list.loading': 'Incidents werden geladen...',
+        'list.loadFailed': 'Incidents konnten nicht geladen werden',
+        'list.empty': 'Keine Incidents gefunden',
+        'pager.previous': 'Zurück',
+        'pager.next': 'Weiter',
+        'pager.pageSize': 'Incidents pro Seite',
+        'pager.perPage': '{count} / Seite',
+        'pager.info': 'Seite {page} von {pages} ({total} Incidents)',
+
+        'incident.fallbackTitle': 'Incident {id}',
+        'card.select': 'Incident {id} auswählen',
+        'card.noDescription': 'Keine Beschreibung',
+        'card.id': 'ID: {id}',
+        'card.reporter': 'Gemeldet von: {reporter}',
+        'card.assignee': 'Zuständig: {assignee}',
+        'card.unassigned': 'Nicht zugewiesen',
+        'card.type': 'Typ: {type}',
+        'card.resource': 'Ressourcen-ID: {resource}',
+
+        'detail.back': '← Zurück zum Dashboard',
+        'detail.activity': 'Aktivität',
+        'detail.loadFailed': 'Incident konnte nicht geladen werden',
+        'detail.deleted': 'Dieser Incident wurde gelöscht',
+        'timeline.empty': 'Noch keine Aktivität aufgezeichnet',
+        'timeline.created': '{actor} hat den Incident angelegt',
+        'timeline.updated': '{actor} hat den Incident bearbeitet',
+        'timeline.escalated': '{actor} hat den Incident eskaliert',
+        'timeline.deleted': '{actor} hat den Incident gelöscht',
+        'timeline.other': '{actor}: {type}',
+
+        'comments.heading': 'Kommentare',
+        'comments.add': 'Kommentar hinzufügen',
+        'comments.hint': 'Markdown: **fett**, *kursiv*, `Code`, [Links](https://example.com), Listen und ```-Codeblöcke.',
+        'comments.submit': 'Kommentieren',
+        'comments.empty': 'Noch keine Kommentare',
+        'comments.loadFailed': 'Kommentare konnten nicht geladen werden',
+        'comments.addFailed': 'Kommentar konnte nicht hinzugefügt werden',
+        'comments.confirmDelete': 'Möchten Sie diesen Kommentar wirklich löschen?',
+        'comments.deleteFailed': 'Kommentar konnte nicht gelöscht werden',
+        'comments.deleted': 'Kommentar gelöscht',
+
+        'edit.heading': 'Incident bearbeiten',
+        'edit.save': 'Änderungen speichern',
+        'edit.loadFailed': 'Incident konnte nicht geladen werden: {error}',
+        'edit.failed': 'Incident konnte nicht geändert werden',
+        'merge.heading': 'Jemand anderes hat diesen Incident geändert',
+        'merge.intro': 'Wählen Sie für jedes abweichende Feld den Wert, der bleiben soll. Felder, die nur eine Seite geändert hat, sind vorausgewählt.',
+        'merge.field': 'Feld',
+        'merge.mine': 'Ihre Änderung',
+        'merge.server': 'Aktuell auf dem Server',
+        'merge.discard': 'Meine Änderungen verwerfen',
+        'merge.save': 'Zusammengeführte Fassung speichern',
+        'merge.changedByBoth': 'von beiden geändert',
+        'merge.noDifferences': 'Ihre Änderungen entsprechen der aktuellen Fassung.',
+        'merge.changedAgain': 'Der Incident wurde während des Zusammenführens erneut geändert. Bitte prüfen Sie die neuen Unterschiede.',
+        'confirm.heading': 'Löschen bestätigen',
+        'confirm.deleteIncident': 'Möchten Sie diesen Incident wirklich löschen?',
+
+        'escalate.done': 'Incident {id} wurde eskaliert.',
+        'escalate.doneDetail': 'Incident eskaliert',
+        'escalate.failed': 'Incident konnte nicht eskaliert werden: {error}',
+        'escalate.queued': 'Sie sind offline. Die Eskalation wird gesendet, sobald die Verbindung zurück ist.',
+        'delete.failed': 'Incident konnte nicht gelöscht werden: {error}',
+
+        'outbox.create': '„{title}“ anlegen',
+        'outbox.edit': 'Incident {id} bearbeiten',
+        'outbox.escalate': 'Incident {id} eskalieren',
+        'outbox.waiting': { one: '{count} Änderung wartet auf das Senden', other: '{count} Änderungen warten auf das Senden' },
+        'outbox.attention': {
+            one: '{pending} wartend, {count} erfordert Ihre Aufmerksamkeit',
+            other: '{pending} wartend, {count} erfordern Ihre Aufmerksamkeit'
+        },
+        'outbox.queued': 'wartet',
+        'outbox.apply': 'Trotzdem anwenden',
+        'outbox.discard': 'Verwerfen',
+        'outbox.deletedOnServer': 'Der Incident wurde auf dem Server gelöscht.',
+        'outbox.changedOnServer': 'Der Incident wurde inzwischen auf dem Server geändert.'
+    }
+};
+
+// Shown in the language switcher in their own language
+const LOCALE_NAMES = { en: 'English', de: 'Deutsch' };
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+let currentLocale = DEFAULT_LOCALE;
+
+function hasMessage(key) {
+    return Object.prototype.hasOwnProperty.call(MESSAGES[currentLocale], key)
+        || Object.prototype.hasOwnProperty.call(MESSAGES[DEFAULT_LOCALE], key);
+}
+
+// Falls back to English, then to the key itself, so a missing translation never blanks the UI
+function t(key, params = {}) {
+    let message = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(Number(params.count));
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+}
+
+// "de-AT" → "de"; null if the language has no catalog
+function supportedLocale(tag) {
+    const language = String(tag || '').toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+function readStoredLocale(key) {
+    try {
+        return supportedLocale(localStorage.getItem(key));
+    } catch (error) {
+        return null; // storage disabled
+    }
+}
+
+function storeLocale(key, locale) {
+    try {
+        localStorage.setItem(key, locale);
+    } catch (error) {
+        // Storage disabled: the choice lasts for this page only
+    }
+}
+
+// The user's own choice, then the last one made on this browser, then the browser languages
+function preferredLocale(username) {
+    const fromBrowser = (navigator.languages || [navigator.language]).map(supportedLocale).find(Boolean);
+    return (username && readStoredLocale(`${LOCALE_KEY}:${username}`))
+        || readStoredLocale(LOCALE_KEY)
+        || fromBrowser
+        || DEFAULT_LOCALE;
+}
+
+// Remembers the choice for the browser and, when logged in, for the user
+function saveLocale(locale, username) {
+    storeLocale(LOCALE_KEY, locale);
+    if (username) storeLocale(`${LOCALE_KEY}:${username}`, locale);
+}
+
+function setLocale(locale) {
+    currentLocale = supportedLocale(locale) || DEFAULT_LOCALE;
+    translatePage();
+    return currentLocale;
+}
+
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+// Rewrites every element marked with data-i18n / data-i18n-<attribute>.
+// data-i18n-params holds JSON placeholders, e.g. {"count": 10}.
+function translatePage(root = document) {
+    const paramsOf = element => (element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {});
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, paramsOf(element));
+    });
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`), paramsOf(element)));
+        });
+    });
+    document.documentElement.lang = currentLocale;
+    document.title = t('app.title');
+}
+
+function formatDateTime(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value ?? '');
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+// Calendar days ("2026-10-19") are UTC dates from the proxy
+function formatDay(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return String(day);
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeZone: 'UTC' }).format(date);
+}
+
+function formatNumber(value) {
+    return new Intl.NumberFormat(currentLocale).format(value);
+}
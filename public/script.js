@@ -13,6 +13,47 @@ const confirmModal = document.getElementById('confirm-modal');
 const editForm = document.getElementById('edit-incident-form');
 const editMessage = document.getElementById('edit-message');
 const loadingMessage = document.getElementById('loading-message');
+const filterQuery = document.getElementById('filter-q');
+const filterType = document.getElementById('filter-type');
+const filterReporter = document.getElementById('filter-reporter');
+const sortField = document.getElementById('sort-field');
+const sortOrder = document.getElementById('sort-order');
+const pageSizeSelect = document.getElementById('page-size');
+const pagePrev = document.getElementById('page-prev');
+const pageNext = document.getElementById('page-next');
+const pageInfo = document.getElementById('page-info');
+const dashboardView = document.getElementById('dashboard-view');
+const detailView = document.getElementById('detail-view');
+const detailTitle = document.getElementById('detail-title');
+const detailFields = document.getElementById('detail-fields');
+const detailTimeline = document.getElementById('detail-timeline');
+const detailMessage = document.getElementById('detail-message');
+const detailComments = document.getElementById('detail-comments');
+const commentForm = document.getElementById('comment-form');
+const commentMessage = document.getElementById('comment-message');
+const summaryMessage = document.getElementById('summary-message');
+const summaryTotals = document.getElementById('summary-totals');
+const slaTimers = document.getElementById('sla-timers');
+const sessionBanner = document.getElementById('session-banner');
+const sessionCountdown = document.getElementById('session-countdown');
+const bulkSelectPage = document.getElementById('bulk-select-page');
+const bulkCount = document.getElementById('bulk-count');
+const bulkSelectMatching = document.getElementById('bulk-select-matching');
+const bulkActions = document.getElementById('bulk-actions');
+const bulkReport = document.getElementById('bulk-report');
+const bulkEditModal = document.getElementById('bulk-edit-modal');
+const bulkEditForm = document.getElementById('bulk-edit-form');
+const bulkEditMessage = document.getElementById('bulk-edit-message');
+const importForm = document.getElementById('import-form');
+const importReport = document.getElementById('import-report');
+const mergeModal = document.getElementById('merge-modal');
+const mergeForm = document.getElementById('merge-form');
+const mergeMessage = document.getElementById('merge-message');
+const offlineBanner = document.getElementById('offline-banner');
+const outboxPanel = document.getElementById('outbox-panel');
+const localeSelect = document.getElementById('locale-select');
+const toastStatus = document.getElementById('toast-status');
+const toastAlert = document.getElementById('toast-alert');
 
 // Event Listeners
 loginForm.addEventListener('submit', handleLogin);
@@ -20,144 +61,1472 @@ registerButton.addEventListener('click', handleRegister);
 logoutButton.addEventListener('click', handleLogout);
 createIncidentForm.addEventListener('submit', handleCreateIncident);
 editForm.addEventListener('submit', handleEditIncident);
-document.getElementById('cancel-edit').addEventListener('click', () => editModal.classList.add('hidden'));
-document.getElementById('confirm-cancel').addEventListener('click', () => confirmModal.classList.add('hidden'));
-document.getElementById('confirm-delete').addEventListener('click', handleConfirmDelete);
+document.getElementById('cancel-edit').addEventListener('click', () => closeModal(editModal));
+document.getElementById('confirm-cancel').addEventListener('click', cancelConfirm);
+document.getElementById('confirm-delete').addEventListener('click', handleConfirm);
+incidentsList.addEventListener('click', handleIncidentListClick);
+incidentsList.addEventListener('change', handleIncidentListChange);
+bulkSelectPage.addEventListener('change', () => toggleSelectPage(bulkSelectPage.checked));
+bulkSelectMatching.addEventListener('click', selectAllMatching);
+bulkActions.addEventListener('click', handleBulkActionClick);
+document.getElementById('bulk-clear').addEventListener('click', clearSelection);
+document.getElementById('bulk-report-dismiss').addEventListener('click', () => bulkReport.classList.add('hidden'));
+bulkEditForm.addEventListener('submit', handleBulkEdit);
+document.getElementById('bulk-edit-cancel').addEventListener('click', () => closeModal(bulkEditModal));
+importForm.addEventListener('submit', handleImport);
+mergeForm.addEventListener('submit', handleMergeSubmit);
+document.getElementById('merge-cancel').addEventListener('click', cancelMerge);
+document.getElementById('outbox-entries').addEventListener('click', handleOutboxClick);
+window.addEventListener('online', () => {
+    setOffline(false);
+    replayOutbox();
+});
+window.addEventListener('offline', () => setOffline(true));
+filterQuery.addEventListener('input', () => debounce(() => updateListState({ q: filterQuery.value })));
+filterType.addEventListener('change', () => updateListState({ type: filterType.value }));
+filterReporter.addEventListener('change', () => updateListState({ reporter: filterReporter.value }));
+sortField.addEventListener('change', () => updateListState({ sort: sortField.value }));
+sortOrder.addEventListener('change', () => updateListState({ order: sortOrder.value }));
+pageSizeSelect.addEventListener('change', () => updateListState({ pageSize: pageSizeSelect.value }));
+pagePrev.addEventListener('click', () => updateListState({ page: Number(listState.page || 1) - 1 }, true));
+pageNext.addEventListener('click', () => updateListState({ page: Number(listState.page || 1) + 1 }, true));
+window.addEventListener('popstate', () => {
+    // Hash navigation (detail view) fires popstate too; only react to list changes
+    const previousQuery = listQueryString();
+    listState = readListState();
+    if (listQueryString() === previousQuery) return;
+    syncToolbar();
+    fetchIncidents();
+});
+window.addEventListener('hashchange', handleRoute);
+document.getElementById('detail-edit').addEventListener('click', () => showEditModal(currentDetailId));
+document.getElementById('detail-escalate').addEventListener('click', () => handleEscalate(currentDetailId));
+commentForm.addEventListener('submit', handleCommentSubmit);
+document.getElementById('summary-refresh').addEventListener('click', () => loadStats());
+detailComments.addEventListener('click', handleCommentListClick);
+document.getElementById('session-extend').addEventListener('click', refreshSession);
+localeSelect.addEventListener('change', handleLocaleChange);
+document.addEventListener('keydown', handleModalKeydown);
+['click', 'keydown'].forEach(type => document.addEventListener(type, () => { lastActivityAt = Date.now(); }, { passive: true }));
 
-let currentIncidentId = null;
+// Runs when the user confirms in the confirm modal
+let pendingConfirm = null;
+// The incident and version (ETag) the edit modal was opened with
+let editBase = null;
+// Incident shown in the detail view (#/incidents/:id), null on the dashboard
+let currentDetailId = null;
+
+// List view state (search, filters, sort, page) mirrored in the URL query string
+// so filtered views can be bookmarked and shared
+const LIST_PARAMS = ['q', 'type', 'reporter', 'resource_id', 'sort', 'order', 'page', 'pageSize'];
+let listState = readListState();
+let debounceTimer = null;
+syncToolbar();
+
+// Incidents ticked for a bulk action; kept while paging, reset when the filters change
+const selectedIds = new Set();
+// Number of incidents matching the current filters, from the last list fetch
+let listTotal = 0;
+
+// Last known copy of every incident shown, the baseline for offline conflict checks
+const knownIncidents = new Map();
+
+// Caches the app shell and the last incident list for offline use (see sw.js)
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error));
+}
+
+// CSRF token for the current session, sent with every state-changing request
+let csrfToken = null;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Until the session says who is logged in, the last language chosen here (or the browser's)
+applyLocale(preferredLocale());
 
 // Check if user is already logged in
 checkAuthStatus();
 
+// Shared fetch helper. Every /api response is JSON; failures use the
+// envelope { error, code, backendStatus, requestId }. String bodies are sent
+// as they are (with the Content-Type from options.headers), anything else as JSON.
+async function apiRequest(url, options = {}, isRetry = false) {
+    const method = (options.method || 'GET').toUpperCase();
+    const init = { ...options, headers: { ...(options.headers || {}) } };
+    if (options.body !== undefined && typeof options.body !== 'string') {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(options.body);
+    }
+    if (!SAFE_METHODS.includes(method)) {
+        if (!csrfToken) await refreshCsrfToken();
+        if (csrfToken) init.headers['X-CSRF-Token'] = csrfToken;
+    }
+
+    const response = await fetch(url, init);
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (error) {
+        // Keep the shape predictable even if something upstream sent no JSON
+        data = { error: t('error.unexpectedResponse', { status: response.status }), code: 'INVALID_RESPONSE' };
+    }
+
+    // The token is stale (e.g. the server restarted): fetch a new one and retry once
+    if (response.status === 403 && data.code === 'CSRF_INVALID' && !isRetry) {
+        csrfToken = null;
+        return apiRequest(url, options, true);
+    }
+    return { response, data };
+}
+
+async function refreshCsrfToken() {
+    try {
+        const response = await fetch('/api/csrf');
+        csrfToken = response.ok ? (await response.json()).csrfToken : null;
+    } catch (error) {
+        csrfToken = null;
+    }
+}
+
 async function checkAuthStatus() {
     try {
-        const response = await fetch('/api/incidents');
-        if (response.ok) {
+        if (await loadSession()) {
             showApp();
             fetchIncidents();
+            restoreDraftForms();
         }
     } catch (error) {
         console.error('Auth check failed:', error);
     }
 }
 
+// --- Session lifecycle: expiry warning, sliding refresh ---
+
+// Warn (or refresh silently for active users) this long before the session ends
+const SESSION_WARNING_MS = 5 * 60 * 1000;
+// Users who clicked or typed this recently are treated as still working
+const ACTIVITY_WINDOW_MS = 10 * 60 * 1000;
+
+let currentSession = null;
+let lastActivityAt = Date.now();
+let sessionWarningTimer = null;
+let sessionCountdownTimer = null;
+
+async function loadSession() {
+    const { response, data } = await apiRequest('/api/session');
+    if (!response.ok) return false;
+    applySession(data);
+    return true;
+}
+
+function applySession(session) {
+    currentSession = session;
+    const locale = preferredLocale(session.username);
+    if (locale !== currentLocale) applyLocale(locale);
+    csrfToken = session.csrfToken || csrfToken;
+    sessionBanner.classList.add('hidden');
+    applyPermissions();
+    scheduleSessionTimers();
+}
+
+// --- Permissions (the proxy enforces them; the UI only hides what would fail) ---
+
+function can(permission) {
+    return Boolean(currentSession && (currentSession.permissions || []).includes(permission));
+}
+
+// Shows or hides every element marked with data-permission
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !can(element.dataset.permission));
+    });
+    // Selection controls are only useful with at least one bulk action
+    document.querySelectorAll('[data-bulk]').forEach(element => {
+        element.classList.toggle('hidden', !canBulk());
+    });
+}
+
+function clearSessionTimers() {
+    clearTimeout(sessionWarningTimer);
+    clearInterval(sessionCountdownTimer);
+}
+
+function scheduleSessionTimers() {
+    clearSessionTimers();
+    if (!currentSession || !currentSession.expiresAt) return;
+    const expiresAt = Date.parse(currentSession.expiresAt);
+    sessionWarningTimer = setTimeout(onSessionWarning, Math.max(0, expiresAt - SESSION_WARNING_MS - Date.now()));
+}
+
+async function onSessionWarning() {
+    if (Date.now() - lastActivityAt < ACTIVITY_WINDOW_MS && await refreshSession()) {
+        return;
+    }
+    sessionBanner.classList.remove('hidden');
+    updateSessionCountdown();
+    sessionCountdownTimer = setInterval(updateSessionCountdown, 1000);
+}
+
+function updateSessionCountdown() {
+    const remaining = Date.parse(currentSession.expiresAt) - Date.now();
+    if (remaining <= 0) {
+        clearSessionTimers();
+        showAuth();
+        return;
+    }
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    sessionCountdown.textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+async function refreshSession() {
+    try {
+        const { response, data } = await apiRequest('/api/session/refresh', { method: 'POST' });
+        if (response.ok) {
+            applySession(data);
+            return true;
+        }
+        if (response.status === 401) showAuth();
+    } catch (error) {
+        console.error('Session refresh failed:', error);
+    }
+    return false;
+}
+
+// --- Unsaved form contents survive a re-login ---
+
+const DRAFTS_KEY = 'incident-drafts';
+
+function formValues(form) {
+    return Object.fromEntries(new FormData(form));
+}
+
+function fillForm(form, values) {
+    Object.entries(values).forEach(([name, value]) => {
+        const field = form.elements.namedItem(name);
+        if (!field) return;
+        if (field.tagName === 'SELECT') {
+            setSelectValue(field, value);
+        } else {
+            field.value = value;
+        }
+    });
+}
+
+// Returns true if anything worth keeping was stored
+function saveDraftForms() {
+    const drafts = {};
+    const createValues = formValues(createIncidentForm);
+    if (createIncidentForm.elements.namedItem('title').value || createIncidentForm.elements.namedItem('description').value) {
+        drafts.create = createValues;
+    }
+    if (!editModal.classList.contains('hidden')) {
+        drafts.edit = { id: document.getElementById('edit-id').value, values: formValues(editForm), base: editBase };
+    }
+    if (!drafts.create && !drafts.edit) return false;
+    sessionStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    return true;
+}
+
+async function restoreDraftForms() {
+    const stored = sessionStorage.getItem(DRAFTS_KEY);
+    if (!stored) return;
+    sessionStorage.removeItem(DRAFTS_KEY);
+    const drafts = JSON.parse(stored);
+
+    // Select options (types, severities) have to exist before values are restored
+    await loadIncidentMeta();
+    if (drafts.create) {
+        fillForm(createIncidentForm, drafts.create);
+        createMessage.textContent = t('drafts.createRestored');
+        createMessage.className = 'text-center text-green-500 text-sm mt-2';
+    }
+    if (drafts.edit) {
+        await showEditModal(drafts.edit.id);
+        // Keep the version the edit started from, so changes made meanwhile lead to a merge
+        if (drafts.edit.base) editBase = drafts.edit.base;
+        fillForm(editForm, drafts.edit.values);
+        editMessage.textContent = t('drafts.editRestored');
+    }
+}
+
+// --- Field-level validation errors ({ errors: [{ field, message }] }) ---
+
+function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(hint => hint.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(input => {
+        input.classList.remove('border-red-500');
+        input.removeAttribute('aria-invalid');
+    });
+}
+
+// Puts each error under its input; returns the messages that have no input
+function showFieldErrors(form, errors = []) {
+    clearFieldErrors(form);
+    const unplaced = [];
+    errors.forEach(({ field, message }) => {
+        const input = field ? form.elements.namedItem(field) : null;
+        if (!input || !input.insertAdjacentElement) {
+            unplaced.push(message);
+            return;
+        }
+        input.classList.add('border-red-500');
+        input.setAttribute('aria-invalid', 'true');
+        const hint = document.createElement('p');
+        hint.className = 'field-error text-red-500 text-xs mt-1';
+        hint.textContent = message;
+        input.insertAdjacentElement('afterend', hint);
+    });
+    return unplaced;
+}
+
+// Message for the form's status line after a failed request
+function formErrorMessage(form, data, fallback) {
+    if (!Array.isArray(data.errors)) {
+        clearFieldErrors(form);
+        return data.error || fallback;
+    }
+    const unplaced = showFieldErrors(form, data.errors);
+    return unplaced.length ? unplaced.join('. ') : t('form.correctFields');
+}
+
 async function handleLogin(event) {
     event.preventDefault();
     const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
 
     try {
-        const response = await fetch('/api/login', {
+        const { response, data } = await apiRequest('/api/login', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username, password })
+            body: { username, password }
         });
 
-        const data = await response.json();
         if (response.ok) {
+            csrfToken = data.csrfToken || null;
+            clearFieldErrors(loginForm);
+            await loadSession();
             showApp();
             fetchIncidents();
             loginMessage.textContent = '';
+            restoreDraftForms();
+        } else if (response.status === 429) {
+            startLockoutCountdown(data.retryAfter, data.error);
         } else {
-            loginMessage.textContent = data.error || 'Login failed';
+            loginMessage.textContent = formErrorMessage(loginForm, data, t('login.failed'));
         }
     } catch (error) {
-        loginMessage.textContent = 'Login failed. Please try again.';
+        loginMessage.textContent = t('login.failedRetry');
     }
 }
 
+// --- Login lockout (429 with retryAfter seconds) ---
+
+let lockoutTimer = null;
+
+function startLockoutCountdown(retryAfterSeconds, message) {
+    const lockedUntil = Date.now() + (Number(retryAfterSeconds) || 60) * 1000;
+    const buttons = [loginForm.querySelector('button[type="submit"]'), registerButton];
+    buttons.forEach(button => { button.disabled = true; });
+
+    const update = () => {
+        const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(lockoutTimer);
+            buttons.forEach(button => { button.disabled = false; });
+            loginMessage.textContent = '';
+            return;
+        }
+        const minutes = Math.floor(remaining / 60);
+        const seconds = String(remaining % 60).padStart(2, '0');
+        loginMessage.textContent = t('login.retryIn', { message: message || t('login.tooManyAttempts'), time: `${minutes}:${seconds}` });
+    };
+    clearInterval(lockoutTimer);
+    update();
+    lockoutTimer = setInterval(update, 1000);
+}
+
 async function handleRegister() {
     const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
 
     if (!username || !password) {
-        loginMessage.textContent = 'Please enter both username and password';
+        loginMessage.textContent = t('login.missingFields');
+        return;
+    }
+
+    try {
+        const { response, data } = await apiRequest('/api/register', {
+            method: 'POST',
+            body: { username, password }
+        });
+
+        if (response.status === 429) {
+            startLockoutCountdown(data.retryAfter, data.error);
+            return;
+        }
+        loginMessage.textContent = response.ok
+            ? data.message || ''
+            : formErrorMessage(loginForm, data, t('register.failed'));
+
+        if (response.ok) {
+            // Auto-login after successful registration
+            handleLogin(new Event('submit'));
+        }
+    } catch (error) {
+        loginMessage.textContent = t('register.failedRetry');
+    }
+}
+
+async function handleLogout() {
+    try {
+        await apiRequest('/api/logout', { method: 'POST' });
+        showAuth({ keepDrafts: false });
+    } catch (error) {
+        console.error('Logout failed:', error);
+    }
+}
+
+// Unless the user logged out on purpose, open forms are kept for after the re-login
+function showAuth({ keepDrafts = true } = {}) {
+    const wasInApp = !appSection.classList.contains('hidden');
+    if (keepDrafts && wasInApp && saveDraftForms()) {
+        loginMessage.textContent = t('session.expired');
+    } else if (!keepDrafts) {
+        sessionStorage.removeItem(DRAFTS_KEY);
+    }
+
+    authSection.classList.remove('hidden');
+    appSection.classList.add('hidden');
+    [editModal, mergeModal, bulkEditModal, confirmModal].forEach(modal => closeModal(modal, { restoreFocus: false }));
+    bulkReport.classList.add('hidden');
+    outboxPanel.classList.add('hidden');
+    clearTimeout(outboxRetryTimer);
+    selectedIds.clear();
+    loginForm.reset();
+    csrfToken = null;
+    currentSession = null;
+    clearSessionTimers();
+    stopIncidentStream();
+    stopSlaCountdowns();
+}
+
+function showApp() {
+    authSection.classList.add('hidden');
+    appSection.classList.remove('hidden');
+    loadIncidentMeta();
+    loadStats();
+    startIncidentStream();
+    handleRoute();
+    replayOutbox();
+}
+
+// --- Language (catalogs and formatting in i18n.js), remembered per user ---
+
+function applyLocale(locale) {
+    localeSelect.value = setLocale(locale);
+    relabelOptions();
+}
+
+// Everything script.js rendered is rebuilt in the new language
+function handleLocaleChange() {
+    applyLocale(localeSelect.value);
+    saveLocale(currentLocale, currentSession && currentSession.username);
+    if (appSection.classList.contains('hidden')) return;
+    fetchIncidents();
+    loadStats();
+    if (currentDetailId !== null) loadIncidentDetail(currentDetailId);
+    renderOutbox();
+}
+
+// Options filled from the proxy's vocabulary rather than from data-i18n
+function relabelOptions() {
+    document.querySelectorAll('select[data-options="types"] option').forEach(option => {
+        if (option.value) option.textContent = typeLabel(option.value);
+    });
+    document.querySelectorAll('#edit-status option, #bulk-edit-status option').forEach(option => {
+        if (option.value) option.textContent = statusLabel(option.value);
+    });
+}
+
+// --- Toasts: notices in live regions instead of alert() ---
+
+const TOAST_TIMEOUT_MS = 6000;
+const TOAST_STYLES = {
+    info: 'bg-white border-gray-300 text-gray-800',
+    success: 'bg-green-50 border-green-300 text-green-900',
+    error: 'bg-red-50 border-red-300 text-red-900'
+};
+
+// Errors are announced right away (role="alert") and stay until dismissed; the
+// others are read out politely and go after a while, but not while hovered or focused
+function showToast(message, type = 'info') {
+    const toast = createElement('div', `flex items-start gap-3 p-3 rounded-md border shadow-lg text-sm ${TOAST_STYLES[type]}`);
+    const dismiss = createElement('button', 'px-1 rounded text-lg leading-none opacity-70 hover:opacity-100 focus:outline-none focus:ring-2 focus:ring-indigo-500', '×');
+    dismiss.type = 'button';
+    dismiss.setAttribute('aria-label', t('common.dismiss'));
+    dismiss.addEventListener('click', () => toast.remove());
+    toast.append(createElement('p', 'flex-1 break-words', message), dismiss);
+    (type === 'error' ? toastAlert : toastStatus).appendChild(toast);
+
+    if (type !== 'error') {
+        let timer = null;
+        const start = () => { timer = setTimeout(() => toast.remove(), TOAST_TIMEOUT_MS); };
+        const stop = () => clearTimeout(timer);
+        toast.addEventListener('mouseenter', stop);
+        toast.addEventListener('focusin', stop);
+        toast.addEventListener('mouseleave', start);
+        toast.addEventListener('focusout', start);
+        start();
+    }
+    return toast;
+}
+
+// --- Modal dialogs: focus moves in and stays there, Escape closes, focus goes back ---
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+// Open dialogs, the topmost last: { modal, onEscape, returnFocus }
+const openModals = [];
+
+function focusableIn(element) {
+    return [...element.querySelectorAll(FOCUSABLE)].filter(candidate => !candidate.closest('.hidden'));
+}
+
+// The page behind an open dialog can be neither clicked nor reached with Tab
+function setBackgroundInert(inert) {
+    [document.getElementById('locale-bar'), authSection, appSection].forEach(element => element.toggleAttribute('inert', inert));
+}
+
+// `onEscape` is what Escape does (closing by default); `initialFocus` defaults to the first control
+function openModal(modal, { onEscape = () => closeModal(modal), initialFocus = null } = {}) {
+    if (!openModals.some(entry => entry.modal === modal)) {
+        openModals.push({ modal, onEscape, returnFocus: document.activeElement });
+    }
+    modal.classList.remove('hidden');
+    setBackgroundInert(true);
+    const dialog = modal.querySelector('[aria-modal="true"]');
+    (initialFocus || focusableIn(dialog)[0] || dialog).focus();
+}
+
+function closeModal(modal, { restoreFocus = true } = {}) {
+    modal.classList.add('hidden');
+    const index = openModals.findIndex(entry => entry.modal === modal);
+    if (index === -1) return;
+    const [{ returnFocus }] = openModals.splice(index, 1);
+    if (!openModals.length) setBackgroundInert(false);
+    // The opener may be gone meanwhile (e.g. a card re-rendered by a live update)
+    if (restoreFocus && returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+        returnFocus.focus();
+    }
+}
+
+function handleModalKeydown(event) {
+    const top = openModals[openModals.length - 1];
+    if (!top) return;
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        top.onEscape();
+        return;
+    }
+    if (event.key !== 'Tab') return;
+    const focusable = focusableIn(top.modal);
+    if (!focusable.length) {
+        event.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = top.modal.contains(document.activeElement);
+    if (event.shiftKey && (!inside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (!inside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// --- Incident model: types, severities and status workflow ---
+
+const DEFAULT_SEVERITY = 'SEV3';
+const SEVERITY_STYLES = {
+    SEV1: { border: 'border-red-600', badge: 'bg-red-100 text-red-800' },
+    SEV2: { border: 'border-orange-500', badge: 'bg-orange-100 text-orange-800' },
+    SEV3: { border: 'border-yellow-400', badge: 'bg-yellow-100 text-yellow-800' },
+    SEV4: { border: 'border-blue-400', badge: 'bg-blue-100 text-blue-800' }
+};
+const STATUS_STYLES = {
+    open: 'bg-red-50 text-red-700',
+    acknowledged: 'bg-orange-50 text-orange-700',
+    investigating: 'bg-purple-50 text-purple-700',
+    resolved: 'bg-green-50 text-green-700',
+    closed: 'bg-gray-100 text-gray-600'
+};
+
+let incidentMeta = null;
+let incidentMetaRequest = null;
+
+// Shared by concurrent callers so the select options are only filled once
+function loadIncidentMeta() {
+    if (!incidentMetaRequest) {
+        incidentMetaRequest = fetchIncidentMeta().then(() => {
+            if (!incidentMeta) incidentMetaRequest = null; // allow a retry later
+        });
+    }
+    return incidentMetaRequest;
+}
+
+async function fetchIncidentMeta() {
+    try {
+        const [typesResult, workflowResult] = await Promise.all([
+            apiRequest('/api/meta/incident-types'),
+            apiRequest('/api/meta/incident-workflow')
+        ]);
+        if (!typesResult.response.ok || !workflowResult.response.ok) return;
+        incidentMeta = { types: typesResult.data.types, ...workflowResult.data };
+
+        document.querySelectorAll('select[data-options="types"]').forEach(select => {
+            incidentMeta.types.forEach(type => select.appendChild(new Option(typeLabel(type.value), type.value)));
+        });
+        document.querySelectorAll('select[data-options="severities"]').forEach(select => {
+            // Marked as default so form.reset() goes back to it
+            incidentMeta.severities.forEach(severity => {
+                const isDefault = severity === DEFAULT_SEVERITY;
+                select.appendChild(new Option(severity, severity, isDefault, isDefault));
+            });
+        });
+    } catch (error) {
+        console.error('Failed to load incident types:', error);
+    }
+}
+
+// Selects a value, keeping values from before the vocabulary existed selectable
+function setSelectValue(select, value) {
+    if (value && ![...select.options].some(option => option.value === value)) {
+        select.appendChild(new Option(value, value));
+    }
+    select.value = value;
+}
+
+// Only offers the current status and the ones it may move to
+function fillStatusOptions(select, status) {
+    const allowed = incidentMeta ? incidentMeta.transitions[status] || [] : [];
+    select.replaceChildren(...[status, ...allowed].map(value => new Option(statusLabel(value), value)));
+    select.value = status;
+}
+
+// Types the catalogs know are translated; others keep the proxy's label
+function typeLabel(value) {
+    if (hasMessage(`type.${value}`)) return t(`type.${value}`);
+    const type = incidentMeta && incidentMeta.types.find(entry => entry.value === value);
+    return type ? type.label : value;
+}
+
+function statusLabel(value) {
+    return hasMessage(`status.${value}`) ? t(`status.${value}`) : value;
+}
+
+// Incident fields as labelled in the forms; unknown backend fields keep their name
+function fieldLabel(field) {
+    return hasMessage(`field.${field}`) ? t(`field.${field}`) : field;
+}
+
+// --- Hash routing: #/ is the dashboard, #/incidents/:id the detail view ---
+
+function handleRoute() {
+    const match = window.location.hash.match(/^#\/incidents\/([^/]+)$/);
+    if (match) {
+        currentDetailId = decodeURIComponent(match[1]);
+        dashboardView.classList.add('hidden');
+        detailView.classList.remove('hidden');
+        loadIncidentDetail(currentDetailId);
+    } else {
+        currentDetailId = null;
+        detailView.classList.add('hidden');
+        dashboardView.classList.remove('hidden');
+    }
+}
+
+async function loadIncidentDetail(id) {
+    try {
+        const [incidentResult, historyResult, commentsResult] = await Promise.all([
+            apiRequest(`/api/incidents/${encodeURIComponent(id)}`),
+            apiRequest(`/api/incidents/${encodeURIComponent(id)}/history`),
+            apiRequest(commentsUrl(id))
+        ]);
+        if (incidentResult.response.status === 401) {
+            showAuth();
+            return;
+        }
+        // The user may have navigated on while we were loading
+        if (id !== currentDetailId) return;
+
+        if (!incidentResult.response.ok) {
+            detailTitle.textContent = t('incident.fallbackTitle', { id });
+            detailFields.replaceChildren();
+            detailTimeline.replaceChildren();
+            detailComments.replaceChildren();
+            setDetailMessage(incidentResult.data.error || t('detail.loadFailed'), true);
+            return;
+        }
+        renderIncidentDetail(incidentResult.data);
+        renderTimeline(historyResult.response.ok ? historyResult.data.events : []);
+        renderComments(commentsResult.response.ok ? commentsResult.data.comments : []);
+    } catch (error) {
+        setDetailMessage(t('detail.loadFailed'), true);
+    }
+}
+
+function setDetailMessage(text, isError = false) {
+    detailMessage.textContent = text;
+    detailMessage.className = `text-center text-sm mt-2 ${isError ? 'text-red-500' : 'text-green-500'}`;
+}
+
+function renderIncidentDetail(incident) {
+    knownIncidents.set(String(incident.id), incident);
+    detailTitle.textContent = incident.title || t('incident.fallbackTitle', { id: incident.id });
+    detailFields.replaceChildren();
+    Object.entries(incident).forEach(([field, value]) => {
+        const term = document.createElement('dt');
+        term.className = 'font-medium text-gray-500';
+        term.textContent = fieldLabel(field);
+        const definition = document.createElement('dd');
+        definition.className = 'text-gray-800 whitespace-pre-wrap break-words md:col-span-1';
+        definition.textContent = value === null || value === undefined || value === ''
+            ? '—'
+            : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        detailFields.append(term, definition);
+    });
+}
+
+const TIMELINE_EVENTS = ['created', 'updated', 'escalated', 'deleted'];
+
+function renderTimeline(events) {
+    detailTimeline.replaceChildren();
+    if (!events.length) {
+        const empty = document.createElement('li');
+        empty.className = 'ml-4 text-gray-500 text-sm';
+        empty.textContent = t('timeline.empty');
+        detailTimeline.appendChild(empty);
         return;
     }
 
-    try {
-        const response = await fetch('/api/register', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username, password })
-        });
+    events.forEach(event => {
+        const item = document.createElement('li');
+        item.className = 'ml-4';
+
+        const time = document.createElement('time');
+        time.className = 'block text-xs text-gray-400';
+        time.dateTime = event.at;
+        time.textContent = formatDateTime(event.at);
+
+        const summary = document.createElement('p');
+        summary.className = 'text-sm text-gray-800';
+        const actor = event.actor || t('common.someone');
+        summary.textContent = TIMELINE_EVENTS.includes(event.type)
+            ? t(`timeline.${event.type}`, { actor })
+            : t('timeline.other', { actor, type: event.type });
+        item.append(time, summary);
+
+        if (event.changes && event.changes.length) {
+            const changes = document.createElement('ul');
+            changes.className = 'mt-1 text-xs text-gray-600 list-disc ml-4';
+            event.changes.forEach(change => {
+                const line = document.createElement('li');
+                line.textContent = `${fieldLabel(change.field)}: "${change.from ?? ''}" → "${change.to ?? ''}"`;
+                changes.appendChild(line);
+            });
+            item.appendChild(changes);
+        }
+        detailTimeline.appendChild(item);
+    });
+}
+
+// --- Comments ---
+
+// Comment bodies are markdown. It is turned into DOM nodes here, text always
+// via textContent, so no markup a user writes is ever interpreted as HTML.
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+// `code`, **bold**, __bold__, *italic*, _italic_ (not inside snake_case words), [label](url)
+const INLINE_MARKDOWN = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// The URL if it is safe to link to (no javascript:, data:, ...), otherwise null
+function safeLinkTarget(href) {
+    try {
+        const url = new URL(href);
+        return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function appendInlineMarkdown(parent, text) {
+    let last = 0;
+    for (const match of text.matchAll(INLINE_MARKDOWN)) {
+        const [whole, code, strong, strongAlt, em, emAlt, label, href] = match;
+        parent.append(text.slice(last, match.index));
+        last = match.index + whole.length;
+        if (code !== undefined) {
+            parent.appendChild(createElement('code', 'px-1 rounded bg-gray-100', code));
+        } else if (strong !== undefined || strongAlt !== undefined) {
+            const element = createElement('strong');
+            appendInlineMarkdown(element, strong ?? strongAlt);
+            parent.appendChild(element);
+        } else if (em !== undefined || emAlt !== undefined) {
+            const element = createElement('em');
+            appendInlineMarkdown(element, em ?? emAlt);
+            parent.appendChild(element);
+        } else if (safeLinkTarget(href)) {
+            const link = createElement('a', 'text-indigo-600 underline');
+            link.href = safeLinkTarget(href);
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer nofollow';
+            appendInlineMarkdown(link, label);
+            parent.appendChild(link);
+        } else {
+            parent.append(whole);
+        }
+    }
+    parent.append(text.slice(last));
+}
+
+// Paragraphs, line breaks, - / 1. lists and ``` code blocks, plus the inline forms above
+function renderMarkdown(source) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (!paragraph.length) return;
+        const element = createElement('p');
+        paragraph.forEach((line, index) => {
+            if (index) element.appendChild(document.createElement('br'));
+            appendInlineMarkdown(element, line);
+        });
+        fragment.appendChild(element);
+        paragraph = [];
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        if (line.trim().startsWith('```')) {
+            flushParagraph();
+            list = null;
+            const code = [];
+            while (++index < lines.length && !lines[index].trim().startsWith('```')) code.push(lines[index]);
+            const pre = createElement('pre', 'p-2 rounded bg-gray-100 overflow-x-auto text-xs');
+            pre.appendChild(createElement('code', '', code.join('\n')));
+            fragment.appendChild(pre);
+            continue;
+        }
+        const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (!list || list.tagName.toLowerCase() !== tag) {
+                list = createElement(tag, `ml-5 ${tag === 'ul' ? 'list-disc' : 'list-decimal'}`);
+                fragment.appendChild(list);
+            }
+            const entry = createElement('li');
+            appendInlineMarkdown(entry, item[2]);
+            list.appendChild(entry);
+            continue;
+        }
+        list = null;
+        if (line.trim()) {
+            paragraph.push(line);
+        } else {
+            flushParagraph();
+        }
+    }
+    flushParagraph();
+    return fragment;
+}
+
+const commentsUrl = id => `/api/incidents/${encodeURIComponent(id)}/comments`;
+
+// The proxy has the final say; this only hides buttons that would fail
+function canDeleteComment(comment) {
+    return can('comment:moderate') || Boolean(currentSession && comment.author === currentSession.username);
+}
+
+function renderComments(comments) {
+    detailComments.replaceChildren();
+    if (!comments.length) {
+        detailComments.appendChild(createElement('li', 'text-gray-500 text-sm', t('comments.empty')));
+        return;
+    }
+
+    comments.forEach(comment => {
+        const item = createElement('li', 'border-b border-gray-100 pb-3');
+        item.dataset.commentId = comment.id;
+
+        const header = createElement('div', 'flex items-baseline justify-between gap-2');
+        const meta = createElement('p', 'text-xs text-gray-500');
+        const time = createElement('time', 'ml-2', formatDateTime(comment.createdAt));
+        time.dateTime = comment.createdAt;
+        meta.append(createElement('span', 'font-medium text-gray-700', comment.author || t('common.someone')), time);
+        header.appendChild(meta);
+        if (canDeleteComment(comment)) {
+            const button = createElement('button', 'text-xs text-red-600 hover:underline', t('common.delete'));
+            button.type = 'button';
+            button.dataset.action = 'delete-comment';
+            header.appendChild(button);
+        }
+
+        const body = createElement('div', 'mt-1 text-sm text-gray-800 space-y-2 break-words');
+        body.appendChild(renderMarkdown(comment.body || ''));
+        item.append(header, body);
+        detailComments.appendChild(item);
+    });
+}
+
+function setCommentMessage(text, isError = false) {
+    commentMessage.textContent = text;
+    commentMessage.className = `text-sm ${isError ? 'text-red-500' : 'text-green-500'}`;
+}
+
+async function loadComments(id) {
+    const { response, data } = await apiRequest(commentsUrl(id));
+    if (id !== currentDetailId) return;
+    if (response.status === 401) {
+        showAuth();
+    } else if (response.ok) {
+        renderComments(data.comments);
+    } else {
+        setCommentMessage(data.error || t('comments.loadFailed'), true);
+    }
+}
+
+async function handleCommentSubmit(event) {
+    event.preventDefault();
+    const id = currentDetailId;
+    try {
+        const { response, data } = await apiRequest(commentsUrl(id), {
+            method: 'POST',
+            body: { body: commentForm.elements.body.value }
+        });
+        if (response.status === 401) {
+            showAuth();
+            return;
+        }
+        if (!response.ok) {
+            setCommentMessage(formErrorMessage(commentForm, data, t('comments.addFailed')), true);
+            return;
+        }
+        commentForm.reset();
+        clearFieldErrors(commentForm);
+        setCommentMessage('');
+        await loadComments(id);
+    } catch (error) {
+        setCommentMessage(t('comments.addFailed'), true);
+    }
+}
+
+function handleCommentListClick(event) {
+    const button = event.target.closest('button[data-action="delete-comment"]');
+    if (!button) return;
+    const id = currentDetailId;
+    const commentId = button.closest('[data-comment-id]').dataset.commentId;
+    showConfirm(t('comments.confirmDelete'), () => deleteComment(id, commentId));
+}
+
+async function deleteComment(id, commentId) {
+    try {
+        const { response, data } = await apiRequest(`${commentsUrl(id)}/${encodeURIComponent(commentId)}`, {
+            method: 'DELETE'
+        });
+        if (response.status === 401) {
+            showAuth();
+            return;
+        }
+        if (!response.ok) {
+            setCommentMessage(data.error || t('comments.deleteFailed'), true);
+            return;
+        }
+        setCommentMessage(t('comments.deleted'));
+        await loadComments(id);
+    } catch (error) {
+        setCommentMessage(t('comments.deleteFailed'), true);
+    }
+}
+
+// --- Summary panel: totals, charts and SLA timers (GET /api/incidents/stats) ---
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Live updates often come in bursts; the summary is reloaded once they settle
+const STATS_REFRESH_DELAY_MS = 2000;
+const TOP_ROWS = 5;
+
+let statsRefreshTimer = null;
+let slaCountdownTimer = null;
+
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+async function loadStats() {
+    clearTimeout(statsRefreshTimer);
+    statsRefreshTimer = null;
+    try {
+        const { response, data } = await apiRequest('/api/incidents/stats');
+        if (response.status === 401) {
+            showAuth();
+            return;
+        }
+        if (!response.ok) {
+            summaryMessage.textContent = data.error || t('summary.loadFailed');
+            return;
+        }
+        summaryMessage.textContent = isFromCache(response) ? t('summary.offline') : '';
+        renderStats(data);
+    } catch (error) {
+        summaryMessage.textContent = t('summary.loadFailed');
+    }
+}
+
+function scheduleStatsRefresh() {
+    if (statsRefreshTimer) return;
+    statsRefreshTimer = setTimeout(loadStats, STATS_REFRESH_DELAY_MS);
+}
+
+function renderStats(stats) {
+    const total = (label, value, alert = false) => {
+        const box = createElement('div', `p-3 rounded-md ${alert ? 'bg-red-50 text-red-700' : 'bg-gray-50 text-gray-800'}`);
+        box.append(createElement('dt', 'text-xs uppercase tracking-wide text-gray-500', label), createElement('dd', 'text-2xl font-bold', formatNumber(value)));
+        return box;
+    };
+    summaryTotals.replaceChildren(
+        total(t('summary.total'), stats.total),
+        total(t('summary.unresolved'), stats.unresolved),
+        total(t('summary.escalatedWaiting'), stats.escalation.waiting),
+        total(t('summary.slaBreached'), stats.sla.breached, stats.sla.breached > 0)
+    );
+
+    renderColumnChart(document.getElementById('chart-created'), stats.createdPerDay);
+    const ageRows = stats.ageBuckets.map(({ bucket, label, count }) => ({ label: hasMessage(`age.${bucket}`) ? t(`age.${bucket}`) : label, count }));
+    if (stats.unknownAge) ageRows.push({ label: t('common.unknown'), count: stats.unknownAge });
+    renderBarChart(document.getElementById('chart-age'), ageRows);
+    renderBarChart(document.getElementById('chart-type'), countRows(stats.byType, value => typeLabel(value)));
+    const escalated = stats.escalation.longestWaitMs === null
+        ? t('summary.escalated')
+        : t('summary.escalatedLongestWait', { duration: formatDuration(stats.escalation.longestWaitMs) });
+    renderBarChart(document.getElementById('chart-escalation'), [
+        { label: escalated, count: stats.escalation.escalated },
+        { label: t('summary.notEscalated'), count: stats.escalation.notEscalated }
+    ]);
+    renderBarChart(document.getElementById('chart-reporter'), countRows(stats.byReporter));
+    renderBarChart(document.getElementById('chart-resource'), countRows(stats.byResource));
+    renderSlaTimers(stats.sla.timers);
+}
+
+// The most frequent values, the rest summed up as "Other"
+function countRows(counts, label = value => value) {
+    const rows = counts.slice(0, TOP_ROWS).map(({ value, count }) => ({ label: value === null ? t('common.unspecified') : label(value), count }));
+    const rest = counts.slice(TOP_ROWS).reduce((sum, { count }) => sum + count, 0);
+    if (rest) rows.push({ label: t('summary.other'), count: rest });
+    return rows;
+}
+
+// Horizontal bars; the numbers are in the text too, the bars only illustrate them
+function renderBarChart(container, rows) {
+    container.replaceChildren();
+    if (!rows.some(row => row.count)) {
+        container.appendChild(createElement('p', 'text-sm text-gray-500', t('summary.noIncidents')));
+        return;
+    }
+    const max = Math.max(...rows.map(row => row.count));
+    rows.forEach(({ label, count }) => {
+        const row = createElement('div', 'grid grid-cols-5 gap-2 items-center text-sm');
+        const name = createElement('span', 'col-span-2 truncate text-gray-700', label);
+        name.title = label;
+        const bar = svgElement('svg', { class: 'col-span-2 h-3 w-full', 'aria-hidden': 'true' });
+        bar.appendChild(svgElement('rect', { width: `${(count / max) * 100}%`, height: '100%', rx: '2', class: 'fill-indigo-500' }));
+        row.append(name, bar, createElement('span', 'text-right tabular-nums text-gray-800', formatNumber(count)));
+        container.appendChild(row);
+    });
+}
+
+// One column per day, with the exact numbers in an accessible table-like label
+function renderColumnChart(container, days) {
+    container.replaceChildren();
+    const max = Math.max(1, ...days.map(day => day.count));
+    const total = days.reduce((sum, day) => sum + day.count, 0);
+    const chart = svgElement('svg', {
+        viewBox: `0 0 ${days.length * 10} 50`,
+        preserveAspectRatio: 'none',
+        class: 'w-full h-24',
+        role: 'img',
+        'aria-label': t('summary.createdChart', { count: total, days: days.length })
+    });
+    days.forEach((day, index) => {
+        const height = (day.count / max) * 48;
+        const column = svgElement('rect', { x: String(index * 10 + 1), y: String(50 - height), width: '8', height: String(height), class: 'fill-indigo-400' });
+        const title = svgElement('title');
+        title.textContent = `${formatDay(day.date)}: ${formatNumber(day.count)}`;
+        column.appendChild(title);
+        chart.appendChild(column);
+    });
+    const axis = createElement('div', 'flex justify-between text-xs text-gray-500');
+    if (days.length) axis.append(createElement('span', '', formatDay(days[0].date)), createElement('span', '', formatDay(days[days.length - 1].date)));
+    container.append(chart, axis);
+}
+
+// "2d 3h", "1h 05m", "4m 10s"
+function formatDuration(ms) {
+    const seconds = Math.floor(Math.abs(ms) / 1000);
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days) return t('duration.days', { days, hours });
+    if (hours) return t('duration.hours', { hours, minutes: String(minutes).padStart(2, '0') });
+    return t('duration.minutes', { minutes, seconds: String(seconds % 60).padStart(2, '0') });
+}
+
+function renderSlaTimers(timers) {
+    stopSlaCountdowns();
+    slaTimers.replaceChildren();
+    if (!timers.length) {
+        slaTimers.appendChild(createElement('li', 'py-2 text-gray-500', t('sla.none')));
+        return;
+    }
+    // Deadlines on this clock: the server's remainingMs is free of clock skew
+    const receivedAt = Date.now();
+    timers.forEach(timer => {
+        const item = createElement('li', 'py-2 flex flex-wrap items-center justify-between gap-2');
+        item.dataset.deadline = String(receivedAt + timer.remainingMs);
+        const link = createElement('a', 'text-indigo-600 hover:underline', timer.title || t('incident.fallbackTitle', { id: timer.id }));
+        link.href = `#/incidents/${encodeURIComponent(timer.id)}`;
+        const facts = [timer.type ? typeLabel(timer.type) : null, timer.severity, statusLabel(timer.status), timer.escalated ? t('sla.escalated') : null].filter(Boolean).join(' · ');
+        const info = createElement('div');
+        info.append(link, createElement('span', 'ml-2 text-xs text-gray-500', facts));
+        const age = createElement('span', 'text-xs text-gray-500', t('sla.openFor', { duration: formatDuration(receivedAt - Date.parse(timer.createdAt)) }));
+        const countdown = createElement('span', 'sla-countdown font-medium tabular-nums');
+        item.append(info, age, countdown);
+        slaTimers.appendChild(item);
+    });
+    updateSlaCountdowns();
+    slaCountdownTimer = setInterval(updateSlaCountdowns, 1000);
+}
+
+function updateSlaCountdowns() {
+    slaTimers.querySelectorAll('li[data-deadline]').forEach(item => {
+        const remaining = Number(item.dataset.deadline) - Date.now();
+        const breached = remaining <= 0;
+        const countdown = item.querySelector('.sla-countdown');
+        countdown.textContent = t(breached ? 'sla.breached' : 'sla.left', { duration: formatDuration(remaining) });
+        countdown.classList.toggle('text-red-600', breached);
+        countdown.classList.toggle('text-green-700', !breached);
+        item.classList.toggle('bg-red-50', breached);
+    });
+}
+
+function stopSlaCountdowns() {
+    clearInterval(slaCountdownTimer);
+    slaCountdownTimer = null;
+    clearTimeout(statsRefreshTimer);
+    statsRefreshTimer = null;
+}
+
+// --- Live updates (Server-Sent Events) ---
+
+let incidentStream = null;
+let lastStreamEventId = null;
+let streamRetryTimer = null;
+
+function startIncidentStream() {
+    if (incidentStream) return;
+    // The browser resends Last-Event-ID on its own reconnects; a stream we
+    // recreate ourselves passes it as a query parameter instead
+    const url = lastStreamEventId
+        ? `/api/incidents/stream?lastEventId=${encodeURIComponent(lastStreamEventId)}`
+        : '/api/incidents/stream';
+    incidentStream = new EventSource(url);
+
+    ['created', 'updated', 'deleted', 'escalated'].forEach(type => {
+        incidentStream.addEventListener(type, event => {
+            lastStreamEventId = event.lastEventId;
+            handleIncidentEvent(type, JSON.parse(event.data));
+        });
+    });
+
+    incidentStream.addEventListener('error', () => {
+        // A CLOSED stream will not retry by itself (e.g. the server ended it)
+        if (incidentStream && incidentStream.readyState === EventSource.CLOSED) {
+            incidentStream = null;
+            clearTimeout(streamRetryTimer);
+            streamRetryTimer = setTimeout(reconnectIncidentStream, 5000);
+        }
+    });
+}
+
+async function reconnectIncidentStream() {
+    // Only come back if the session is still valid
+    const { response } = await apiRequest('/api/incidents?pageSize=1').catch(() => ({ response: null }));
+    if (!response) {
+        streamRetryTimer = setTimeout(reconnectIncidentStream, 5000);
+    } else if (response.status === 401) {
+        showAuth();
+    } else if (!appSection.classList.contains('hidden')) {
+        startIncidentStream();
+    }
+}
+
+function stopIncidentStream() {
+    clearTimeout(streamRetryTimer);
+    if (incidentStream) {
+        incidentStream.close();
+        incidentStream = null;
+    }
+    lastStreamEventId = null;
+}
+
+async function handleIncidentEvent(type, { id, incident }) {
+    scheduleStatsRefresh();
+    if (currentDetailId !== null && String(id) === currentDetailId) {
+        if (type === 'deleted') {
+            setDetailMessage(t('detail.deleted'), true);
+        } else {
+            loadIncidentDetail(currentDetailId);
+        }
+    }
+
+    const card = incidentsList.querySelector(`[data-incident-id="${CSS.escape(String(id))}"]`);
 
-        const data = await response.json();
-        loginMessage.textContent = data.message || data.error;
-        
-        if (response.ok) {
-            // Auto-login after successful registration
-            handleLogin(new Event('submit'));
-        }
-    } catch (error) {
-        loginMessage.textContent = 'Registration failed. Please try again.';
+    if (type === 'deleted') {
+        if (card) card.remove();
+        selectedIds.delete(String(id));
+        updateBulkBar();
+        return;
     }
-}
 
-async function handleLogout() {
-    try {
-        await fetch('/api/logout', { method: 'POST' });
-        showAuth();
-    } catch (error) {
-        console.error('Logout failed:', error);
+    if (type === 'created') {
+        // Where a new incident lands depends on filters, sort and paging
+        await fetchIncidents();
+        highlightCard(id);
+        return;
     }
-}
 
-function showAuth() {
-    authSection.classList.remove('hidden');
-    appSection.classList.add('hidden');
-    loginForm.reset();
+    // updated / escalated: only patch cards that are currently shown
+    if (!card) return;
+    let latest = incident;
+    if (!latest) {
+        const { response, data } = await apiRequest(`/api/incidents/${encodeURIComponent(id)}`);
+        if (!response.ok) return;
+        latest = data;
+    }
+    card.replaceWith(renderIncidentCard(latest));
+    highlightCard(id);
 }
 
-function showApp() {
-    authSection.classList.add('hidden');
-    appSection.classList.remove('hidden');
+function highlightCard(id) {
+    const card = incidentsList.querySelector(`[data-incident-id="${CSS.escape(String(id))}"]`);
+    if (!card) return;
+    card.classList.remove('incident-highlight');
+    // Force a reflow so the animation restarts on repeated changes
+    void card.offsetWidth;
+    card.classList.add('incident-highlight');
 }
 
 async function fetchIncidents() {
     try {
-        const response = await fetch('/api/incidents');
+        const query = listQueryString();
+        updateExportLinks();
+        const { response, data } = await apiRequest(`/api/incidents${query ? `?${query}` : ''}`);
         if (response.status === 401) {
             showAuth();
             return;
         }
-        const incidents = await response.json();
-        displayIncidents(incidents);
+        if (!response.ok) {
+            showListMessage(data.error || t('list.loadFailed'));
+            return;
+        }
+        setOffline(isFromCache(response));
+        listTotal = data.total;
+        displayIncidents(data.items);
+        updateBulkBar();
+        renderPager(data);
+        renderFacets(data.facets);
     } catch (error) {
-        loadingMessage.textContent = 'Failed to load incidents';
+        showListMessage(t('list.loadFailed'));
+    }
+}
+
+// The list is rebuilt on every render, so put the status line back first
+function showListMessage(text) {
+    incidentsList.replaceChildren(loadingMessage);
+    loadingMessage.textContent = text;
+}
+
+function readListState() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    LIST_PARAMS.forEach(key => {
+        const value = params.get(key);
+        if (value) state[key] = value;
+    });
+    return state;
+}
+
+function listQueryString() {
+    const params = new URLSearchParams();
+    LIST_PARAMS.forEach(key => {
+        if (listState[key]) params.set(key, listState[key]);
+    });
+    return params.toString();
+}
+
+// Any change other than paging starts again from the first page
+function updateListState(changes, isPaging = false) {
+    listState = { ...listState, ...changes };
+    if (!isPaging) {
+        delete listState.page;
+        selectedIds.clear();
     }
+    Object.keys(listState).forEach(key => {
+        if (listState[key] === '' || listState[key] === null || listState[key] === undefined || (key === 'page' && Number(listState.page) <= 1)) {
+            delete listState[key];
+        }
+    });
+
+    const query = listQueryString();
+    history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    fetchIncidents();
+}
+
+function syncToolbar() {
+    filterQuery.value = listState.q || '';
+    filterType.value = listState.type || '';
+    filterReporter.value = listState.reporter || '';
+    sortField.value = listState.sort || '';
+    sortOrder.value = listState.order || 'asc';
+    pageSizeSelect.value = listState.pageSize || '20';
+}
+
+function debounce(callback, delay = 300) {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(callback, delay);
+}
+
+function renderPager(list) {
+    const totalPages = Math.max(1, Math.ceil(list.total / list.pageSize));
+    pageInfo.textContent = t('pager.info', { page: list.page, pages: totalPages, total: list.total });
+    pagePrev.disabled = list.page <= 1;
+    pageNext.disabled = list.page >= totalPages;
+}
+
+function renderFacets(facets) {
+    if (!facets) return;
+    const fill = (datalistId, values) => {
+        const datalist = document.getElementById(datalistId);
+        datalist.replaceChildren();
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            datalist.appendChild(option);
+        });
+    };
+    fill('filter-type-options', facets.types || []);
+    fill('filter-reporter-options', facets.reporters || []);
 }
 
 function displayIncidents(incidents) {
-    incidentsList.innerHTML = '';
-    
+    incidentsList.replaceChildren();
+
     if (!incidents.length) {
-        incidentsList.innerHTML = '<p class="text-center text-gray-500">No incidents found</p>';
+        incidentsList.appendChild(createElement('p', 'text-center text-gray-500', t('list.empty')));
         return;
     }
 
     incidents.forEach(incident => {
-        const card = document.createElement('div');
-        card.className = 'bg-white p-6 rounded-lg shadow-lg';
-        card.innerHTML = `
-            <div class="flex justify-between items-start">
-                <h3 class="text-xl font-semibold text-indigo-600">${incident.title}</h3>
-                <div class="space-x-2">
-                    <button onclick="showEditModal('${incident.id}')" class="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">Edit</button>
-                    <button onclick="showDeleteConfirm('${incident.id}')" class="px-3 py-1 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500">Delete</button>
-                    <button onclick="handleEscalate('${incident.id}')" class="px-3 py-1 text-sm font-medium text-white bg-yellow-500 rounded-md hover:bg-yellow-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-400">Escalate</button>
-                </div>
-            </div>
-            <p class="text-gray-600 mt-2">${incident.description || 'No description'}</p>
-            <div class="mt-4 text-sm text-gray-500">
-                <p>ID: ${incident.id}</p>
-                <p>Reporter: ${incident.reporter || 'Unknown'}</p>
-                <p>Type: ${incident.type || 'Unspecified'}</p>
-                <p>Resource ID: ${incident.resource_id || 'N/A'}</p>
-            </div>
-        `;
-        incidentsList.appendChild(card);
+        knownIncidents.set(String(incident.id), incident);
+        incidentsList.appendChild(renderIncidentCard(incident));
+    });
+}
+
+// Creates an element whose text is set via textContent, never parsed as HTML
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+const CARD_ACTIONS = [
+    { action: 'edit', permission: 'incident:update', label: 'common.edit', className: 'text-white bg-blue-600 hover:bg-blue-700 focus:ring-blue-500' },
+    { action: 'delete', permission: 'incident:delete', label: 'common.delete', className: 'text-white bg-red-600 hover:bg-red-700 focus:ring-red-500' },
+    { action: 'escalate', permission: 'incident:escalate', label: 'common.escalate', className: 'text-white bg-yellow-500 hover:bg-yellow-600 focus:ring-yellow-400' }
+];
+
+// Incident data is only ever written as text, so markup in any field stays inert
+function renderIncidentCard(incident) {
+    const severity = SEVERITY_STYLES[incident.severity] ? incident.severity : DEFAULT_SEVERITY;
+    const status = STATUS_STYLES[incident.status] ? incident.status : 'open';
+    const card = createElement('div', `bg-white p-6 rounded-lg shadow-lg border-l-8 ${SEVERITY_STYLES[severity].border}`);
+    if (status === 'resolved' || status === 'closed') card.classList.add('opacity-75');
+    card.dataset.incidentId = incident.id;
+
+    const header = createElement('div', 'flex justify-between items-start');
+    const title = createElement('h3', 'text-xl font-semibold text-indigo-600');
+    const link = createElement('a', 'hover:underline', incident.title || t('incident.fallbackTitle', { id: incident.id }));
+    link.href = `#/incidents/${encodeURIComponent(incident.id)}`;
+    title.appendChild(link);
+
+    const actions = createElement('div', 'space-x-2');
+    CARD_ACTIONS.forEach(({ action, permission, label, className }) => {
+        const button = createElement('button', `px-3 py-1 text-sm font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 ${className}`, t(label));
+        button.type = 'button';
+        button.dataset.action = action;
+        button.dataset.permission = permission;
+        button.classList.toggle('hidden', !can(permission));
+        actions.appendChild(button);
     });
+    const checkbox = createElement('input', 'mt-1.5 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.select = '';
+    checkbox.dataset.bulk = '';
+    checkbox.checked = selectedIds.has(String(incident.id));
+    checkbox.setAttribute('aria-label', t('card.select', { id: incident.id }));
+    checkbox.classList.toggle('hidden', !canBulk());
+    const heading = createElement('div', 'flex items-start gap-3');
+    heading.append(checkbox, title);
+    header.append(heading, actions);
+
+    const badges = createElement('div', 'mt-2 flex flex-wrap gap-2 text-xs font-semibold');
+    badges.append(
+        createElement('span', `px-2 py-0.5 rounded-full ${SEVERITY_STYLES[severity].badge}`, severity),
+        createElement('span', `px-2 py-0.5 rounded-full ${STATUS_STYLES[status]}`, statusLabel(status))
+    );
+
+    const description = createElement('p', 'text-gray-600 mt-2', incident.description || t('card.noDescription'));
+
+    const details = createElement('div', 'mt-4 text-sm text-gray-500');
+    details.append(
+        createElement('p', '', t('card.id', { id: incident.id })),
+        createElement('p', '', t('card.reporter', { reporter: incident.reporter || t('common.unknown') })),
+        createElement('p', '', t('card.assignee', { assignee: incident.assignee || t('card.unassigned') })),
+        createElement('p', '', t('card.type', { type: incident.type ? typeLabel(incident.type) : t('common.unspecified') })),
+        createElement('p', '', t('card.resource', { resource: incident.resource_id || t('common.notAvailable') }))
+    );
+
+    card.append(header, badges, description, details);
+    return card;
+}
+
+// One listener for every card button (no inline handlers, see the CSP in app.js)
+function handleIncidentListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !incidentsList.contains(button)) return;
+    const id = button.closest('[data-incident-id]').dataset.incidentId;
+
+    if (button.dataset.action === 'edit') {
+        showEditModal(id);
+    } else if (button.dataset.action === 'delete') {
+        showDeleteConfirm(id);
+    } else if (button.dataset.action === 'escalate') {
+        handleEscalate(id);
+    }
 }
 
 async function handleCreateIncident(event) {
@@ -166,10 +1535,9 @@ async function handleCreateIncident(event) {
     const incidentData = Object.fromEntries(formData);
 
     try {
-        const response = await fetch('/api/incidents', {
+        const { response, data } = await apiRequest('/api/incidents', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(incidentData)
+            body: incidentData
         });
 
         if (response.status === 401) {
@@ -177,39 +1545,61 @@ async function handleCreateIncident(event) {
             return;
         }
 
-        const data = await response.json();
         if (response.ok) {
             event.target.reset();
-            createMessage.textContent = 'Incident created successfully';
+            clearFieldErrors(event.target);
+            createMessage.textContent = t('create.success');
             createMessage.className = 'text-center text-green-500 text-sm mt-2';
             fetchIncidents();
         } else {
-            createMessage.textContent = data.error || 'Failed to create incident';
+            createMessage.textContent = formErrorMessage(event.target, data, t('create.failed'));
             createMessage.className = 'text-center text-red-500 text-sm mt-2';
         }
     } catch (error) {
-        createMessage.textContent = 'Failed to create incident';
+        if (isNetworkError(error) && await queueMutation({
+            kind: 'create',
+            method: 'POST',
+            url: '/api/incidents',
+            body: incidentData
+        })) {
+            event.target.reset();
+            clearFieldErrors(event.target);
+            createMessage.textContent = t('create.queued');
+            createMessage.className = 'text-center text-gray-600 text-sm mt-2';
+            return;
+        }
+        createMessage.textContent = t('create.failed');
         createMessage.className = 'text-center text-red-500 text-sm mt-2';
     }
 }
 
 async function showEditModal(id) {
     try {
-        const response = await fetch(`/api/incidents/${id}`);
+        const { response, data: incident } = await apiRequest(`/api/incidents/${encodeURIComponent(id)}`);
         if (response.status === 401) {
             showAuth();
             return;
         }
-        const incident = await response.json();
-        
+        if (!response.ok) {
+            showToast(t('edit.loadFailed', { error: incident.error }), 'error');
+            return;
+        }
+
+        clearFieldErrors(editForm);
+        editMessage.textContent = '';
+        knownIncidents.set(String(incident.id), incident);
+        editBase = { incident, version: responseHeader(response, 'ETag') };
         document.getElementById('edit-id').value = incident.id;
         document.getElementById('edit-title').value = incident.title || '';
         document.getElementById('edit-reporter').value = incident.reporter || '';
-        document.getElementById('edit-type').value = incident.type || '';
+        setSelectValue(document.getElementById('edit-type'), incident.type || '');
+        setSelectValue(document.getElementById('edit-severity'), incident.severity || DEFAULT_SEVERITY);
+        fillStatusOptions(document.getElementById('edit-status'), incident.status || 'open');
+        document.getElementById('edit-assignee').value = incident.assignee || '';
         document.getElementById('edit-description').value = incident.description || '';
         document.getElementById('edit-resource-id').value = incident.resource_id || '';
-        
-        editModal.classList.remove('hidden');
+
+        openModal(editModal, { initialFocus: document.getElementById('edit-title') });
     } catch (error) {
         console.error('Error fetching incident:', error);
     }
@@ -221,12 +1611,14 @@ async function handleEditIncident(event) {
     const formData = new FormData(event.target);
     const incidentData = Object.fromEntries(formData);
     delete incidentData.id;
+    const base = editBase && String(editBase.incident.id) === id ? editBase : null;
+    const versionHeaders = base && base.version ? { 'If-Match': base.version } : {};
 
     try {
-        const response = await fetch(`/api/incidents/${id}`, {
+        const { response, data } = await apiRequest(`/api/incidents/${encodeURIComponent(id)}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(incidentData)
+            headers: versionHeaders,
+            body: incidentData
         });
 
         if (response.status === 401) {
@@ -234,26 +1626,159 @@ async function handleEditIncident(event) {
             return;
         }
 
-        const data = await response.json();
+        if (response.status === 409 && data.code === 'VERSION_CONFLICT') {
+            closeModal(editModal);
+            showMergeDialog({ id, mine: incidentData, original: base ? base.incident : {}, server: data.current, version: data.version });
+            return;
+        }
+
         if (response.ok) {
-            editModal.classList.add('hidden');
+            closeModal(editModal);
             fetchIncidents();
+            if (currentDetailId === id) loadIncidentDetail(id);
         } else {
-            editMessage.textContent = data.error || 'Failed to update incident';
+            editMessage.textContent = formErrorMessage(editForm, data, t('edit.failed'));
+        }
+    } catch (error) {
+        if (isNetworkError(error) && await queueMutation({
+            kind: 'edit',
+            method: 'PUT',
+            url: `/api/incidents/${encodeURIComponent(id)}`,
+            headers: versionHeaders,
+            body: incidentData,
+            incidentId: id,
+            base: base ? base.incident : knownIncidents.get(id) || null
+        })) {
+            closeModal(editModal);
+            return;
+        }
+        editMessage.textContent = t('edit.failed');
+    }
+}
+
+// --- Merge dialog for edits that raced with someone else's (409 VERSION_CONFLICT) ---
+
+// Fields of the edit form, in the order the merge dialog lists them
+const MERGE_FIELDS = ['title', 'reporter', 'type', 'severity', 'status', 'assignee', 'description', 'resource_id'];
+let mergeState = null;
+
+function responseHeader(response, name) {
+    return response.headers ? response.headers.get(name) : null;
+}
+
+const fieldText = value => (value === undefined || value === null ? '' : String(value));
+
+// `original` is what the user started editing, `server` the current copy.
+// A field only one side changed is preselected; one both changed must be chosen.
+function showMergeDialog({ id, mine, original, server, version }) {
+    mergeState = { id, mine, server, version };
+    const rows = MERGE_FIELDS.filter(field => fieldText(mine[field]) !== fieldText(server[field])).map(field => {
+        const mineChanged = fieldText(mine[field]) !== fieldText(original[field]);
+        const serverChanged = fieldText(server[field]) !== fieldText(original[field]);
+        const row = createElement('tr', 'border-t border-gray-100 align-top');
+        const name = createElement('td', 'py-2 pr-3 font-medium text-gray-700', fieldLabel(field));
+        if (mineChanged && serverChanged) {
+            name.appendChild(createElement('span', 'block text-xs font-normal text-red-600', t('merge.changedByBoth')));
+        }
+        row.append(
+            name,
+            mergeChoice(field, 'mine', mine[field], mineChanged && !serverChanged),
+            mergeChoice(field, 'server', server[field], serverChanged && !mineChanged)
+        );
+        return row;
+    });
+    document.getElementById('merge-fields').replaceChildren(...rows);
+    mergeMessage.textContent = rows.length ? '' : t('merge.noDifferences');
+    openModal(mergeModal, { onEscape: cancelMerge });
+}
+
+function mergeChoice(field, side, value, checked) {
+    const cell = createElement('td', 'py-2 pr-3');
+    const label = createElement('label', 'flex items-start gap-2');
+    const radio = createElement('input', 'mt-1');
+    radio.type = 'radio';
+    radio.name = `merge-${field}`;
+    radio.value = side;
+    radio.required = true;
+    radio.checked = checked;
+    label.append(radio, createElement('span', 'whitespace-pre-wrap break-words text-gray-800', fieldText(value) || '—'));
+    cell.appendChild(label);
+    return cell;
+}
+
+async function handleMergeSubmit(event) {
+    event.preventDefault();
+    const { id, mine, server, version } = mergeState;
+    const merged = { ...mine };
+    MERGE_FIELDS.forEach(field => {
+        const choice = mergeForm.elements.namedItem(`merge-${field}`);
+        if (choice && choice.value === 'server') merged[field] = fieldText(server[field]);
+    });
+
+    try {
+        const { response, data } = await apiRequest(`/api/incidents/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: { 'If-Match': version },
+            body: merged
+        });
+        if (response.status === 401) {
+            showAuth();
+            return;
+        }
+        if (response.status === 409 && data.code === 'VERSION_CONFLICT') {
+            // Changed yet again: merge against the newest copy
+            showMergeDialog({ id, mine: merged, original: server, server: data.current, version: data.version });
+            mergeMessage.textContent = t('merge.changedAgain');
+            return;
+        }
+        if (!response.ok) {
+            mergeMessage.textContent = data.error || t('edit.failed');
+            return;
         }
+        closeModal(mergeModal);
+        mergeState = null;
+        fetchIncidents();
+        if (currentDetailId === id) loadIncidentDetail(id);
     } catch (error) {
-        editMessage.textContent = 'Failed to update incident';
+        mergeMessage.textContent = t('edit.failed');
     }
 }
 
+function cancelMerge() {
+    const { id } = mergeState || {};
+    closeModal(mergeModal);
+    mergeState = null;
+    fetchIncidents();
+    if (id !== undefined && currentDetailId === id) loadIncidentDetail(id);
+}
+
+// Opens the confirm modal; `onConfirm` runs once the user confirms
+function showConfirm(message, onConfirm) {
+    document.getElementById('confirm-text').textContent = message;
+    pendingConfirm = onConfirm;
+    // Cancel first: Enter on an open confirm dialog must not delete anything
+    openModal(confirmModal, { onEscape: cancelConfirm, initialFocus: document.getElementById('confirm-cancel') });
+}
+
+function cancelConfirm() {
+    pendingConfirm = null;
+    closeModal(confirmModal);
+}
+
 function showDeleteConfirm(id) {
-    currentIncidentId = id;
-    confirmModal.classList.remove('hidden');
+    showConfirm(t('confirm.deleteIncident'), () => deleteIncident(id));
+}
+
+async function handleConfirm() {
+    const onConfirm = pendingConfirm;
+    pendingConfirm = null;
+    closeModal(confirmModal);
+    if (onConfirm) await onConfirm();
 }
 
 async function handleEscalate(id) {
     try {
-        const response = await fetch(`/api/escalate/${id}`, {
+        const { response, data } = await apiRequest(`/api/escalate/${encodeURIComponent(id)}`, {
             method: 'POST'
         });
 
@@ -262,24 +1787,36 @@ async function handleEscalate(id) {
             return;
         }
 
-        if (response.ok) {
-            // Optionally show a message or refresh incidents
-            alert(`Incident ${id} escalated successfully!`);
+        if (response.ok && currentDetailId === id) {
+            // The timeline shows who escalated and when
+            setDetailMessage(t('escalate.doneDetail'));
+            loadIncidentDetail(id);
+        } else if (response.ok) {
+            showToast(t('escalate.done', { id }), 'success');
             fetchIncidents();
+        } else if (currentDetailId === id) {
+            setDetailMessage(t('escalate.failed', { error: data.error || response.status }), true);
         } else {
-            const data = await response.json();
-            alert(`Failed to escalate incident: ${data.error || response.status}`);
+            showToast(t('escalate.failed', { error: data.error || response.status }), 'error');
         }
     } catch (error) {
-        alert(`Failed to escalate incident: ${error}`);
+        if (isNetworkError(error) && await queueMutation({
+            kind: 'escalate',
+            method: 'POST',
+            url: `/api/escalate/${encodeURIComponent(id)}`,
+            incidentId: id,
+            base: knownIncidents.get(String(id)) || null
+        })) {
+            if (currentDetailId === id) setDetailMessage(t('escalate.queued'));
+            return;
+        }
+        showToast(t('escalate.failed', { error: error.message || error }), 'error');
     }
 }
 
-async function handleConfirmDelete() {
-    if (!currentIncidentId) return;
-
+async function deleteIncident(id) {
     try {
-        const response = await fetch(`/api/incidents/${currentIncidentId}`, {
+        const { response, data } = await apiRequest(`/api/incidents/${encodeURIComponent(id)}`, {
             method: 'DELETE'
         });
 
@@ -289,10 +1826,494 @@ async function handleConfirmDelete() {
         }
 
         if (response.ok) {
-            confirmModal.classList.add('hidden');
+            selectedIds.delete(String(id));
             fetchIncidents();
+        } else {
+            showToast(t('delete.failed', { error: data.error || response.status }), 'error');
         }
     } catch (error) {
         console.error('Error deleting incident:', error);
     }
 }
+
+// --- Bulk actions on the selected incidents ---
+
+const BULK_PERMISSIONS = ['incident:escalate', 'incident:update', 'incident:delete'];
+// The proxy takes at most this many ids per request (MAX_BULK_IDS in lib/bulk.js)
+const BULK_BATCH_SIZE = 100;
+
+function canBulk() {
+    return BULK_PERMISSIONS.some(can);
+}
+
+function visibleIncidentIds() {
+    return [...incidentsList.querySelectorAll('[data-incident-id]')].map(card => card.dataset.incidentId);
+}
+
+// Brings the checkboxes and the bulk bar in line with selectedIds
+function updateBulkBar() {
+    incidentsList.querySelectorAll('[data-incident-id]').forEach(card => {
+        const checkbox = card.querySelector('input[data-select]');
+        if (checkbox) checkbox.checked = selectedIds.has(card.dataset.incidentId);
+    });
+    const visible = visibleIncidentIds();
+    const selectedOnPage = visible.filter(id => selectedIds.has(id)).length;
+    bulkSelectPage.checked = visible.length > 0 && selectedOnPage === visible.length;
+    bulkSelectPage.indeterminate = selectedOnPage > 0 && selectedOnPage < visible.length;
+    bulkSelectPage.disabled = !visible.length;
+    bulkCount.textContent = selectedIds.size ? t('bulk.selected', { count: selectedIds.size }) : '';
+    bulkActions.classList.toggle('hidden', !selectedIds.size);
+    bulkSelectMatching.textContent = t('bulk.selectMatching', { count: listTotal });
+    bulkSelectMatching.classList.toggle('hidden', !bulkSelectPage.checked || listTotal <= selectedIds.size);
+}
+
+function handleIncidentListChange(event) {
+    const checkbox = event.target.closest('input[data-select]');
+    if (!checkbox || !incidentsList.contains(checkbox)) return;
+    const id = checkbox.closest('[data-incident-id]').dataset.incidentId;
+    if (checkbox.checked) {
+        selectedIds.add(id);
+    } else {
+        selectedIds.delete(id);
+    }
+    updateBulkBar();
+}
+
+function toggleSelectPage(selected) {
+    visibleIncidentIds().forEach(id => (selected ? selectedIds.add(id) : selectedIds.delete(id)));
+    updateBulkBar();
+}
+
+function clearSelection() {
+    selectedIds.clear();
+    updateBulkBar();
+}
+
+// Walks every page of the current filters to select all matching incidents
+async function selectAllMatching() {
+    const params = new URLSearchParams(listQueryString());
+    params.set('pageSize', '100'); // the largest page the proxy serves
+    bulkSelectMatching.disabled = true;
+    try {
+        for (let page = 1; ; page++) {
+            params.set('page', String(page));
+            const { response, data } = await apiRequest(`/api/incidents?${params}`);
+            if (response.status === 401) {
+                showAuth();
+                return;
+            }
+            if (!response.ok) {
+                showBulkReport(t('bulk.selectFailed', { error: data.error || response.status }));
+                break;
+            }
+            data.items.forEach(incident => selectedIds.add(String(incident.id)));
+            if (!data.items.length || page * data.pageSize >= data.total) break;
+        }
+        updateBulkBar();
+    } catch (error) {
+        showBulkReport(t('bulk.selectFailedPlain'));
+    } finally {
+        bulkSelectMatching.disabled = false;
+    }
+}
+
+function handleBulkActionClick(event) {
+    const button = event.target.closest('button[data-bulk-action]');
+    if (!button || !selectedIds.size) return;
+    const action = button.dataset.bulkAction;
+
+    if (action === 'escalate') {
+        runBulkAction('escalate');
+    } else if (action === 'update') {
+        showBulkEditModal();
+    } else if (action === 'delete') {
+        const count = selectedIds.size;
+        showConfirm(t('bulk.confirmDelete', { count }), () => runBulkAction('delete'));
+    }
+}
+
+async function showBulkEditModal() {
+    await loadIncidentMeta();
+    bulkEditForm.reset();
+    const statuses = incidentMeta ? incidentMeta.statuses : [];
+    document.getElementById('bulk-edit-status')
+        .replaceChildren(new Option(t('bulkEdit.noChange'), ''), ...statuses.map(status => new Option(statusLabel(status), status)));
+    // Every select starts at "No change", including the one with a default severity
+    bulkEditForm.querySelectorAll('select').forEach(select => { select.value = ''; });
+    document.getElementById('bulk-edit-title').textContent = t('bulkEdit.heading', { count: selectedIds.size });
+    bulkEditMessage.textContent = '';
+    openModal(bulkEditModal);
+}
+
+async function handleBulkEdit(event) {
+    event.preventDefault();
+    // Empty fields mean "keep each incident's value"
+    const changes = Object.fromEntries([...new FormData(bulkEditForm)].filter(([, value]) => value.trim() !== ''));
+    if (!Object.keys(changes).length) {
+        bulkEditMessage.textContent = t('bulkEdit.chooseField');
+        return;
+    }
+    closeModal(bulkEditModal);
+    await runBulkAction('update', changes);
+}
+
+// Sends the selection in batches and summarises the per-incident report.
+// Failed incidents stay selected so the action can be retried on them.
+async function runBulkAction(action, changes) {
+    const ids = [...selectedIds];
+    const results = [];
+    bulkActions.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    try {
+        for (let start = 0; start < ids.length; start += BULK_BATCH_SIZE) {
+            const batch = ids.slice(start, start + BULK_BATCH_SIZE);
+            const { response, data } = await apiRequest('/api/incidents/bulk', {
+                method: 'POST',
+                body: changes ? { action, ids: batch, changes } : { action, ids: batch }
+            });
+            if (response.status === 401) {
+                showAuth();
+                return;
+            }
+            if (response.ok) {
+                results.push(...data.results);
+            } else {
+                // The proxy rejected the whole batch (validation, permissions)
+                batch.forEach(id => results.push({ id, ok: false, error: data.error || t('error.requestFailedStatus', { status: response.status }) }));
+            }
+        }
+    } catch (error) {
+        const reported = new Set(results.map(result => String(result.id)));
+        ids.filter(id => !reported.has(id)).forEach(id => results.push({ id, ok: false, error: t('error.requestFailed') }));
+    } finally {
+        bulkActions.querySelectorAll('button').forEach(button => { button.disabled = false; });
+    }
+
+    const failures = results.filter(result => !result.ok);
+    results.filter(result => result.ok).forEach(result => selectedIds.delete(String(result.id)));
+    const summary = t(`bulk.done.${action}`, { done: results.length - failures.length, total: results.length });
+    showBulkReport(failures.length ? t('bulk.reportFailures', { summary, failed: failures.length }) : t('bulk.reportDone', { summary }), failures);
+    fetchIncidents();
+}
+
+function showBulkReport(summary, failures = []) {
+    document.getElementById('bulk-report-summary').textContent = summary;
+    document.getElementById('bulk-report-failures').replaceChildren(...failures.map(failure =>
+        createElement('li', '', t('bulk.failure', { id: failure.id, error: failure.error || failure.code || t('bulk.failed') }))));
+    bulkReport.classList.remove('hidden');
+}
+
+// --- Export and import ---
+
+// Exports cover everything matching the current filters and sort, not just this page
+function updateExportLinks() {
+    const params = new URLSearchParams(listQueryString());
+    params.delete('page');
+    params.delete('pageSize');
+    ['csv', 'json'].forEach(format => {
+        params.set('format', format);
+        document.getElementById(`export-${format}`).href = `/api/incidents/export?${params}`;
+    });
+}
+
+// "Preview" runs the import as a dry run, "Import" creates the valid rows
+async function handleImport(event) {
+    event.preventDefault();
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return;
+    const dryRun = !event.submitter || event.submitter.dataset.dryRun !== 'false';
+    const isJson = file.type === 'application/json' || /\.json$/i.test(file.name);
+    const buttons = importForm.querySelectorAll('button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        const { response, data } = await apiRequest(`/api/incidents/import${dryRun ? '?dryRun=true' : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': isJson ? 'application/json' : 'text/csv' },
+            body: await file.text()
+        });
+
+        if (response.status === 401) {
+            showAuth();
+            return;
+        }
+        if (!response.ok) {
+            renderImportReport({ summary: t('import.failed', { error: data.error || response.status }), rows: [] });
+            return;
+        }
+        renderImportReport({ summary: importSummary(data), rows: data.rows });
+        if (data.created) fetchIncidents();
+    } catch (error) {
+        renderImportReport({ summary: t('import.failedPlain'), rows: [] });
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+function importSummary(report) {
+    const summary = report.dryRun
+        ? t('import.preview', report)
+        : t('import.created', report);
+    return report.ignoredFields.length ? t('import.ignoredColumns', { summary, fields: report.ignoredFields.join(', ') }) : summary;
+}
+
+const IMPORT_RESULT_STYLES = {
+    valid: 'text-green-600',
+    created: 'text-green-600',
+    invalid: 'text-red-600',
+    failed: 'text-red-600'
+};
+
+function importRowDetails(row) {
+    if (row.result === 'invalid') {
+        return row.errors.map(error => (error.field ? `${error.field}: ${error.message}` : error.message)).join('; ');
+    }
+    if (row.result === 'failed') return row.error || row.code || t('import.rowFailed');
+    if (row.result === 'created') return row.id !== null && row.id !== undefined ? t('incident.fallbackTitle', { id: row.id }) : '';
+    return row.incident ? row.incident.title : '';
+}
+
+function renderImportReport({ summary, rows }) {
+    document.getElementById('import-summary').textContent = summary;
+    document.getElementById('import-rows').replaceChildren(...rows.map(row => {
+        const tr = createElement('tr', 'border-t border-gray-100');
+        tr.append(
+            createElement('td', 'py-1 pr-3', String(row.row)),
+            createElement('td', `py-1 pr-3 font-medium ${IMPORT_RESULT_STYLES[row.result] || ''}`, t(`import.result.${row.result}`)),
+            createElement('td', 'py-1 text-gray-600', importRowDetails(row))
+        );
+        return tr;
+    }));
+    importReport.classList.remove('hidden');
+}
+
+// --- Offline outbox ---
+// Creates, edits and escalations that fail because the network is gone are
+// kept in IndexedDB and replayed through the normal API routes, in order, once
+// the dashboard is online again. Edits and escalations remember the incident
+// as it was when the user acted; if the server copy changed in the meantime the
+// entry is held back as a conflict for the user to apply anyway or discard.
+
+const OUTBOX_DB = 'incident-dashboard';
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_RETRY_MS = 30 * 1000;
+// Fields compared to decide whether an incident changed on the server
+const CONFLICT_FIELDS = ['title', 'description', 'type', 'severity', 'status', 'reporter', 'assignee', 'resource_id', 'updated_at'];
+
+let outboxDb = null;
+let outboxReplaying = false;
+let outboxRetryTimer = null;
+
+// fetch only rejects (with a TypeError) when no answer arrived at all
+function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+function isFromCache(response) {
+    return responseHeader(response, 'X-Served-From') === 'cache';
+}
+
+function setOffline(offline) {
+    offlineBanner.classList.toggle('hidden', !offline && navigator.onLine !== false);
+}
+
+function outboxAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openOutbox() {
+    if (!outboxDb) {
+        outboxDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                outboxDb = null;
+                reject(request.error);
+            };
+        });
+    }
+    return outboxDb;
+}
+
+// Runs `work(store)` in a transaction and resolves with its request's result
+async function outboxTransaction(mode, work) {
+    const db = await openOutbox();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = work(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+const outboxEntries = () => outboxTransaction('readonly', store => store.getAll());
+const outboxPut = entry => outboxTransaction('readwrite', store => store.put(entry));
+const outboxDelete = id => outboxTransaction('readwrite', store => store.delete(id));
+
+// Entries belong to the user who made them and are only replayed for them
+async function queueMutation(entry) {
+    if (!outboxAvailable() || !currentSession) return false;
+    try {
+        await outboxPut({ ...entry, username: currentSession.username, state: 'pending', queuedAt: Date.now() });
+    } catch (error) {
+        console.error('Could not queue the change:', error);
+        return false;
+    }
+    setOffline(true);
+    scheduleOutboxRetry();
+    renderOutbox();
+    return true;
+}
+
+async function myOutboxEntries() {
+    if (!outboxAvailable() || !currentSession) return [];
+    const entries = await outboxEntries();
+    return entries.filter(entry => entry.username === currentSession.username);
+}
+
+function scheduleOutboxRetry() {
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = setTimeout(replayOutbox, OUTBOX_RETRY_MS);
+}
+
+function incidentChanged(base, current) {
+    return CONFLICT_FIELDS.some(field => String(base[field] ?? '') !== String(current[field] ?? ''));
+}
+
+// Sends pending entries oldest first and stops at the first one that cannot
+// be delivered yet, so later changes never overtake earlier ones
+async function replayOutbox() {
+    if (outboxReplaying || !outboxAvailable() || !currentSession) return;
+    outboxReplaying = true;
+    let sent = 0;
+    // Once an incident passed the conflict check, our own earlier entries are
+    // what changed it, so later entries for it are not checked again
+    const sentFor = new Set();
+    try {
+        const pending = (await myOutboxEntries()).filter(entry => entry.state === 'pending');
+        for (const entry of pending) {
+            const outcome = await replayEntry(entry, { force: sentFor.has(entry.incidentId) });
+            if (outcome === 'sent') {
+                sent += 1;
+                if (entry.incidentId !== undefined) sentFor.add(entry.incidentId);
+            }
+            if (outcome === 'offline') {
+                scheduleOutboxRetry();
+                break;
+            }
+            if (outcome === 'unauthorized') break;
+        }
+    } catch (error) {
+        console.error('Replaying queued changes failed:', error);
+    } finally {
+        outboxReplaying = false;
+    }
+    await renderOutbox();
+    if (sent) fetchIncidents();
+}
+
+// Returns 'sent', 'conflict', 'failed', 'offline' or 'unauthorized'
+async function replayEntry(entry, { force = false } = {}) {
+    try {
+        const headers = { ...(entry.headers || {}) };
+        if (entry.incidentId !== undefined) {
+            const { response, data } = await apiRequest(`/api/incidents/${encodeURIComponent(entry.incidentId)}`);
+            if (isFromCache(response) || response.status >= 500) return 'offline';
+            if (response.status === 401) {
+                showAuth();
+                return 'unauthorized';
+            }
+            if (response.status === 404) {
+                await outboxPut({ ...entry, state: 'conflict', error: t('outbox.deletedOnServer'), server: null });
+                return 'conflict';
+            }
+            if (response.ok && !force && entry.base && incidentChanged(entry.base, data)) {
+                await outboxPut({ ...entry, state: 'conflict', error: t('outbox.changedOnServer'), server: data });
+                return 'conflict';
+            }
+            // Applying anyway means applying on top of the current version
+            if (response.ok && force && headers['If-Match']) {
+                headers['If-Match'] = responseHeader(response, 'ETag') || headers['If-Match'];
+            }
+        }
+
+        const { response, data } = await apiRequest(entry.url, { method: entry.method, headers, body: entry.body });
+        if (response.status === 401) {
+            showAuth();
+            return 'unauthorized';
+        }
+        if (response.ok) {
+            await outboxDelete(entry.id);
+            return 'sent';
+        }
+        if (response.status === 409 && data.code === 'VERSION_CONFLICT') {
+            await outboxPut({ ...entry, state: 'conflict', error: t('outbox.changedOnServer'), server: data.current });
+            return 'conflict';
+        }
+        if (response.status >= 500) return 'offline';
+        await outboxPut({ ...entry, state: 'failed', error: data.error || t('error.requestFailedStatus', { status: response.status }) });
+        return 'failed';
+    } catch (error) {
+        if (isNetworkError(error)) return 'offline';
+        throw error;
+    }
+}
+
+// Worded when shown, so queued entries follow the language
+function outboxLabel(entry) {
+    if (entry.kind === 'create') return t('outbox.create', { title: entry.body.title });
+    return t(`outbox.${entry.kind}`, { id: entry.incidentId });
+}
+
+async function renderOutbox() {
+    let entries = [];
+    try {
+        entries = await myOutboxEntries();
+    } catch (error) {
+        console.error('Could not read queued changes:', error);
+    }
+    outboxPanel.classList.toggle('hidden', !entries.length);
+    const pending = entries.filter(entry => entry.state === 'pending').length;
+    document.getElementById('outbox-summary').textContent = pending === entries.length
+        ? t('outbox.waiting', { count: pending })
+        : t('outbox.attention', { pending, count: entries.length - pending });
+
+    document.getElementById('outbox-entries').replaceChildren(...entries.map(entry => {
+        const item = createElement('li', 'flex flex-wrap items-center gap-2');
+        item.dataset.outboxId = entry.id;
+        item.appendChild(createElement('span', 'text-gray-800', outboxLabel(entry)));
+        if (entry.state === 'pending') {
+            item.appendChild(createElement('span', 'text-gray-500', t('outbox.queued')));
+            return item;
+        }
+        item.appendChild(createElement('span', 'text-red-600', entry.error));
+        if (entry.state === 'conflict' && entry.server) {
+            const apply = createElement('button', 'px-2 py-0.5 rounded-md text-white bg-indigo-600 hover:bg-indigo-700', t('outbox.apply'));
+            apply.type = 'button';
+            apply.dataset.outboxAction = 'apply';
+            item.appendChild(apply);
+        }
+        const discard = createElement('button', 'px-2 py-0.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50', t('outbox.discard'));
+        discard.type = 'button';
+        discard.dataset.outboxAction = 'discard';
+        item.appendChild(discard);
+        return item;
+    }));
+}
+
+async function handleOutboxClick(event) {
+    const button = event.target.closest('button[data-outbox-action]');
+    if (!button) return;
+    const id = Number(button.closest('[data-outbox-id]').dataset.outboxId);
+    const entry = (await myOutboxEntries()).find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    if (button.dataset.outboxAction === 'discard') {
+        await outboxDelete(id);
+    } else {
+        button.disabled = true;
+        const outcome = await replayEntry({ ...entry, state: 'pending' }, { force: true });
+        if (outcome === 'sent') fetchIncidents();
+    }
+    renderOutbox();
+}
@@ -0,0 +1,89 @@
+// Service worker that keeps the dashboard usable on flaky networks.
+// The app shell and the last answers of the read-only API routes are served
+// from the cache when the network fails (marked with X-Served-From: cache).
+// Mutations are never cached: the page queues them in its IndexedDB outbox
+// (see "Offline outbox" in script.js) and replays them once it is back online.
+
+const SHELL_CACHE = 'dashboard-shell-v1';
+const API_CACHE = 'dashboard-api-v1';
+const SHELL_FILES = ['/', '/index.html', '/i18n.js', '/script.js', '/style.css', '/tailwind.css'];
+
+// Read-only routes whose last answer is kept for offline use
+const CACHED_API_ROUTES = [
+    /^\/api\/session$/,
+    /^\/api\/meta\/[^/]+$/,
+    /^\/api\/incidents$/,
+    /^\/api\/incidents\/[^/]+$/,
+    /^\/api\/incidents\/[^/]+\/history$/,
+    /^\/api\/incidents\/[^/]+\/comments$/
+];
+// Streams and downloads that only make sense live
+const UNCACHED_API_ROUTES = ['/api/incidents/stream', '/api/incidents/export'];
+// Any filtered list falls back to the last list seen when its own URL was never cached
+const LAST_LIST_KEY = '/api/incidents?offline=last';
+
+self.addEventListener('install', event => {
+    // One missing file (e.g. tailwind.css before the first build) must not fail the install
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => Promise.all(SHELL_FILES.map(file => cache.add(file).catch(() => {}))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method !== 'GET') {
+        // Cached incident data must not outlive the session
+        if (url.pathname === '/api/logout') {
+            event.respondWith(fetch(request).finally(() => caches.delete(API_CACHE)));
+        }
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        if (!UNCACHED_API_ROUTES.includes(url.pathname) && CACHED_API_ROUTES.some(route => route.test(url.pathname))) {
+            event.respondWith(networkFirst(request, API_CACHE, url.pathname === '/api/incidents' ? LAST_LIST_KEY : null));
+        }
+        return;
+    }
+
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+});
+
+// Answers from the network and refreshes the cache; falls back to the cached
+// copy only when the network request fails outright
+async function networkFirst(request, cacheName, fallbackKey = null) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (fallbackKey) await cache.put(fallbackKey, response.clone());
+        } else if (response.status === 401 && cacheName === API_CACHE) {
+            await caches.delete(API_CACHE);
+        }
+        return response;
+    } catch (error) {
+        // The shell is the same page whatever list filters are in the query string
+        const cached = await cache.match(request, { ignoreSearch: cacheName === SHELL_CACHE })
+            || (fallbackKey && await cache.match(fallbackKey));
+        if (!cached) throw error;
+        return servedFromCache(cached);
+    }
+}
+
+function servedFromCache(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Served-From', 'cache');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
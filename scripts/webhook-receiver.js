@@ -0,0 +1,84 @@
+// Local webhook receiver for trying out the outbound webhooks without Slack
+// or any other service:
+//
+//   WEBHOOK_SECRET=s3cret npm run webhook-receiver
+//   WEBHOOKS='[{"name":"local","url":"http://localhost:9090/hooks","secret":"s3cret"}]' npm start
+//
+// Every delivery is printed with whether its signature checks out.
+// RECEIVER_FAIL_FIRST=n answers the first n deliveries with 503 to exercise the retries.
+
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+function createWebhookReceiver({ secret = null, failFirst = 0, log = () => {} } = {}) {
+  const received = [];
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const signature = req.headers['x-webhook-signature'] || null;
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        payload = null;
+      }
+      let signatureState = 'unsigned';
+      if (signature) {
+        const valid = secret && verifySignature(secret, { timestamp: req.headers['x-webhook-timestamp'], signature, body });
+        signatureState = valid ? 'valid' : (secret ? 'invalid' : 'not checked (no WEBHOOK_SECRET)');
+      }
+      const delivery = {
+        path: req.url,
+        event: req.headers['x-webhook-event'] || null,
+        deliveryId: req.headers['x-webhook-delivery'] || null,
+        signature: signatureState,
+        payload,
+        failed: failuresLeft > 0,
+      };
+      received.push(delivery);
+      log(delivery);
+
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        return res.end('Failing on purpose');
+      }
+      // A receiver that checks signatures turns away forged deliveries
+      const status = signatureState === 'invalid' ? 401 : 200;
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'bad signature');
+    });
+  });
+
+  return {
+    received,
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve) => server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`)));
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 9090;
+  const receiver = createWebhookReceiver({
+    secret: process.env.WEBHOOK_SECRET || null,
+    failFirst: Number(process.env.RECEIVER_FAIL_FIRST) || 0,
+    log: (delivery) => {
+      const status = delivery.failed ? ' -> answered 503' : '';
+      console.log(`[${new Date().toISOString()}] ${delivery.event || 'unknown event'} ${delivery.deliveryId || ''} signature: ${delivery.signature}${status}`);
+      console.log(JSON.stringify(delivery.payload, null, 2));
+    },
+  });
+  receiver.listen(port, process.env.HOST || '127.0.0.1').then((url) => {
+    console.log(`Webhook receiver listening on ${url} (any path)`);
+  });
+}
+
+module.exports = { createWebhookReceiver };
@@ -0,0 +1,12 @@
+// Tailwind is compiled locally (npm run build:css) instead of loaded from the
+// CDN so the Content-Security-Policy can stay free of 'unsafe-inline'.
+module.exports = {
+  content: ['./public/**/*.html', './public/**/*.js'],
+  theme: {
+    extend: {
+      fontFamily: {
+        sans: ['Inter', 'sans-serif'],
+      },
+    },
+  },
+};
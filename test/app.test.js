@@ -0,0 +1,209 @@
+// Route tests for sessions, health and metadata, against the mock backend
+// (configured as having comment routes, which the mock fakes with failNext)
+const test = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./support/proxyApp');
+
+let proxy;
+test.before(async () => {
+  proxy = await startProxy({ env: { BACKEND_COMMENTS: 'on' } });
+});
+test.after(() => proxy.stop());
+test.beforeEach(() => proxy.backend.reset());
+
+test('login sets an HttpOnly session cookie and returns a CSRF token', async () => {
+  const client = proxy.client();
+  const response = await client.post('/api/login', { username: 'amy', password: 'Responder-password-1' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(typeof response.data.csrfToken, 'string');
+  const cookie = response.setCookies.find((line) => line.startsWith('jwtToken='));
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Lax/);
+  assert.match(cookie, /Max-Age=\d+/);
+  assert.ok(!/Secure/.test(cookie));
+  assert.ok(client.cookies.has('jwtToken'));
+  // The JWT never reaches the page
+  assert.ok(!response.text.includes(client.cookies.get('jwtToken')));
+});
+
+test('a rejected login is LOGIN_FAILED, not an expired session', async () => {
+  const client = proxy.client();
+  const response = await client.post('/api/login', { username: 'amy', password: 'wrong-password' });
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.data.code, 'LOGIN_FAILED');
+  assert.strictEqual(response.setCookies.length, 0);
+});
+
+test('login validates its body and maps backend failures', async () => {
+  const client = proxy.client();
+  const invalid = await client.post('/api/login', { username: 'amy' });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.data.code, 'VALIDATION_FAILED');
+
+  proxy.backend.failNext('POST /api/login', { status: 500, body: { error: 'database down' } });
+  const failed = await client.post('/api/login', { username: 'amy', password: 'Responder-password-1' });
+  assert.strictEqual(failed.status, 502);
+  assert.strictEqual(failed.data.code, 'LOGIN_FAILED');
+
+  proxy.backend.failNext('POST /api/login', { status: 200, text: '<html>maintenance</html>' });
+  const garbled = await client.post('/api/login', { username: 'amy', password: 'Responder-password-1' });
+  assert.strictEqual(garbled.status, 502);
+  assert.strictEqual(garbled.data.code, 'BACKEND_INVALID_RESPONSE');
+});
+
+test('registration enforces the password policy before calling the backend', async () => {
+  const client = proxy.client();
+  const weak = await client.post('/api/register', { username: 'newbie', password: 'password' });
+  assert.strictEqual(weak.status, 400);
+  assert.ok(weak.data.errors.every((error) => error.field === 'password'));
+  assert.ok(!proxy.backend.requests.some((request) => request.path === '/api/register'));
+
+  const created = await client.post('/api/register', { username: 'newbie', password: 'Quite-long-passphrase-7' });
+  assert.strictEqual(created.status, 201);
+  const duplicate = await client.post('/api/register', { username: 'newbie', password: 'Quite-long-passphrase-7' });
+  assert.strictEqual(duplicate.status, 409);
+  assert.strictEqual(duplicate.data.code, 'BACKEND_ERROR');
+  // Attempts the policy rejected count too, so weak guesses cannot bypass the limit
+  const limited = await client.post('/api/register', { username: 'newbie', password: 'password' });
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.data.code, 'RATE_LIMITED');
+});
+
+test('logout requires the CSRF token and clears the cookie', async () => {
+  const client = await proxy.session('amy');
+  const token = client.cookies.get('jwtToken');
+
+  client.setCsrfToken('forged');
+  const forged = await client.post('/api/logout');
+  assert.strictEqual(forged.status, 403);
+  assert.strictEqual(client.cookies.get('jwtToken'), token);
+
+  await client.get('/api/csrf');
+  const response = await client.post('/api/logout');
+  assert.strictEqual(response.status, 200);
+  assert.match(response.setCookies.find((line) => line.startsWith('jwtToken=')), /Expires=Thu, 01 Jan 1970/);
+  assert.ok(!client.cookies.has('jwtToken'));
+});
+
+test('protected routes require a live session', async () => {
+  const anonymous = await proxy.client().get('/api/incidents');
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual(anonymous.data.code, 'AUTH_REQUIRED');
+
+  const expired = await proxy.session('amy', ['responder'], { expiresInSeconds: -60 });
+  const response = await expired.get('/api/session');
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.data.code, 'SESSION_EXPIRED');
+  assert.ok(!expired.cookies.has('jwtToken'));
+  // The backend is not asked about a token that has already run out
+  assert.strictEqual(proxy.backend.requests.length, 0);
+});
+
+test('a token the backend rejects ends the session', async () => {
+  const client = await proxy.session('amy');
+  proxy.backend.failNext('GET /api/incidents', { status: 401, body: { error: 'revoked' } });
+  const response = await client.get('/api/incidents');
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.data.code, 'SESSION_EXPIRED');
+  assert.ok(!client.cookies.has('jwtToken'));
+});
+
+test('the session route reports the user, roles and permissions', async () => {
+  const client = await proxy.session('vic', ['viewer']);
+  const response = await client.get('/api/session');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data.username, 'vic');
+  assert.deepStrictEqual(response.data.roles, ['viewer']);
+  assert.ok(!response.data.permissions.includes('incident:update'));
+  assert.ok(response.data.csrfToken);
+});
+
+test('session refresh swaps the cookie and the CSRF token', async () => {
+  const client = await proxy.session('amy');
+  const before = client.cookies.get('jwtToken');
+  await new Promise((resolve) => setTimeout(resolve, 1100)); // a new iat makes a new token
+  const response = await client.post('/api/session/refresh');
+  assert.strictEqual(response.status, 200);
+  assert.notStrictEqual(client.cookies.get('jwtToken'), before);
+
+  proxy.backend.failNext('POST /api/refresh', { status: 404, text: 'Not Found' });
+  const unsupported = await client.post('/api/session/refresh');
+  assert.strictEqual(unsupported.status, 501);
+  assert.strictEqual(unsupported.data.code, 'REFRESH_UNSUPPORTED');
+});
+
+test('every request carries a request id to the backend and back', async () => {
+  const client = await proxy.session('amy');
+  const response = await client.get('/api/incidents', { headers: { 'X-Request-Id': 'edge-42' } });
+  assert.strictEqual(response.headers.get('x-request-id'), 'edge-42');
+  assert.strictEqual(proxy.backend.requests.at(-1).headers['x-request-id'], 'edge-42');
+
+  proxy.backend.failNext('GET /api/incidents', { status: 503, body: {} });
+  const failed = await client.get('/api/incidents');
+  assert.strictEqual(failed.data.requestId, failed.headers.get('x-request-id'));
+});
+
+test('metadata routes need no session', async () => {
+  const client = proxy.client();
+  const types = await client.get('/api/meta/incident-types');
+  assert.ok(Array.isArray(types.data.types));
+  const workflow = await client.get('/api/meta/incident-workflow');
+  assert.ok(workflow.data.transitions.open);
+});
+
+test('health, readiness and metrics endpoints', async () => {
+  const client = proxy.client();
+  assert.strictEqual((await client.get('/healthz')).status, 200);
+
+  const ready = await client.get('/readyz');
+  assert.strictEqual(ready.status, 200);
+  proxy.backend.failNext('GET /', { status: 503, body: {} });
+  const unavailable = await client.get('/readyz');
+  assert.strictEqual(unavailable.status, 503);
+  assert.strictEqual(unavailable.data.backend.backendStatus, 503);
+
+  const metrics = await client.get('/metrics');
+  assert.match(metrics.headers.get('content-type'), /^text\/plain/);
+  assert.match(metrics.text, /http_requests_total\{method="GET",route="\/readyz",status="503"\} 1/);
+  assert.match(metrics.text, /backend_requests_total\{method="GET",outcome="server_error"\} \d+/);
+
+  // Presented cookies do not count as sessions until the backend accepts them
+  const activeSessions = async () => Number(/^active_sessions (\d+)$/m.exec((await client.get('/metrics')).text)[1]);
+  const before = await activeSessions();
+  for (const name of ['eve', 'mallory', 'trent']) {
+    await (await proxy.forgedSession(name)).get('/api/session');
+  }
+  assert.strictEqual(await activeSessions(), before);
+  const incident = proxy.backend.addIncident();
+  const genuine = await proxy.session('peggy');
+  assert.strictEqual((await genuine.get(`/api/incidents/${incident.id}/history`)).status, 200);
+  assert.strictEqual(await activeSessions(), before + 1);
+});
+
+test('malformed JSON gets the error envelope', async () => {
+  const response = await proxy.client().post('/api/login', '{"username": ');
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.data.code, 'INVALID_JSON');
+});
+
+test('with BACKEND_COMMENTS=on comments go to the backend, including its 404s', async () => {
+  const incident = proxy.backend.addIncident();
+  const client = await proxy.session('amy');
+  const path = `/api/incidents/${incident.id}/comments`;
+  const stored = [{ id: 'c1', author: 'bob', body: 'On it', createdAt: '2026-01-01T00:00:00.000Z' }];
+
+  proxy.backend.failNext(`GET ${path}`, { status: 200, body: stored });
+  const listed = await client.get(path);
+  assert.deepStrictEqual(listed.data, { source: 'backend', comments: stored });
+
+  proxy.backend.failNext(`POST ${path}`, { status: 201, body: { ...stored[0], id: 'c2' } });
+  const created = await client.post(path, { body: '  Rolled back  ' });
+  assert.strictEqual(created.status, 201);
+  assert.deepStrictEqual(proxy.backend.requests.at(-1).body, { body: 'Rolled back' });
+
+  proxy.backend.failNext(`DELETE ${path}/c9`, { status: 404, body: { error: 'Not found' } });
+  const missing = await client.delete(`${path}/c9`);
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.data.error, 'Not found');
+});
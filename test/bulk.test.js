@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BackendError } = require('../lib/proxy');
+const { mapWithConcurrency, normalizeIds, outcomeFromResult, runBulk } = require('../lib/bulk');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('mapWithConcurrency keeps order and never exceeds the limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await tick();
+    running -= 1;
+    return n * 10;
+  });
+  assert.deepStrictEqual(results, [10, 20, 30, 40, 50, 60, 70]);
+  assert.strictEqual(peak, 3);
+});
+
+test('normalizeIds drops duplicates and reports invalid entries', () => {
+  assert.deepStrictEqual(normalizeIds([1, '1', ' 2 ', 'abc']), { ids: ['1', '2', 'abc'], errors: [] });
+  const { errors } = normalizeIds(['ok', '', 1.5, null, {}]);
+  assert.deepStrictEqual(errors.map((error) => error.field), ['ids[1]', 'ids[2]', 'ids[3]', 'ids[4]']);
+});
+
+test('outcomeFromResult maps backend answers onto envelope codes', () => {
+  assert.deepStrictEqual(outcomeFromResult({ ok: true, status: 204, isEmpty: true }), { ok: true, status: 204 });
+  assert.strictEqual(outcomeFromResult({ ok: true, status: 200, isJson: false, text: '<html>' }).code, 'BACKEND_INVALID_RESPONSE');
+  assert.strictEqual(outcomeFromResult({ ok: false, status: 401 }).code, 'SESSION_EXPIRED');
+  assert.deepStrictEqual(outcomeFromResult({ ok: false, status: 503, data: { message: 'down' } }, 'fallback'), {
+    ok: false, status: 502, code: 'BACKEND_ERROR', error: 'down', backendStatus: 503,
+  });
+  assert.strictEqual(outcomeFromResult({ ok: false, status: 404, data: null }, 'fallback').error, 'fallback');
+});
+
+test('runBulk reports every id, including ones whose call threw', async () => {
+  const report = await runBulk(['1', '2', '3'], async (id) => {
+    if (id === '2') throw new BackendError('Backend did not respond in time.', 'BACKEND_TIMEOUT');
+    if (id === '3') return { ok: false, status: 404, code: 'BACKEND_ERROR', error: 'Not found' };
+    return { ok: true, status: 200 };
+  });
+  assert.deepStrictEqual(report, {
+    total: 3,
+    succeeded: 1,
+    failed: 2,
+    results: [
+      { id: '1', ok: true, status: 200 },
+      { id: '2', ok: false, status: 504, code: 'BACKEND_TIMEOUT', error: 'Backend did not respond in time.' },
+      { id: '3', ok: false, status: 404, code: 'BACKEND_ERROR', error: 'Not found' },
+    ],
+  });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+function tempFile(t, name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('defaults apply when nothing is configured', () => {
+  const config = loadConfig({ env: {} });
+  assert.strictEqual(config.port, 8080);
+  assert.strictEqual(config.backendUrl, 'http://localhost:3000');
+  assert.deepStrictEqual(config.corsOrigins, []);
+  assert.deepStrictEqual(config.cookie, { secure: false, sameSite: 'Lax', domain: null, fallbackMaxAgeMs: 3600000 });
+  assert.strictEqual(loadConfig({ env: { NODE_ENV: 'production' } }).cookie.secure, true);
+});
+
+test('environment values are parsed by type', () => {
+  const config = loadConfig({
+    env: {
+      PORT: '9000',
+      BACKEND_API_URL: 'https://backend.internal/',
+      COOKIE_SECURE: 'yes',
+      COOKIE_SAME_SITE: 'strict',
+      CORS_ORIGINS: 'https://a.example.com, https://b.example.com:8443',
+      TRUSTED_PROXIES: 'loopback,10.0.0.0/8',
+    },
+  });
+  assert.strictEqual(config.port, 9000);
+  assert.strictEqual(config.backendUrl, 'https://backend.internal');
+  assert.strictEqual(config.cookie.secure, true);
+  assert.strictEqual(config.cookie.sameSite, 'Strict');
+  assert.deepStrictEqual(config.corsOrigins, ['https://a.example.com', 'https://b.example.com:8443']);
+  assert.deepStrictEqual(config.trustedProxies, ['loopback', '10.0.0.0/8']);
+});
+
+test('YAML and JSON files are read and the environment wins over them', (t) => {
+  const yamlFile = tempFile(t, 'proxy.yaml', 'port: 7000\nbackendTimeoutMs: 2500\ncookie:\n  domain: example.com\ncorsOrigins:\n  - https://a.example.com\n');
+  const fromYaml = loadConfig({ env: { PORT: '7100' }, file: yamlFile });
+  assert.strictEqual(fromYaml.port, 7100);
+  assert.strictEqual(fromYaml.backendTimeoutMs, 2500);
+  assert.strictEqual(fromYaml.cookie.domain, 'example.com');
+  assert.deepStrictEqual(fromYaml.corsOrigins, ['https://a.example.com']);
+
+  const jsonFile = tempFile(t, 'proxy.json', JSON.stringify({ logLevel: 'debug' }));
+  assert.strictEqual(loadConfig({ env: { CONFIG_FILE: jsonFile } }).logLevel, 'debug');
+});
+
+test('every invalid setting is reported at once', (t) => {
+  const file = tempFile(t, 'proxy.yaml', 'backendRetries: -1\ncolour: blue\n');
+  assert.throws(() => loadConfig({
+    env: { PORT: '80a', BACKEND_API_URL: 'localhost:3000', CORS_ORIGINS: 'https://a.example.com/path', COOKIE_SAME_SITE: 'None' },
+    file,
+  }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.deepStrictEqual(error.problems.map((problem) => problem.split(':')[0]), [
+      `colour (in ${file})`,
+      'PORT',
+      'BACKEND_API_URL',
+      `backendRetries (in ${file})`,
+      'CORS_ORIGINS',
+      'COOKIE_SAME_SITE',
+    ]);
+    assert.match(error.message, /^Invalid configuration:\n {2}- colour/);
+    return true;
+  });
+});
+
+test('an unreadable or malformed file is a configuration error', (t) => {
+  assert.throws(() => loadConfig({ env: {}, file: '/nonexistent/proxy.yaml' }), /CONFIG_FILE: cannot read/);
+  const file = tempFile(t, 'proxy.json', '{ "port": ');
+  assert.throws(() => loadConfig({ env: {}, file }), /is not valid JSON/);
+});
+
+test('webhook endpoints are checked without echoing their secrets', (t) => {
+  const file = tempFile(t, 'config.yaml', [
+    'webhooks:',
+    '  - name: chat',
+    '    url: https://hooks.slack.com/services/T000/B000/XXXX',
+    '    format: slack',
+    '    events: [escalated]',
+    '  - url: https://pager.example.com/hook',
+    '    secret: s3cret',
+  ].join('\n'));
+  assert.deepStrictEqual(loadConfig({ env: {}, file }).webhooks, [
+    { name: 'chat', url: 'https://hooks.slack.com/services/T000/B000/XXXX', format: 'slack', secret: null, events: ['escalated'] },
+    { name: 'webhook-2', url: 'https://pager.example.com/hook', format: 'json', secret: 's3cret', events: ['created', 'escalated', 'severity_changed'] },
+  ]);
+
+  const invalid = JSON.stringify([{ url: 'https://pager.example.com/hook', secret: 's3cret', events: ['deleted'] }]);
+  assert.throws(() => loadConfig({ env: { WEBHOOKS: invalid } }), (error) => {
+    assert.deepStrictEqual(error.problems, ['WEBHOOKS: webhook 1: events must be one of: created, escalated, severity_changed']);
+    return true;
+  });
+  assert.throws(() => loadConfig({ env: { WEBHOOKS: '{not json' } }), /WEBHOOKS: must be a JSON array/);
+});
+
+test('SLA minutes per type are merged into the defaults', (t) => {
+  const { slaMinutes } = loadConfig({ env: { SLA_MINUTES: 'outage=30, default=720' } });
+  assert.deepStrictEqual([slaMinutes.outage, slaMinutes.default, slaMinutes.security], [30, 720, 60]);
+
+  const file = tempFile(t, 'config.yaml', 'slaMinutes:\n  degradation: 480\n');
+  assert.strictEqual(loadConfig({ env: {}, file }).slaMinutes.degradation, 480);
+
+  assert.throws(() => loadConfig({ env: { SLA_MINUTES: 'outage=0,meltdown=5' } }), (error) => {
+    assert.strictEqual(error.problems.length, 1);
+    assert.match(error.problems[0], /^SLA_MINUTES: /);
+    return true;
+  });
+});
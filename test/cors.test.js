@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cors } = require('../lib/cors');
+
+test('cors only answers the configured origins', () => {
+  const middleware = cors({ origins: ['https://a.example.com'] });
+  const run = (headers, method = 'GET') => {
+    const set = {};
+    const res = {
+      vary() {},
+      setHeader: (name, value) => { set[name] = value; },
+      status() { return this; },
+      end() { set.ended = true; },
+    };
+    let nextCalled = false;
+    middleware({ method, get: (name) => headers[name.toLowerCase()] }, res, () => { nextCalled = true; });
+    return { set, nextCalled };
+  };
+
+  assert.deepStrictEqual(run({ origin: 'https://evil.example.com' }), { set: {}, nextCalled: true });
+  const simple = run({ origin: 'https://a.example.com' });
+  assert.strictEqual(simple.set['Access-Control-Allow-Origin'], 'https://a.example.com');
+  assert.ok(simple.nextCalled);
+  const preflight = run({ origin: 'https://a.example.com', 'access-control-request-method': 'PUT' }, 'OPTIONS');
+  assert.ok(preflight.set.ended && !preflight.nextCalled);
+  assert.match(preflight.set['Access-Control-Allow-Headers'], /If-Match/);
+});
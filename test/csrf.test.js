@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCsrfProtection } = require('../lib/csrf');
+
+// Minimal stand-ins for the Express request/response objects
+function fakeRequest({ method = 'POST', headers = {}, cookies = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, cookies, id: 'req-1', get: (name) => lower[name.toLowerCase()] };
+}
+
+function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+const csrf = createCsrfProtection({ secret: 'test-secret', allowedOrigins: ['https://ops.example.com'] });
+
+test('tokens are bound to the session', () => {
+  assert.strictEqual(csrf.tokenFor('session-a'), csrf.tokenFor('session-a'));
+  assert.notStrictEqual(csrf.tokenFor('session-a'), csrf.tokenFor('session-b'));
+});
+
+test('requireToken accepts the token of the current session only', () => {
+  const cookies = { jwtToken: 'session-a' };
+  assert.ok(run(csrf.requireToken, fakeRequest({ cookies, headers: { 'X-CSRF-Token': csrf.tokenFor('session-a') } })).passed);
+
+  for (const headers of [{}, { 'X-CSRF-Token': csrf.tokenFor('session-b') }, { 'X-CSRF-Token': 'garbage' }]) {
+    const { passed, res } = run(csrf.requireToken, fakeRequest({ cookies, headers }));
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.code, 'CSRF_INVALID');
+  }
+});
+
+test('checkOrigin rejects state-changing requests from other sites', () => {
+  const host = { Host: 'localhost:8080' };
+  assert.ok(run(csrf.checkOrigin, fakeRequest({ headers: { ...host, Origin: 'http://localhost:8080' } })).passed);
+  assert.ok(run(csrf.checkOrigin, fakeRequest({ headers: { ...host, Origin: 'https://ops.example.com' } })).passed);
+  assert.ok(run(csrf.checkOrigin, fakeRequest({ method: 'GET', headers: { ...host, Origin: 'https://evil.example' } })).passed);
+
+  const fromOrigin = run(csrf.checkOrigin, fakeRequest({ headers: { ...host, Origin: 'https://evil.example' } }));
+  assert.strictEqual(fromOrigin.passed, false);
+  assert.strictEqual(fromOrigin.res.body.code, 'CSRF_ORIGIN_REJECTED');
+
+  const fromReferer = run(csrf.checkOrigin, fakeRequest({ headers: { ...host, Referer: 'https://evil.example/page' } }));
+  assert.strictEqual(fromReferer.passed, false);
+});
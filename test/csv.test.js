@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatRow, parseCsv, unescapeFormula, CsvError } = require('../lib/csv');
+
+test('formatRow quotes commas, quotes and line breaks', () => {
+  assert.strictEqual(formatRow(['1', 'a,b', 'say "hi"', 'two\nlines', null, undefined, 7]),
+    '1,"a,b","say ""hi""","two\nlines",,,7\r\n');
+});
+
+test('formatRow defuses spreadsheet formulas and unescapeFormula restores them', () => {
+  const row = formatRow(['=HYPERLINK("x")', '+1', '@SUM(A1)', 'plain']);
+  assert.strictEqual(row, `"'=HYPERLINK(""x"")",'+1,'@SUM(A1),plain\r\n`);
+  assert.deepStrictEqual(parseCsv(row)[0].map(unescapeFormula), ['=HYPERLINK("x")', '+1', '@SUM(A1)', 'plain']);
+  assert.strictEqual(unescapeFormula("'quoted"), "'quoted");
+});
+
+test('parseCsv reads what formatRow writes', () => {
+  const values = ['id', 'multi\r\nline, with "quotes"', '', 'ünïcödé'];
+  assert.deepStrictEqual(parseCsv(formatRow(values) + formatRow(['2', 'x', 'y', 'z'])), [values, ['2', 'x', 'y', 'z']]);
+});
+
+test('parseCsv handles BOM, LF endings, blank lines and a missing final newline', () => {
+  assert.deepStrictEqual(parseCsv('\ufefftitle,severity\n\nDisk full,SEV2\n"API down",'), [
+    ['title', 'severity'],
+    ['Disk full', 'SEV2'],
+    ['API down', ''],
+  ]);
+});
+
+test('parseCsv rejects malformed quoting with the line number', () => {
+  assert.throws(() => parseCsv('title\n"never closed\n'), (error) => error instanceof CsvError && error.line === 3);
+  assert.throws(() => parseCsv('"a"b,c'), CsvError);
+});
@@ -0,0 +1,547 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadDashboard, flush } = require('./support/dashboard');
+
+// IndexedDB work spans several turns of the event loop
+const settle = async () => {
+  for (let i = 0; i < 10; i += 1) await flush();
+};
+
+const PAYLOAD = '<img src=x onerror="window.__pwned = true">';
+const hostileIncident = {
+  id: `1'); window.__pwned = true; ('`,
+  title: `<script>window.__pwned = true</script>${PAYLOAD}`,
+  description: `</p>${PAYLOAD}`,
+  reporter: `"><svg onload="window.__pwned = true">`,
+  type: PAYLOAD,
+  resource_id: `<a href="javascript:window.__pwned = true">x</a>`,
+  severity: '<b>SEV1</b>',
+  status: PAYLOAD,
+};
+
+test('hostile incident fields render as inert text', () => {
+  const { window, document, run } = loadDashboard();
+  run('displayIncidents')([hostileIncident]);
+
+  const list = document.getElementById('incidents-list');
+  assert.strictEqual(list.querySelectorAll('script, img, svg, b').length, 0);
+  assert.strictEqual(list.querySelectorAll('a[href^="javascript:"]').length, 0);
+  assert.strictEqual(list.querySelectorAll('[onclick], [onerror], [onload]').length, 0);
+  assert.ok(list.textContent.includes(hostileIncident.title));
+  assert.ok(list.textContent.includes(hostileIncident.description));
+  assert.ok(list.textContent.includes(hostileIncident.reporter));
+  assert.ok(list.textContent.includes(hostileIncident.resource_id));
+  assert.strictEqual(window.__pwned, undefined);
+});
+
+test('card buttons carry the incident id as data, not as inline script', () => {
+  const { document, run } = loadDashboard();
+  run('displayIncidents')([hostileIncident]);
+
+  const card = document.querySelector('#incidents-list [data-incident-id]');
+  assert.strictEqual(card.dataset.incidentId, hostileIncident.id);
+  const actions = [...card.querySelectorAll('button[data-action]')].map((button) => button.dataset.action);
+  assert.deepStrictEqual(actions, ['edit', 'delete', 'escalate']);
+});
+
+test('clicking a card button goes through the delegated list handler', async () => {
+  const { window, document, requests, run } = loadDashboard({
+    routes: { [`POST /api/escalate/${encodeURIComponent(hostileIncident.id)}`]: { status: 200, body: {} } },
+  });
+  run('displayIncidents')([hostileIncident]);
+
+  document.querySelector('button[data-action="escalate"]').click();
+  await flush();
+
+  const escalation = requests.find((request) => request.init.method === 'POST');
+  assert.strictEqual(escalation.url, `/api/escalate/${encodeURIComponent(hostileIncident.id)}`);
+  assert.strictEqual(window.__pwned, undefined);
+});
+
+test('the page has no inline scripts or event handler attributes', () => {
+  const { document } = loadDashboard();
+  assert.strictEqual(document.querySelectorAll('script:not([src])').length, 0);
+  const inlineHandlers = [...document.querySelectorAll('*')]
+    .filter((element) => [...element.attributes].some((attribute) => attribute.name.startsWith('on')));
+  assert.deepStrictEqual(inlineHandlers, []);
+  assert.strictEqual(document.querySelectorAll('script[src^="http"], link[href^="http"]').length, 0);
+});
+
+test('state-changing requests carry the CSRF token', async () => {
+  const { document, requests, run } = loadDashboard({
+    routes: {
+      'GET /api/csrf': { status: 200, body: { csrfToken: 'token-123' } },
+      'POST /api/escalate/7': { status: 200, body: {} },
+    },
+  });
+  run('displayIncidents')([{ id: '7', title: 'Disk full' }]);
+
+  document.querySelector('button[data-action="escalate"]').click();
+  await flush();
+  await flush();
+
+  const escalation = requests.find((request) => request.init.method === 'POST');
+  assert.strictEqual(escalation.init.headers['X-CSRF-Token'], 'token-123');
+});
+
+test('an expired session keeps the open edit form for after the re-login', async () => {
+  const incident = { id: '7', title: 'Disk full', severity: 'SEV2', status: 'open' };
+  const { document, window, run } = loadDashboard({
+    routes: { 'GET /api/incidents/7': { status: 200, body: incident } },
+  });
+  document.getElementById('app-section').classList.remove('hidden');
+  await run('showEditModal')('7');
+  document.getElementById('edit-title').value = 'Disk full on db-1';
+
+  run('showAuth')();
+  assert.ok(document.getElementById('edit-modal').classList.contains('hidden'));
+  assert.ok(window.sessionStorage.getItem('incident-drafts'));
+
+  await run('restoreDraftForms')();
+  assert.strictEqual(document.getElementById('edit-title').value, 'Disk full on db-1');
+  assert.strictEqual(window.sessionStorage.getItem('incident-drafts'), null);
+});
+
+test('actions the user may not perform are hidden', () => {
+  const { document, run } = loadDashboard();
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:create', 'incident:update', 'incident:escalate'] });
+  run('displayIncidents')([{ id: '7', title: 'Disk full' }]);
+
+  const visible = [...document.querySelectorAll('#incidents-list button[data-action]')]
+    .filter((button) => !button.classList.contains('hidden'))
+    .map((button) => button.dataset.action);
+  assert.deepStrictEqual(visible, ['edit', 'escalate']);
+  assert.ok(!document.getElementById('create-incident-panel').classList.contains('hidden'));
+
+  run('applySession')({ username: 'vic', roles: ['viewer'], permissions: [] });
+  assert.ok(document.getElementById('create-incident-panel').classList.contains('hidden'));
+  assert.ok(document.querySelector('#incidents-list button[data-action="edit"]').classList.contains('hidden'));
+});
+
+test('bulk escalation sends one request and summarises the per-incident report', async () => {
+  const incidents = [{ id: '1', title: 'API down' }, { id: '2', title: 'DB slow' }, { id: '3', title: 'Disk full' }];
+  const { document, requests, run } = loadDashboard({
+    routes: {
+      'GET /api/incidents': { status: 200, body: { items: incidents, total: 3, page: 1, pageSize: 20 } },
+      'POST /api/incidents/bulk': {
+        status: 200,
+        body: {
+          action: 'escalate',
+          total: 2,
+          succeeded: 1,
+          failed: 1,
+          results: [
+            { id: '1', ok: true, status: 200 },
+            { id: '3', ok: false, status: 404, code: 'BACKEND_ERROR', error: 'Incident not found' },
+          ],
+        },
+      },
+    },
+  });
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:update', 'incident:escalate'] });
+  run('displayIncidents')(incidents);
+
+  const checkbox = (id) => document.querySelector(`[data-incident-id="${id}"] input[data-select]`);
+  checkbox('1').click();
+  checkbox('3').click();
+  assert.strictEqual(document.getElementById('bulk-count').textContent, '2 selected');
+  assert.ok(document.getElementById('bulk-select-page').indeterminate);
+
+  document.querySelector('button[data-bulk-action="escalate"]').click();
+  await flush();
+  await flush();
+
+  const bulkRequests = requests.filter((request) => request.url === '/api/incidents/bulk');
+  assert.strictEqual(bulkRequests.length, 1);
+  assert.deepStrictEqual(JSON.parse(bulkRequests[0].init.body), { action: 'escalate', ids: ['1', '3'] });
+  assert.match(document.getElementById('bulk-report-summary').textContent, /Escalated 1 of 2 incidents; 1 failed/);
+  assert.strictEqual(document.getElementById('bulk-report-failures').textContent, 'Incident 3: Incident not found');
+  assert.ok(!checkbox('1').checked);
+  assert.ok(checkbox('3').checked);
+});
+
+test('viewers get no selection controls', () => {
+  const { document, run } = loadDashboard();
+  run('applySession')({ username: 'vic', roles: ['viewer'], permissions: [] });
+  run('displayIncidents')([{ id: '7', title: 'Disk full' }]);
+
+  assert.ok(document.getElementById('bulk-bar').classList.contains('hidden'));
+  assert.ok(document.querySelector('#incidents-list input[data-select]').classList.contains('hidden'));
+});
+
+test('an incident created while offline is queued and sent once back online', async (t) => {
+  const routes = { 'POST /api/incidents': { networkError: true } };
+  const { window, document, requests, run } = loadDashboard({ routes, indexedDB: new IDBFactory() });
+  t.after(() => window.close()); // stops the outbox retry timer
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:create'], csrfToken: 't' });
+
+  const form = document.getElementById('create-incident-form');
+  document.getElementById('new-title').value = 'Router down';
+  form.dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+  await settle();
+
+  assert.match(document.getElementById('create-message').textContent, /offline/);
+  assert.strictEqual(document.getElementById('outbox-summary').textContent, '1 change waiting to be sent');
+
+  routes['POST /api/incidents'] = { status: 201, body: { id: '9', title: 'Router down' } };
+  await run('replayOutbox')();
+  await settle();
+
+  const creates = requests.filter((request) => request.init.method === 'POST' && request.url === '/api/incidents');
+  assert.strictEqual(creates.length, 2);
+  assert.strictEqual(JSON.parse(creates[1].init.body).title, 'Router down');
+  assert.ok(document.getElementById('outbox-panel').classList.contains('hidden'));
+});
+
+test('a queued edit is held back when the incident changed on the server meanwhile', async (t) => {
+  const base = { id: '4', title: 'Disk full', status: 'open' };
+  const routes = {
+    'GET /api/incidents/4': { status: 200, body: base },
+    'PUT /api/incidents/4': { networkError: true },
+  };
+  const { window, document, requests, run } = loadDashboard({ routes, indexedDB: new IDBFactory() });
+  t.after(() => window.close());
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:update'], csrfToken: 't' });
+
+  await run('showEditModal')('4');
+  document.getElementById('edit-title').value = 'Disk full on db-1';
+  document.getElementById('edit-incident-form').dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+  await settle();
+  assert.ok(document.getElementById('edit-modal').classList.contains('hidden'));
+
+  routes['GET /api/incidents/4'] = { status: 200, body: { ...base, status: 'resolved' } };
+  routes['PUT /api/incidents/4'] = { status: 200, body: {} };
+  await run('replayOutbox')();
+  await settle();
+
+  assert.strictEqual(requests.filter((request) => request.init.method === 'PUT').length, 1);
+  assert.match(document.getElementById('outbox-entries').textContent, /changed on the server/);
+
+  document.querySelector('button[data-outbox-action="apply"]').click();
+  await settle();
+  assert.strictEqual(requests.filter((request) => request.init.method === 'PUT').length, 2);
+  assert.ok(document.getElementById('outbox-panel').classList.contains('hidden'));
+});
+
+test('an edit that lost a race opens the merge dialog and saves the merged version', async () => {
+  const original = { id: '9', title: 'Disk full', severity: 'SEV2', status: 'open', assignee: '' };
+  const current = { ...original, severity: 'SEV1', assignee: 'bob' };
+  const routes = {
+    'GET /api/incidents/9': { status: 200, body: original, headers: { ETag: '"a"' } },
+    'PUT /api/incidents/9': {
+      status: 409,
+      body: { error: 'Changed meanwhile', code: 'VERSION_CONFLICT', current, version: '"b"' },
+    },
+  };
+  const { document, requests, run } = loadDashboard({ routes });
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:update'], csrfToken: 't' });
+
+  await run('showEditModal')('9');
+  document.getElementById('edit-title').value = 'Disk full on db-1';
+  document.getElementById('edit-assignee').value = 'amy';
+  document.getElementById('edit-incident-form').dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+  await flush();
+
+  const put = requests.find((request) => request.init.method === 'PUT');
+  assert.strictEqual(put.init.headers['If-Match'], '"a"');
+  assert.ok(document.getElementById('edit-modal').classList.contains('hidden'));
+  assert.ok(!document.getElementById('merge-modal').classList.contains('hidden'));
+
+  const choice = (field, side) => document.querySelector(`input[name="merge-${field}"][value="${side}"]`);
+  // Only one side changed these, so that side is preselected
+  assert.ok(choice('title', 'mine').checked);
+  assert.ok(choice('severity', 'server').checked);
+  // Both changed the assignee: the user has to pick
+  assert.ok(!choice('assignee', 'mine').checked && !choice('assignee', 'server').checked);
+  assert.match(document.getElementById('merge-fields').textContent, /changed by both/);
+
+  choice('assignee', 'server').checked = true;
+  routes['PUT /api/incidents/9'] = { status: 200, body: { ...current, title: 'Disk full on db-1' } };
+  document.getElementById('merge-form').dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+  await flush();
+
+  const merged = requests.filter((request) => request.init.method === 'PUT')[1];
+  assert.strictEqual(merged.init.headers['If-Match'], '"b"');
+  const body = JSON.parse(merged.init.body);
+  assert.deepStrictEqual([body.title, body.severity, body.assignee], ['Disk full on db-1', 'SEV1', 'bob']);
+  assert.ok(document.getElementById('merge-modal').classList.contains('hidden'));
+});
+
+const listOf = (items, extra = {}) => ({ items, total: items.length, page: 1, pageSize: 20, facets: { types: [], reporters: [] }, ...extra });
+
+test('logging in shows the dashboard with the incident list', async (t) => {
+  const { window, document, requests } = loadDashboard({
+    routes: {
+      'POST /api/login': { status: 200, body: { message: 'Login successful', csrfToken: 'csrf-1' } },
+      'GET /api/session': { status: 200, body: { username: 'amy', roles: ['responder'], permissions: ['incident:create'], csrfToken: 'csrf-1' } },
+      'GET /api/incidents': { status: 200, body: listOf([{ id: '1', title: 'Disk full', severity: 'SEV2', status: 'open' }]) },
+    },
+  });
+  t.after(() => window.close());
+
+  document.getElementById('username').value = 'amy';
+  document.getElementById('password').value = 'Responder-password-1';
+  document.getElementById('login-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+
+  const login = requests.find((request) => request.url === '/api/login');
+  assert.deepStrictEqual(JSON.parse(login.init.body), { username: 'amy', password: 'Responder-password-1' });
+  assert.ok(document.getElementById('auth-section').classList.contains('hidden'));
+  assert.ok(!document.getElementById('app-section').classList.contains('hidden'));
+  assert.match(document.getElementById('incidents-list').textContent, /Disk full/);
+  assert.strictEqual(document.getElementById('page-info').textContent, 'Page 1 of 1 (1 incidents)');
+});
+
+test('a rejected login keeps the form and shows the reason', async () => {
+  const { window, document } = loadDashboard({
+    routes: { 'POST /api/login': { status: 401, body: { error: 'Invalid username or password', code: 'LOGIN_FAILED' } } },
+  });
+  document.getElementById('username').value = 'amy';
+  document.getElementById('password').value = 'wrong';
+  document.getElementById('login-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+
+  assert.ok(!document.getElementById('auth-section').classList.contains('hidden'));
+  assert.strictEqual(document.getElementById('login-message').textContent, 'Invalid username or password');
+});
+
+test('creating an incident posts the form and reloads the list', async () => {
+  const routes = {
+    'POST /api/incidents': { status: 201, body: { id: '2', title: 'CPU spike', status: 'open' } },
+    'GET /api/incidents': { status: 200, body: listOf([]) },
+  };
+  const { window, document, requests, run } = loadDashboard({ routes });
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:create'], csrfToken: 't' });
+
+  document.getElementById('new-title').value = 'CPU spike';
+  document.getElementById('create-incident-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+
+  const post = requests.find((request) => request.init.method === 'POST');
+  assert.strictEqual(JSON.parse(post.init.body).title, 'CPU spike');
+  assert.strictEqual(document.getElementById('create-message').textContent, 'Incident created successfully');
+  assert.strictEqual(document.getElementById('new-title').value, '');
+  assert.ok(requests.some((request) => request.url.startsWith('/api/incidents') && request.init.method === undefined));
+});
+
+test('field errors from the proxy are shown next to the fields', async () => {
+  const { window, document, run } = loadDashboard({
+    routes: {
+      'POST /api/incidents': {
+        status: 400,
+        body: { error: 'Request validation failed.', code: 'VALIDATION_FAILED', errors: [{ field: 'title', message: 'title is required' }] },
+      },
+    },
+  });
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:create'], csrfToken: 't' });
+  document.getElementById('create-incident-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+
+  assert.match(document.getElementById('create-incident-form').textContent, /title is required/);
+  assert.strictEqual(document.getElementById('new-title').getAttribute('aria-invalid'), 'true');
+});
+
+test('list failures are shown in place of the list and paging asks for the next page', async () => {
+  const routes = { 'GET /api/incidents': { status: 502, body: { error: 'Backend is unreachable', code: 'BACKEND_UNAVAILABLE' } } };
+  const { document, requests, run } = loadDashboard({ routes });
+
+  await run('fetchIncidents')();
+  assert.strictEqual(document.getElementById('incidents-list').textContent.trim(), 'Backend is unreachable');
+
+  routes['GET /api/incidents'] = { status: 200, body: listOf([{ id: '1', title: 'Disk full' }], { total: 45 }) };
+  await run('fetchIncidents')();
+  assert.strictEqual(document.getElementById('page-info').textContent, 'Page 1 of 3 (45 incidents)');
+  assert.ok(document.getElementById('page-prev').disabled);
+
+  document.getElementById('page-next').click();
+  await settle();
+  assert.match(requests.at(-1).url, /[?&]page=2\b/);
+});
+
+test('comment markdown is rendered without ever interpreting HTML', () => {
+  const { document, run } = loadDashboard();
+  const container = document.createElement('div');
+  container.appendChild(run('renderMarkdown')([
+    '<img src=x onerror="alert(1)"> **Failover** to `db-2`, see [runbook](https://wiki.example.com/db) or [this](javascript:alert(1))',
+    'keep snake_case_names as they are',
+    '',
+    '- restart *primary*',
+    '- check replicas',
+    '',
+    '```',
+    '<script>alert(1)</script>',
+    '```',
+  ].join('\n')));
+
+  assert.strictEqual(container.querySelector('img'), null);
+  assert.strictEqual(container.querySelector('script'), null);
+  assert.strictEqual(container.querySelector('strong').textContent, 'Failover');
+  assert.strictEqual(container.querySelector('p code').textContent, 'db-2');
+  const links = container.querySelectorAll('a');
+  assert.deepStrictEqual([...links].map((link) => link.href), ['https://wiki.example.com/db']);
+  assert.strictEqual(links[0].rel, 'noopener noreferrer nofollow');
+  assert.ok(container.textContent.includes('[this](javascript:alert(1))'));
+  assert.ok(container.textContent.includes('keep snake_case_names as they are'));
+  assert.strictEqual(container.querySelector('em').textContent, 'primary');
+  assert.strictEqual(container.querySelectorAll('ul li').length, 2);
+  assert.strictEqual(container.querySelector('pre').textContent, '<script>alert(1)</script>');
+});
+
+test('the detail view shows the comment thread and posts new comments', async () => {
+  const comments = [
+    { id: 'c1', author: 'bob', body: 'Paging **db team**', createdAt: '2026-10-01T10:00:00.000Z' },
+    { id: 'c2', author: 'amy', body: 'On it', createdAt: '2026-10-01T10:05:00.000Z' },
+  ];
+  const routes = {
+    'GET /api/incidents/7': { status: 200, body: { id: '7', title: 'Disk full' } },
+    'GET /api/incidents/7/history': { status: 200, body: { source: 'proxy', events: [] } },
+    'GET /api/incidents/7/comments': { status: 200, body: { source: 'proxy', comments } },
+    'POST /api/incidents/7/comments': { status: 201, body: { id: 'c3' } },
+  };
+  const { window, document, requests, run } = loadDashboard({ routes });
+  run('applySession')({ username: 'amy', roles: ['responder'], permissions: ['incident:comment'], csrfToken: 't' });
+  window.location.hash = '#/incidents/7';
+  await settle();
+
+  const items = document.querySelectorAll('#detail-comments li[data-comment-id]');
+  assert.strictEqual(items.length, 2);
+  assert.strictEqual(items[0].querySelector('strong').textContent, 'db team');
+  // Only your own comments can be deleted without comment:moderate
+  assert.deepStrictEqual([...items].map((item) => Boolean(item.querySelector('[data-action="delete-comment"]'))), [false, true]);
+  assert.ok(!document.getElementById('comment-form').classList.contains('hidden'));
+
+  document.getElementById('comment-body').value = 'Disk cleaned up';
+  document.getElementById('comment-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+  const post = requests.find((request) => request.method === 'POST');
+  assert.deepStrictEqual(JSON.parse(post.init.body), { body: 'Disk cleaned up' });
+  assert.strictEqual(document.getElementById('comment-body').value, '');
+  assert.strictEqual(requests.filter((request) => request.url === '/api/incidents/7/comments').length, 3);
+});
+
+test('the overview shows totals and charts and counts SLA timers down until they turn red', async (t) => {
+  const stats = {
+    total: 3,
+    unresolved: 2,
+    byType: [{ value: 'outage', count: 2 }, { value: null, count: 1 }],
+    byReporter: [{ value: 'amy', count: 3 }],
+    byResource: [{ value: null, count: 3 }],
+    escalation: { escalated: 1, notEscalated: 2, waiting: 1, longestWaitMs: 600000 },
+    ageBuckets: [{ bucket: 'lt1h', label: '< 1 hour', count: 2 }],
+    unknownAge: 0,
+    createdPerDay: [{ date: '2026-10-18', count: 1 }, { date: '2026-10-19', count: 2 }],
+    sla: {
+      breached: 1,
+      timers: [
+        { id: '1', title: 'Database down', type: 'outage', status: 'open', escalated: true, createdAt: '2026-10-19T10:00:00.000Z', remainingMs: -60000 },
+        { id: '2', title: 'Slow pages', type: 'outage', status: 'open', escalated: false, createdAt: '2026-10-19T11:30:00.000Z', remainingMs: 1500 },
+      ],
+    },
+  };
+  const { window, document, run } = loadDashboard({ routes: { 'GET /api/incidents/stats': { status: 200, body: stats } } });
+  t.after(() => window.close());
+  await run('loadStats')();
+
+  const totals = [...document.querySelectorAll('#summary-totals dd')].map((dd) => dd.textContent);
+  assert.deepStrictEqual(totals, ['3', '2', '1', '1']);
+  assert.strictEqual(document.querySelectorAll('#chart-created rect').length, 2);
+  assert.ok(document.getElementById('chart-type').textContent.includes('Unspecified'));
+  assert.strictEqual(document.querySelectorAll('#chart-type rect').length, 2);
+
+  const [overdue, running] = document.querySelectorAll('#sla-timers li');
+  assert.strictEqual(overdue.querySelector('a').getAttribute('href'), '#/incidents/1');
+  assert.ok(overdue.querySelector('.sla-countdown').classList.contains('text-red-600'));
+  assert.match(running.querySelector('.sla-countdown').textContent, /left$/);
+  assert.ok(!running.querySelector('.sla-countdown').classList.contains('text-red-600'));
+
+  // Counted down on the client, without asking the proxy again
+  await new Promise((resolve) => setTimeout(resolve, 2100));
+  assert.ok(running.querySelector('.sla-countdown').classList.contains('text-red-600'));
+  assert.match(running.querySelector('.sla-countdown').textContent, /^SLA breached/);
+});
+
+test('the language follows the user, formats dates for it and can be switched', () => {
+  const { window, document, run } = loadDashboard({ storage: { 'dashboard-locale:amy': 'de' } });
+  assert.strictEqual(document.documentElement.lang, 'en');
+
+  run('applySession')({ username: 'amy', roles: ['viewer'], permissions: [] });
+  assert.strictEqual(document.documentElement.lang, 'de');
+  assert.strictEqual(document.getElementById('locale-select').value, 'de');
+  assert.strictEqual(document.querySelector('#auth-section h2').textContent, 'Anmeldung');
+  assert.strictEqual(document.getElementById('filter-q').placeholder, 'Titel, Beschreibung, Melder...');
+
+  const at = '2026-10-19T08:30:00.000Z';
+  run('renderTimeline')([{ type: 'created', actor: 'amy', at }]);
+  const item = document.querySelector('#detail-timeline li');
+  assert.strictEqual(item.querySelector('p').textContent, 'amy hat den Incident angelegt');
+  assert.strictEqual(item.querySelector('time').textContent,
+    new Intl.DateTimeFormat('de', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(at)));
+
+  const select = document.getElementById('locale-select');
+  select.value = 'en';
+  select.dispatchEvent(new window.Event('change'));
+  assert.strictEqual(document.querySelector('#auth-section h2').textContent, 'Login');
+  assert.strictEqual(window.localStorage.getItem('dashboard-locale:amy'), 'en');
+  assert.strictEqual(window.localStorage.getItem('dashboard-locale'), 'en');
+});
+
+test('results of card actions are toasts in live regions, not alerts', async () => {
+  const routes = { 'POST /api/escalate/7': { status: 502, body: { error: 'Backend is unreachable' } } };
+  const { window, document, run } = loadDashboard({ routes });
+  const alerts = [];
+  window.alert = (message) => alerts.push(message);
+  run('displayIncidents')([{ id: '7', title: 'Disk full' }]);
+
+  document.querySelector('button[data-action="escalate"]').click();
+  await settle();
+  const error = document.querySelector('#toast-alert > div');
+  assert.strictEqual(document.getElementById('toast-alert').getAttribute('role'), 'alert');
+  assert.match(error.textContent, /Failed to escalate incident: Backend is unreachable/);
+
+  routes['POST /api/escalate/7'] = { status: 200, body: { id: '7', escalated: true } };
+  document.querySelector('button[data-action="escalate"]').click();
+  await settle();
+  assert.match(document.getElementById('toast-status').textContent, /Incident 7 escalated successfully!/);
+
+  error.querySelector('button[aria-label="Dismiss"]').click();
+  assert.strictEqual(document.querySelectorAll('#toast-alert > div').length, 0);
+  assert.deepStrictEqual(alerts, []);
+});
+
+test('dialogs take the focus, keep Tab inside, close on Escape and give the focus back', async () => {
+  const routes = { 'GET /api/incidents/7': { status: 200, body: { id: '7', title: 'Disk full', status: 'open' } } };
+  const { window, document, requests, run } = loadDashboard({ routes });
+  run('displayIncidents')([{ id: '7', title: 'Disk full' }]);
+  const press = (key, shiftKey = false) => document.activeElement.dispatchEvent(
+    new window.KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true }),
+  );
+
+  const deleteButton = document.querySelector('button[data-action="delete"]');
+  deleteButton.focus();
+  deleteButton.click();
+  const dialog = document.querySelector('#confirm-modal [role="alertdialog"]');
+  assert.strictEqual(dialog.getAttribute('aria-modal'), 'true');
+  assert.strictEqual(document.activeElement.id, 'confirm-cancel');
+  assert.ok(document.getElementById('app-section').hasAttribute('inert'));
+
+  press('Tab', true);
+  assert.strictEqual(document.activeElement.id, 'confirm-delete');
+  press('Tab');
+  assert.strictEqual(document.activeElement.id, 'confirm-cancel');
+
+  press('Escape');
+  assert.ok(document.getElementById('confirm-modal').classList.contains('hidden'));
+  assert.strictEqual(document.activeElement, deleteButton);
+  assert.ok(!document.getElementById('app-section').hasAttribute('inert'));
+  assert.ok(!requests.some((request) => request.method === 'DELETE'));
+
+  const editButton = document.querySelector('button[data-action="edit"]');
+  editButton.focus();
+  editButton.click();
+  await settle();
+  assert.strictEqual(document.activeElement.id, 'edit-title');
+  press('Escape');
+  assert.ok(document.getElementById('edit-modal').classList.contains('hidden'));
+  assert.strictEqual(document.activeElement, editButton);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createReadinessProbe, backendCheck } = require('../lib/health');
+const { BackendError } = require('../lib/proxy');
+const { createSessionTracker } = require('../lib/sessionTracker');
+
+function fakeClock(start = 1000000) {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+test('the readiness probe is cached and shared by concurrent callers', async () => {
+  const clock = fakeClock();
+  let checks = 0;
+  const readiness = createReadinessProbe({
+    cacheMs: 5000,
+    now: clock.now,
+    check: async () => {
+      checks += 1;
+      return { ready: checks === 1 };
+    },
+  });
+
+  const [first, second] = await Promise.all([readiness.probe(), readiness.probe()]);
+  assert.strictEqual(checks, 1);
+  assert.strictEqual(first, second);
+  assert.strictEqual(first.ready, true);
+
+  clock.advance(4999);
+  assert.strictEqual((await readiness.probe()).ready, true);
+  clock.advance(1);
+  assert.strictEqual((await readiness.probe()).ready, false);
+  assert.strictEqual(checks, 2);
+});
+
+test('the backend is ready on any answer below 500', async () => {
+  const answering = (status) => ({ request: async () => ({ status }) });
+  assert.deepStrictEqual(await backendCheck(answering(404))(), { ready: true, backendStatus: 404 });
+  assert.deepStrictEqual(await backendCheck(answering(503))(), { ready: false, backendStatus: 503 });
+
+  const down = { request: async () => { throw new BackendError('Backend is unreachable', 'BACKEND_UNAVAILABLE'); } };
+  assert.deepStrictEqual(await backendCheck(down)(), { ready: false, error: 'BACKEND_UNAVAILABLE' });
+});
+
+test('sessions count until their token expires or they are ended', () => {
+  const clock = fakeClock(Date.UTC(2024, 0, 1));
+  const tokenFor = (claims) => `x.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.y`;
+  const sessions = createSessionTracker({ fallbackTtlMs: 60000, now: clock.now });
+  const expiring = tokenFor({ sub: 'amy', exp: clock.now() / 1000 + 30 });
+  const unlimited = tokenFor({ sub: 'bob' });
+
+  sessions.touch(expiring);
+  sessions.touch(unlimited);
+  sessions.touch(unlimited);
+  assert.strictEqual(sessions.count(), 2);
+
+  clock.advance(30000);
+  assert.strictEqual(sessions.count(), 1);
+  sessions.end(unlimited);
+  assert.strictEqual(sessions.count(), 0);
+});
+
+test('the session count is capped, forgetting the least recently touched first', () => {
+  const clock = fakeClock(Date.UTC(2024, 0, 1));
+  const sessions = createSessionTracker({ fallbackTtlMs: 60000, maxSessions: 2, now: clock.now });
+  sessions.touch('a');
+  sessions.touch('b');
+  sessions.touch('a');
+  sessions.touch('c');
+  assert.strictEqual(sessions.count(), 2);
+  // 'b' was dropped, so ending it changes nothing
+  sessions.end('b');
+  assert.strictEqual(sessions.count(), 2);
+  sessions.end('a');
+  sessions.end('c');
+  assert.strictEqual(sessions.count(), 0);
+});
@@ -0,0 +1,44 @@
+// Checks the dashboard's message catalogs (public/i18n.js) against each other
+// and against the keys index.html and script.js use
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const read = (file) => fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8');
+const { MESSAGES, t, setLocaleOnly } = vm.runInNewContext(
+  `${read('i18n.js')}\n({ MESSAGES, t, setLocaleOnly: (locale) => { currentLocale = locale; } })`,
+);
+
+test('every catalog has the same keys and placeholders as English', () => {
+  const placeholders = (message) => JSON.stringify(Object.values(typeof message === 'object' ? message : { other: message })
+    .map((text) => (text.match(/\{\w+\}/g) || []).sort()));
+  Object.entries(MESSAGES).forEach(([locale, catalog]) => {
+    assert.deepStrictEqual(Object.keys(catalog).sort(), Object.keys(MESSAGES.en).sort(), `keys of ${locale}`);
+    Object.entries(catalog).forEach(([key, message]) => {
+      assert.strictEqual(placeholders(message), placeholders(MESSAGES.en[key]), `placeholders of ${locale} ${key}`);
+    });
+  });
+});
+
+test('the page and the script only use keys the catalog has', () => {
+  const html = read('index.html');
+  const used = [
+    ...[...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map((match) => match[1]),
+    ...[...read('script.js').matchAll(/\bt\('([^']+)'/g)].map((match) => match[1]),
+  ];
+  assert.ok(used.length > 100);
+  assert.deepStrictEqual(used.filter((key) => !(key in MESSAGES.en)), []);
+});
+
+test('messages fill placeholders, pick plural forms and fall back to English', () => {
+  setLocaleOnly('de');
+  assert.strictEqual(t('bulk.confirmDelete', { count: 1 }), 'Möchten Sie 1 Incident wirklich löschen?');
+  assert.strictEqual(t('bulk.confirmDelete', { count: 3 }), 'Möchten Sie 3 Incidents wirklich löschen?');
+  assert.strictEqual(t('pager.info', { page: 2 }), 'Seite 2 von {pages} ({total} Incidents)');
+  assert.strictEqual(t('no.such.key'), 'no.such.key');
+  setLocaleOnly('en');
+  assert.strictEqual(t('outbox.waiting', { count: 2 }), '2 changes waiting to be sent');
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createIncidentEvents } = require('../lib/incidentEvents');
+const { createLogger } = require('../lib/logger');
+
+// Stand-in for an SSE response
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.output = '';
+  res.ended = false;
+  res.writeHead = () => {};
+  res.write = (chunk) => { res.output += chunk; };
+  res.end = () => {
+    res.ended = true;
+    res.emit('close');
+  };
+  return res;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('every client\'s session is checked on each poll, not just the first one\'s', async (t) => {
+  const lists = [];
+  const backend = {
+    async request(method, path, options) {
+      lists.push(options.token);
+      return { status: 200, ok: true, isJson: true, data: [] };
+    },
+  };
+  const rejected = new Set(['forged']);
+  const events = createIncidentEvents({
+    backend,
+    pollIntervalMs: 20,
+    checkSession: async (token) => (rejected.has(token) ? { status: 401, ok: false } : null),
+    logger: createLogger({ level: 'silent' }),
+  });
+  t.after(() => events.close());
+  const genuine = fakeResponse();
+  const forged = fakeResponse();
+  events.subscribe(genuine, { token: 'genuine' });
+  events.subscribe(forged, { token: 'forged' });
+  await wait(50);
+
+  assert.ok(forged.ended);
+  assert.ok(!genuine.ended);
+  assert.ok(lists.length > 1 && lists.every((token) => token === 'genuine'));
+
+  events.publish('created', '1', { id: '1', title: 'Disk full' });
+  await wait(0);
+  assert.match(genuine.output, /event: created/);
+  assert.doesNotMatch(forged.output, /event: created/);
+});
+
+test('polling walks every page of a paginated backend before diffing', async (t) => {
+  const stored = Array.from({ length: 250 }, (_, index) => ({ id: String(index + 1), title: `Incident ${index + 1}` }));
+  const pagesAsked = [];
+  const backend = {
+    async request(method, path, { query }) {
+      pagesAsked.push(query.page);
+      const start = (query.page - 1) * query.pageSize;
+      const items = stored.slice(start, start + query.pageSize);
+      return { status: 200, ok: true, isJson: true, data: { items, total: stored.length, page: query.page, pageSize: query.pageSize } };
+    },
+  };
+  const events = createIncidentEvents({ backend, pollIntervalMs: 20, logger: createLogger({ level: 'silent' }) });
+  t.after(() => events.close());
+  const res = fakeResponse();
+  events.subscribe(res, { token: 'genuine' });
+  await wait(10);
+  assert.deepStrictEqual(pagesAsked.slice(0, 3), [1, 2, 3]);
+
+  stored[240] = { ...stored[240], title: 'Changed elsewhere' };
+  await wait(50);
+  assert.match(res.output, /event: updated\ndata: \{"id":"241"/);
+  assert.doesNotMatch(res.output, /event: deleted/);
+});
+
+test('changes published by the proxy are not announced again by the next poll', async (t) => {
+  const backend = {
+    async request() {
+      return { status: 200, ok: true, isJson: true, data: [{ id: '1', title: 'Disk full on db-1', status: 'open' }] };
+    },
+  };
+  const events = createIncidentEvents({ backend, pollIntervalMs: 20, logger: createLogger({ level: 'silent' }) });
+  t.after(() => events.close());
+  const res = fakeResponse();
+  events.subscribe(res, { token: 'genuine' });
+  await wait(10);
+
+  // The single-incident answer has more fields, and in another order, than the list item
+  events.publish('updated', '1', { status: 'open', id: '1', title: 'Disk full on db-1', description: 'Replica lagging', version: 4 });
+  await wait(70);
+  assert.strictEqual(res.output.match(/event: updated/g).length, 1);
+});
+
+test('events only reach clients whose session may read the incident', async (t) => {
+  const backend = { async request() { return { status: 200, ok: true, isJson: true, data: [] }; } };
+  const events = createIncidentEvents({
+    backend,
+    pollIntervalMs: 1000,
+    canRead: async (token, incidentId) => token === 'amy' || incidentId !== '7',
+    logger: createLogger({ level: 'silent' }),
+  });
+  t.after(() => events.close());
+  const amy = fakeResponse();
+  const vic = fakeResponse();
+  events.subscribe(amy, { token: 'amy' });
+  events.subscribe(vic, { token: 'vic' });
+
+  events.publish('created', '8', { id: '8', title: 'Disk full' });
+  events.publish('created', '7', { id: '7', title: 'Breach' });
+  await wait(10);
+  assert.match(amy.output, /"id":"7"/);
+  assert.doesNotMatch(vic.output, /"id":"7"/);
+  assert.match(vic.output, /"id":"8"/);
+
+  // Deletions carry no incident, so everyone hears of them
+  events.publish('deleted', '7');
+  await wait(10);
+  assert.match(vic.output, /event: deleted\ndata: \{"id":"7"/);
+
+  // Replays on reconnect are filtered the same way
+  const replayed = fakeResponse();
+  events.subscribe(replayed, { token: 'vic', lastSeenId: '1' });
+  await wait(10);
+  assert.doesNotMatch(replayed.output, /event: created/);
+  assert.match(replayed.output, /event: deleted/);
+});
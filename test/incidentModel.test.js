@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STATUSES, STATUS_TRANSITIONS, currentStatus, canTransition } = require('../lib/incidentModel');
+
+test('the lifecycle moves forward, resolved can be reopened and closed is final', () => {
+  assert.ok(canTransition('open', 'acknowledged'));
+  assert.ok(canTransition('open', 'resolved'));
+  assert.ok(canTransition('acknowledged', 'investigating'));
+  assert.ok(canTransition('investigating', 'resolved'));
+  assert.ok(canTransition('resolved', 'investigating'));
+  assert.ok(canTransition('resolved', 'closed'));
+
+  assert.ok(!canTransition('open', 'closed'));
+  assert.ok(!canTransition('investigating', 'acknowledged'));
+  assert.ok(!canTransition('resolved', 'open'));
+  STATUSES.filter((status) => status !== 'closed').forEach((status) => {
+    assert.ok(!canTransition('closed', status), `closed -> ${status}`);
+  });
+});
+
+test('keeping the status is always allowed, unknown statuses never move', () => {
+  STATUSES.forEach((status) => assert.ok(canTransition(status, status)));
+  assert.ok(!canTransition('archived', 'open'));
+  assert.ok(!canTransition('open', 'archived'));
+  // Every target in the table is a known status
+  Object.values(STATUS_TRANSITIONS).flat().forEach((status) => assert.ok(STATUSES.includes(status)));
+});
+
+test('incidents without a known status count as open', () => {
+  assert.strictEqual(currentStatus({ status: 'resolved' }), 'resolved');
+  assert.strictEqual(currentStatus({ status: 'weird' }), 'open');
+  assert.strictEqual(currentStatus({}), 'open');
+  assert.strictEqual(currentStatus(null), 'open');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseListQuery, applyListQuery, toListResponse } = require('../lib/incidentQuery');
+
+test('unknown sort fields, orders and bad paging fall back to the defaults', () => {
+  assert.deepStrictEqual(parseListQuery({}), {
+    q: '', type: '', reporter: '', resource_id: '', sort: '', order: 'asc', page: 1, pageSize: 20,
+  });
+  const parsed = parseListQuery({ sort: 'password', order: 'sideways', page: '-3', pageSize: 'lots' });
+  assert.deepStrictEqual([parsed.sort, parsed.order, parsed.page, parsed.pageSize], ['', 'asc', 1, 20]);
+  assert.deepStrictEqual([parseListQuery({ page: '0' }).page, parseListQuery({ page: '2.9' }).page], [1, 2]);
+});
+
+test('page sizes are capped and repeated or padded parameters are reduced to one value', () => {
+  assert.strictEqual(parseListQuery({ pageSize: '100000' }).pageSize, 100);
+  assert.strictEqual(parseListQuery({ pageSize: '100' }).pageSize, 100);
+  const parsed = parseListQuery({ q: ['  disk ', 'cpu'], sort: ['title', 'id'], order: 'desc', type: { $ne: '' } });
+  assert.deepStrictEqual([parsed.q, parsed.sort, parsed.order, parsed.type], ['disk', 'title', 'desc', '']);
+});
+
+test('a plain array is filtered, searched, sorted naturally and paged', () => {
+  const incidents = [
+    { id: '10', title: 'Disk full', type: 'outage', reporter: 'Amy' },
+    { id: '9', title: 'disk slow', type: 'degradation', reporter: 'bob', description: 'db-1' },
+    { id: '2', title: 'CPU spike', type: 'outage', reporter: 'amy' },
+  ];
+  const list = applyListQuery(incidents, parseListQuery({ reporter: 'AMY', sort: 'id', order: 'desc' }));
+  assert.deepStrictEqual(list.items.map((incident) => incident.id), ['10', '2']);
+  assert.strictEqual(list.total, 2);
+  assert.deepStrictEqual(list.facets, { types: ['degradation', 'outage'], reporters: ['amy', 'Amy', 'bob'] });
+
+  assert.deepStrictEqual(applyListQuery(incidents, parseListQuery({ q: 'DB-1' })).items.map((incident) => incident.id), ['9']);
+  const secondPage = applyListQuery(incidents, parseListQuery({ sort: 'id', pageSize: '2', page: '2' }));
+  assert.deepStrictEqual([secondPage.items.map((incident) => incident.id), secondPage.total, secondPage.page], [['10'], 3, 2]);
+});
+
+test('backend answers are normalized, and unknown shapes rejected', () => {
+  const options = parseListQuery({ page: '2', pageSize: '5' });
+  assert.deepStrictEqual(toListResponse({ items: [{ id: '1' }], total: 6 }, options), {
+    items: [{ id: '1' }], total: 6, page: 2, pageSize: 5, facets: { types: [], reporters: [] },
+  });
+  assert.strictEqual(toListResponse({ items: [], total: 'many', page: 'x' }, options).total, 0);
+  assert.strictEqual(toListResponse({ incidents: [] }, options), null);
+  assert.strictEqual(toListResponse('nope', options), null);
+});
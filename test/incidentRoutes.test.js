@@ -0,0 +1,345 @@
+// Route tests for the incident API, against the mock backend
+const test = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./support/proxyApp');
+
+let proxy;
+test.before(async () => {
+  proxy = await startProxy();
+});
+test.after(() => proxy.stop());
+test.beforeEach(() => proxy.backend.reset());
+
+const newIncident = { title: 'Database unreachable', type: 'outage', reporter: 'amy', description: 'Primary is down' };
+
+test('the list is filtered, sorted and paged when the backend sends a plain array', async () => {
+  ['Disk full', 'CPU spike', 'Disk slow'].forEach((title) => proxy.backend.addIncident({ title }));
+  const client = await proxy.session('amy');
+  const response = await client.get('/api/incidents?q=disk&sort=title&order=desc&pageSize=1');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.data.items.map((incident) => incident.title), ['Disk slow']);
+  assert.strictEqual(response.data.total, 2);
+  assert.deepStrictEqual(proxy.backend.requests.at(-1).query.q, 'disk');
+});
+
+test('list failures are mapped onto the error envelope', async () => {
+  const client = await proxy.session('amy');
+  const cases = [
+    [{ status: 500, body: { error: 'boom' } }, 502, 'BACKEND_ERROR'],
+    [{ status: 200, text: '<html>proxy error</html>' }, 502, 'BACKEND_INVALID_RESPONSE'],
+    [{ status: 200, body: { unexpected: true } }, 502, 'BACKEND_INVALID_RESPONSE'],
+    [{ status: 403, body: { error: 'nope' } }, 403, 'SESSION_EXPIRED'],
+  ];
+  for (const [backendAnswer, status, code] of cases) {
+    const session = await proxy.session('amy');
+    proxy.backend.failNext('GET /api/incidents', backendAnswer);
+    const response = await session.get('/api/incidents');
+    assert.deepStrictEqual([response.status, response.data.code], [status, code], JSON.stringify(backendAnswer));
+  }
+
+  proxy.backend.failNext('GET /api/incidents', { status: 200, body: [], delayMs: 1500 });
+  const slow = await client.get('/api/incidents');
+  assert.deepStrictEqual([slow.status, slow.data.code], [504, 'BACKEND_TIMEOUT']);
+});
+
+test('a single incident comes with its version; unknown ids are relayed', async () => {
+  const incident = proxy.backend.addIncident({ title: 'Disk full' });
+  const client = await proxy.session('vic', ['viewer']);
+  const response = await client.get(`/api/incidents/${incident.id}`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data.title, 'Disk full');
+  assert.match(response.headers.get('etag'), /^"[\w-]+"$/);
+
+  const missing = await client.get('/api/incidents/999');
+  assert.deepStrictEqual([missing.status, missing.data.code, missing.data.error], [404, 'BACKEND_ERROR', 'Incident not found']);
+});
+
+test('creating validates the body, starts the incident as open and records history', async () => {
+  const client = await proxy.session('amy');
+  const invalid = await client.post('/api/incidents', { title: '' });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.data.code, 'VALIDATION_FAILED');
+
+  const created = await client.post('/api/incidents', newIncident);
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.data.status, 'open');
+  assert.strictEqual(proxy.backend.getIncident(created.data.id).status, 'open');
+
+  // The first history request: BACKEND_HISTORY is auto, and a JSON 404 for an
+  // incident the backend has is not taken as an empty backend history
+  proxy.backend.failNext(`GET /api/incidents/${created.data.id}/history`, { status: 404, body: { error: 'Not found' } });
+  const history = await client.get(`/api/incidents/${created.data.id}/history`);
+  assert.strictEqual(history.data.source, 'proxy');
+  assert.deepStrictEqual(history.data.events.map((event) => [event.type, event.actor]), [['created', 'amy']]);
+  const asked = proxy.backend.requests.length;
+  await client.get(`/api/incidents/${created.data.id}/history`);
+  assert.ok(!proxy.backend.requests.slice(asked).some((request) => request.path.endsWith('/history')), 'settled, not asked again');
+
+  // The timeline is the proxy's own, so only tokens the backend accepts may read it
+  const garbage = proxy.client();
+  garbage.cookies.set('jwtToken', 'garbage');
+  const forged = await proxy.forgedSession('amy', ['responder']);
+  for (const other of [garbage, forged]) {
+    const denied = await other.get(`/api/incidents/${created.data.id}/history`);
+    assert.deepStrictEqual([denied.status, denied.data.code], [401, 'SESSION_EXPIRED']);
+  }
+});
+
+test('state-changing routes need the CSRF token and the permission', async () => {
+  const responder = await proxy.session('amy');
+  responder.setCsrfToken(null);
+  const withoutToken = await responder.post('/api/incidents', newIncident);
+  assert.strictEqual(withoutToken.status, 403);
+  assert.strictEqual(withoutToken.data.code, 'CSRF_INVALID');
+
+  const viewer = await proxy.session('vic', ['viewer']);
+  const denied = await viewer.post('/api/incidents', newIncident);
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.data.code, 'FORBIDDEN');
+  assert.ok(!proxy.backend.requests.some((request) => request.method === 'POST'));
+});
+
+test('updates need a matching If-Match and a valid status change', async () => {
+  const incident = proxy.backend.addIncident({ title: 'Disk full' });
+  const client = await proxy.session('amy');
+  const path = `/api/incidents/${incident.id}`;
+  const { headers } = await client.get(path);
+  const etag = headers.get('etag');
+
+  const unconditional = await client.put(path, { title: 'Disk full on db-1' });
+  assert.deepStrictEqual([unconditional.status, unconditional.data.code], [428, 'PRECONDITION_REQUIRED']);
+
+  const skipped = await client.put(path, { status: 'closed' }, { headers: { 'If-Match': etag } });
+  assert.deepStrictEqual([skipped.status, skipped.data.code], [409, 'INVALID_STATUS_TRANSITION']);
+
+  const saved = await client.put(path, { title: 'Disk full on db-1' }, { headers: { 'If-Match': etag } });
+  assert.strictEqual(saved.status, 200);
+  // The backend replaces the record on PUT, so the untouched fields must be sent along
+  assert.deepStrictEqual([saved.data.type, saved.data.reporter, saved.data.status], ['outage', 'amy', 'open']);
+  assert.notStrictEqual(saved.headers.get('etag'), etag);
+
+  const stale = await client.put(path, { title: 'Disk full on db-2' }, { headers: { 'If-Match': etag } });
+  assert.deepStrictEqual([stale.status, stale.data.code], [409, 'VERSION_CONFLICT']);
+  assert.strictEqual(stale.data.current.title, 'Disk full on db-1');
+  assert.strictEqual(stale.data.version, saved.headers.get('etag'));
+
+  const history = await client.get(`${path}/history`);
+  assert.deepStrictEqual(history.data.events.at(-1).changes, [{ field: 'title', from: 'Disk full', to: 'Disk full on db-1' }]);
+});
+
+test('deleting and escalating are proxied and recorded', async () => {
+  const incident = proxy.backend.addIncident();
+  const client = await proxy.session('admin', ['admin']);
+
+  const escalated = await client.post(`/api/escalate/${incident.id}`);
+  assert.strictEqual(escalated.status, 200);
+  assert.strictEqual(escalated.data.escalated, true);
+
+  const deleted = await client.delete(`/api/incidents/${incident.id}`);
+  assert.deepStrictEqual([deleted.status, deleted.data], [200, {}]);
+  assert.strictEqual(proxy.backend.getIncident(incident.id), undefined);
+
+  const history = await client.get(`/api/incidents/${incident.id}/history`);
+  assert.deepStrictEqual(history.data.events.map((event) => event.type), ['escalated', 'deleted']);
+
+  const responder = await proxy.session('amy');
+  const denied = await responder.delete(`/api/incidents/${incident.id}`);
+  assert.strictEqual(denied.status, 403);
+});
+
+test('backend outages surface as 502/504 on writes', async () => {
+  const client = await proxy.session('amy');
+  proxy.backend.failNext('POST /api/incidents', { status: 503, body: { error: 'maintenance' } });
+  const failed = await client.post('/api/incidents', newIncident);
+  assert.deepStrictEqual([failed.status, failed.data.code, failed.data.backendStatus], [502, 'BACKEND_ERROR', 503]);
+
+  proxy.backend.failNext('POST /api/incidents', { status: 201, text: 'Created' });
+  const garbled = await client.post('/api/incidents', newIncident);
+  assert.deepStrictEqual([garbled.status, garbled.data.code], [502, 'BACKEND_INVALID_RESPONSE']);
+});
+
+test('bulk actions report per incident', async () => {
+  const first = proxy.backend.addIncident();
+  const client = await proxy.session('amy');
+  const response = await client.post('/api/incidents/bulk', { action: 'escalate', ids: [first.id, '404'] });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual([response.data.succeeded, response.data.failed], [1, 1]);
+  assert.deepStrictEqual(response.data.results.map((result) => [result.id, result.ok]), [[first.id, true], ['404', false]]);
+
+  const denied = await client.post('/api/incidents/bulk', { action: 'delete', ids: [first.id] });
+  assert.strictEqual(denied.status, 403);
+});
+
+test('bulk edits send the whole record with the version it was loaded at', async () => {
+  const incident = proxy.backend.addIncident({ title: 'Disk full', description: 'db-1 at 100%', severity: 'SEV3' });
+  const client = await proxy.session('amy');
+  const edit = { action: 'update', ids: [incident.id], changes: { severity: 'SEV1' } };
+
+  const response = await client.post('/api/incidents/bulk', edit);
+  assert.strictEqual(response.data.succeeded, 1);
+  const stored = proxy.backend.getIncident(incident.id);
+  assert.deepStrictEqual([stored.title, stored.description, stored.severity], ['Disk full', 'db-1 at 100%', 'SEV1']);
+
+  // A backend with its own ETags gets the loaded version and may refuse a stale write
+  proxy.backend.failNext(`GET /api/incidents/${incident.id}`, { status: 200, body: stored, headers: { ETag: '"rev-7"' } });
+  proxy.backend.failNext(`PUT /api/incidents/${incident.id}`, { status: 412, body: { error: 'Precondition failed' } });
+  const conflict = await client.post('/api/incidents/bulk', { ...edit, changes: { severity: 'SEV2' } });
+  assert.deepStrictEqual([conflict.data.results[0].status, conflict.data.results[0].code], [409, 'VERSION_CONFLICT']);
+  assert.strictEqual(proxy.backend.requests.at(-1).headers['if-match'], '"rev-7"');
+});
+
+test('export streams CSV and JSON of the matching incidents', async () => {
+  proxy.backend.addIncident({ title: '=cmd()' });
+  proxy.backend.addIncident({ title: 'Disk full' });
+  const client = await proxy.session('vic', ['viewer']);
+
+  const csv = await client.get('/api/incidents/export?format=csv&q=cmd');
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename="incidents-.*\.csv"/);
+  const lines = csv.text.replace(/^\ufeff/, '').trim().split('\r\n');
+  assert.strictEqual(lines.length, 2);
+  assert.ok(lines[1].includes("'=cmd()"));
+
+  const json = await client.get('/api/incidents/export?format=json');
+  assert.deepStrictEqual(JSON.parse(json.text).map((incident) => incident.title), ['=cmd()', 'Disk full']);
+
+  const invalid = await client.get('/api/incidents/export?format=xml');
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('import previews with dryRun and creates the valid rows', async () => {
+  const client = await proxy.session('amy');
+  const csv = 'title,type,reporter\r\nDisk full,outage,amy\r\n,outage,amy\r\n';
+  const headers = { 'Content-Type': 'text/csv' };
+
+  const preview = await client.post('/api/incidents/import?dryRun=true', csv, { headers });
+  assert.deepStrictEqual([preview.data.valid, preview.data.invalid, preview.data.created], [1, 1, 0]);
+  assert.ok(!proxy.backend.requests.some((request) => request.method === 'POST'));
+
+  const imported = await client.post('/api/incidents/import', csv, { headers });
+  assert.deepStrictEqual(imported.data.rows.map((row) => row.result), ['created', 'invalid']);
+  assert.strictEqual(proxy.backend.getIncident(imported.data.rows[0].id).title, 'Disk full');
+});
+
+test('the live update stream sends changes made through the proxy', async () => {
+  const client = await proxy.session('amy');
+  const controller = new AbortController();
+  const response = await fetch(`${proxy.baseUrl}/api/incidents/stream`, {
+    headers: { Cookie: `jwtToken=${client.cookies.get('jwtToken')}` },
+    signal: controller.signal,
+  });
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = '';
+
+  await client.post('/api/incidents', newIncident);
+  while (!received.includes('event: created')) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    received += decoder.decode(value);
+  }
+  controller.abort();
+  assert.match(received, /event: created\ndata: .*"Database unreachable"/);
+
+  // A cookie the backend never issued does not get a stream
+  for (const token of ['garbage', proxy.backend.forgedTokenFor('amy')]) {
+    const rejected = await fetch(`${proxy.baseUrl}/api/incidents/stream`, { headers: { Cookie: `jwtToken=${token}` } });
+    assert.strictEqual(rejected.status, 401);
+    assert.strictEqual((await rejected.json()).code, 'SESSION_EXPIRED');
+  }
+});
+
+// Must run before any other comment request: BACKEND_COMMENTS is auto, and this settles it
+test('a 404 from the comment routes for an incident the backend has means the proxy keeps comments', async () => {
+  const incident = proxy.backend.addIncident();
+  const client = await proxy.session('amy');
+  const path = `/api/incidents/${incident.id}/comments`;
+
+  // An unknown incident decides nothing, whatever the 404 looks like
+  proxy.backend.failNext('GET /api/incidents/999/comments', { status: 404, body: { error: 'Not found' } });
+  assert.strictEqual((await client.get('/api/incidents/999/comments')).status, 404);
+
+  // A JSON 404 is not taken as an empty backend thread
+  proxy.backend.failNext(`GET ${path}`, { status: 404, body: { error: 'Not found' } });
+  const local = await client.get(path);
+  assert.deepStrictEqual(local.data, { source: 'proxy', comments: [] });
+
+  // Settled: the backend is not asked again
+  const asked = proxy.backend.requests.length;
+  assert.strictEqual((await client.get(path)).data.source, 'proxy');
+  assert.ok(!proxy.backend.requests.slice(asked).some((request) => request.path.endsWith('/comments')));
+});
+
+test('comments kept by the proxy take author and time from the session', async () => {
+  const incident = proxy.backend.addIncident();
+  const path = `/api/incidents/${incident.id}/comments`;
+  const amy = await proxy.session('amy');
+
+  const invalid = await amy.post(path, { body: ' ', author: 'mallory' });
+  assert.deepStrictEqual([invalid.status, invalid.data.code], [400, 'VALIDATION_FAILED']);
+
+  const created = await amy.post(path, { body: 'Failing over to **db-2**' });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.data.author, 'amy');
+  assert.ok(!Number.isNaN(Date.parse(created.data.createdAt)));
+
+  const viewer = await proxy.session('vic', ['viewer']);
+  const listed = await viewer.get(path);
+  assert.deepStrictEqual(listed.data.comments.map((comment) => [comment.author, comment.body]), [['amy', 'Failing over to **db-2**']]);
+  assert.strictEqual((await viewer.post(path, { body: 'me too' })).status, 403);
+
+  const unknown = await amy.post('/api/incidents/999/comments', { body: 'Hello?' });
+  assert.strictEqual(unknown.status, 404);
+
+  const other = await proxy.session('bob', ['responder']);
+  const denied = await other.delete(`${path}/${created.data.id}`);
+  assert.deepStrictEqual([denied.status, denied.data.code], [403, 'FORBIDDEN']);
+  assert.strictEqual((await amy.delete(`${path}/${created.data.id}`)).status, 200);
+  assert.strictEqual((await amy.delete(`${path}/${created.data.id}`)).data.code, 'COMMENT_NOT_FOUND');
+
+  const moderated = await amy.post(path, { body: 'Oops, wrong incident' });
+  const admin = await proxy.session('admin', ['admin']);
+  assert.strictEqual((await admin.delete(`${path}/${moderated.data.id}`)).status, 200);
+  assert.deepStrictEqual((await admin.get(path)).data.comments, []);
+});
+
+test('comments kept by the proxy are not served to tokens the backend did not issue', async () => {
+  const incident = proxy.backend.addIncident();
+  const path = `/api/incidents/${incident.id}/comments`;
+  const amy = await proxy.session('amy');
+  const created = await amy.post(path, { body: 'Internal: customer is Acme' });
+
+  const garbage = proxy.client();
+  garbage.cookies.set('jwtToken', 'garbage');
+  const forged = await proxy.forgedSession('mallory', ['admin']);
+  for (const client of [garbage, forged]) {
+    const listed = await client.get(path);
+    assert.deepStrictEqual([listed.status, listed.data.code], [401, 'SESSION_EXPIRED']);
+    assert.ok(!listed.text.includes('Acme'));
+  }
+  // The 401 cleared the cookie, so forge it again
+  const deleted = await (await proxy.forgedSession('mallory', ['admin'])).delete(`${path}/${created.data.id}`);
+  assert.deepStrictEqual([deleted.status, deleted.data.code], [401, 'SESSION_EXPIRED']);
+  assert.strictEqual((await amy.get(path)).data.comments.length, 1);
+});
+
+test('stats summarise the incidents, with times from the history the proxy recorded', async () => {
+  proxy.backend.addIncident({ title: 'Created elsewhere', type: 'security', reporter: 'bob' });
+  const amy = await proxy.session('amy');
+  const created = await amy.post('/api/incidents', newIncident);
+  assert.strictEqual((await amy.post(`/api/escalate/${created.data.id}`)).status, 200);
+
+  const response = await amy.get('/api/incidents/stats?days=3');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual([response.data.total, response.data.unresolved, response.data.unknownAge], [2, 2, 1]);
+  assert.deepStrictEqual(response.data.byType.map(({ value }) => value).sort(), ['outage', 'security']);
+  assert.strictEqual(response.data.createdPerDay.length, 3);
+  assert.strictEqual(response.data.escalation.waiting, 1);
+
+  // Only the incident created through the proxy has a known start, so only it has a timer
+  const [timer] = response.data.sla.timers;
+  assert.strictEqual(response.data.sla.timers.length, 1);
+  assert.strictEqual(timer.id, created.data.id);
+  assert.ok(timer.escalated && !timer.breached);
+  assert.ok(timer.remainingMs > 59 * 60 * 1000 && timer.remainingMs <= 60 * 60 * 1000);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarize, createdAtOf } = require('../lib/incidentStats');
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+test('creation time comes from the incident or else from the recorded history', () => {
+  assert.strictEqual(createdAtOf({ created_at: '2026-10-19T10:00:00Z' }), Date.parse('2026-10-19T10:00:00Z'));
+  assert.strictEqual(createdAtOf({}, [{ type: 'updated', at: minutesAgo(5) }, { type: 'created', at: minutesAgo(30) }]), NOW - 30 * 60 * 1000);
+  assert.strictEqual(createdAtOf({ createdAt: 'not a date' }), null);
+});
+
+test('counts, age buckets, days and SLA timers are summarised', () => {
+  const incidents = [
+    { id: '1', title: 'Database down', type: 'outage', reporter: 'amy', resource_id: 'db-1', created_at: minutesAgo(90), escalated: true },
+    { id: '2', title: 'Slow pages', type: 'degradation', reporter: 'amy', created_at: minutesAgo(30) },
+    { id: '3', title: 'Old and done', type: 'outage', reporter: 'bob', status: 'resolved', created_at: minutesAgo(3 * 24 * 60) },
+    { id: '4', title: 'No timestamps', reporter: 'bob' },
+    { id: '5', title: 'Known from history', type: 'security' },
+  ];
+  const history = { 5: [{ type: 'created', at: minutesAgo(10) }, { type: 'escalated', at: minutesAgo(5) }] };
+  const stats = summarize(incidents, {
+    historyOf: (id) => history[id],
+    slaMinutes: { default: 1440, outage: 60, degradation: 240, security: 60 },
+    days: 7,
+    now: NOW,
+  });
+
+  assert.deepStrictEqual([stats.total, stats.unresolved], [5, 4]);
+  assert.deepStrictEqual(stats.byType.map(({ value, count }) => [value, count]), [['outage', 2], [null, 1], ['degradation', 1], ['security', 1]]);
+  assert.deepStrictEqual(stats.byReporter.slice(0, 2), [{ value: 'amy', count: 2 }, { value: 'bob', count: 2 }]);
+  assert.deepStrictEqual(stats.escalation, { escalated: 2, notEscalated: 3, waiting: 2, longestWaitMs: 5 * 60 * 1000 });
+  assert.deepStrictEqual(stats.ageBuckets.map((bucket) => bucket.count), [2, 1, 0, 0, 0]);
+  assert.strictEqual(stats.unknownAge, 1);
+  assert.strictEqual(stats.createdPerDay.length, 7);
+  assert.deepStrictEqual(stats.createdPerDay.at(-1), { date: '2026-10-19', count: 3 });
+  assert.deepStrictEqual(stats.createdPerDay.at(-4), { date: '2026-10-16', count: 1 });
+
+  // Resolved incidents and those without a start time have no timer
+  assert.deepStrictEqual(stats.sla.timers.map((timer) => [timer.id, timer.remainingMs / 60000, timer.breached]), [
+    ['1', -30, true],
+    ['5', 50, false],
+    ['2', 210, false],
+  ]);
+  assert.strictEqual(stats.sla.breached, 1);
+  assert.strictEqual(stats.sla.timers[1].escalatedAt, minutesAgo(5));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readImport, prepareImport, csvHeader, csvRow, ImportError, MAX_IMPORT_ROWS } = require('../lib/incidentTransfer');
+
+test('an exported CSV imports back into the create-form fields', () => {
+  const incident = { id: 7, title: 'Disk full', description: 'db-1, "primary"', severity: 'SEV2', status: 'open', assignee: '' };
+  const records = readImport(csvHeader() + csvRow(incident), 'csv');
+  assert.deepStrictEqual(records, [{ id: '7', title: 'Disk full', description: 'db-1, "primary"', severity: 'SEV2', status: 'open' }]);
+
+  const { rows, ignoredFields } = prepareImport(records);
+  assert.deepStrictEqual(ignoredFields, ['id', 'status']);
+  assert.deepStrictEqual(rows, [{
+    row: 1,
+    value: { title: 'Disk full', description: 'db-1, "primary"', severity: 'SEV2' },
+    errors: [],
+  }]);
+});
+
+test('rows are validated like the create form', () => {
+  const { rows } = prepareImport([{ title: '  ' }, { title: 'ok', severity: 'SEV9' }, 'nope', { title: 'x', assignee: null }]);
+  assert.deepStrictEqual(rows[0].errors, [{ field: 'title', message: 'title is required' }]);
+  assert.strictEqual(rows[1].errors[0].field, 'severity');
+  assert.strictEqual(rows[2].errors[0].message, 'Row must be an object');
+  assert.deepStrictEqual(rows[3], { row: 4, value: { title: 'x' }, errors: [] });
+});
+
+test('readImport accepts JSON arrays or { items } and rejects anything else', () => {
+  assert.deepStrictEqual(readImport([{ title: 'a' }], 'json'), [{ title: 'a' }]);
+  assert.deepStrictEqual(readImport({ items: [{ title: 'b' }] }, 'json'), [{ title: 'b' }]);
+  assert.throws(() => readImport({ title: 'a' }, 'json'), ImportError);
+  assert.throws(() => readImport('', 'csv'), /empty/);
+  assert.throws(() => readImport('title\n"open', 'csv'), /Invalid CSV/);
+  assert.throws(() => readImport(new Array(MAX_IMPORT_ROWS + 1).fill({}), 'json'), /Too many rows/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canonicalJson, computeVersion, versionOf, ifMatchSatisfied } = require('../lib/incidentVersion');
+
+const jsonResult = (data, headers = {}) => ({
+  ok: true,
+  status: 200,
+  isJson: true,
+  data,
+  headers: new Map(Object.entries(headers)),
+});
+
+test('the computed version ignores key order but not values', () => {
+  assert.strictEqual(canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] }), '{"a":[{"c":3,"d":2}],"b":1}');
+  assert.strictEqual(computeVersion({ id: 1, title: 'x' }), computeVersion({ title: 'x', id: 1 }));
+  assert.notStrictEqual(computeVersion({ id: 1, title: 'x' }), computeVersion({ id: 1, title: 'y' }));
+  assert.match(computeVersion({ id: 1 }), /^"[\w-]{27}"$/);
+});
+
+test('versionOf prefers the backend ETag, then its version field, then a hash', () => {
+  assert.deepStrictEqual(versionOf(jsonResult({ id: 1, version: 3 }, { etag: 'W/"x"' })), { etag: 'W/"x"', fromBackend: true });
+  assert.deepStrictEqual(versionOf(jsonResult({ id: 1, version: 3 })), { etag: '"v3"', fromBackend: false });
+  assert.deepStrictEqual(versionOf(jsonResult({ id: 1 })), { etag: computeVersion({ id: 1 }), fromBackend: false });
+  assert.strictEqual(versionOf({ ok: true, status: 200, isJson: false, text: '<html>' }), null);
+  assert.strictEqual(versionOf(jsonResult([{ id: 1 }])), null);
+});
+
+test('ifMatchSatisfied accepts *, lists and weak tags', () => {
+  assert.ok(ifMatchSatisfied('*', '"a"'));
+  assert.ok(ifMatchSatisfied('"b", "a"', '"a"'));
+  assert.ok(ifMatchSatisfied('W/"a"', '"a"'));
+  assert.ok(!ifMatchSatisfied('"b"', '"a"'));
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sessionFromToken, isExpired, actorFromToken } = require('../lib/jwt');
+
+// Unsigned tokens are enough: the proxy only reads claims
+const tokenWith = (claims) => `header.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`;
+
+test('sessionFromToken reads username, roles and expiry from the claims', () => {
+  const session = sessionFromToken(tokenWith({ username: 'amy', roles: ['responder'], iat: 1700000000, exp: 1700003600 }));
+  assert.deepStrictEqual(session, {
+    username: 'amy',
+    roles: ['responder'],
+    issuedAt: '2023-11-14T22:13:20.000Z',
+    expiresAt: '2023-11-14T23:13:20.000Z',
+  });
+  assert.deepStrictEqual(sessionFromToken(tokenWith({ sub: 'bob', role: 'admin' })).roles, ['admin']);
+});
+
+test('unreadable tokens yield no session', () => {
+  assert.strictEqual(sessionFromToken('not-a-jwt'), null);
+  assert.strictEqual(sessionFromToken('a.!!!.c'), null);
+  assert.strictEqual(actorFromToken(undefined), 'unknown');
+});
+
+test('isExpired compares the exp claim with the clock', () => {
+  const token = tokenWith({ exp: 1000 });
+  assert.strictEqual(isExpired(token, 999 * 1000), false);
+  assert.strictEqual(isExpired(token, 1000 * 1000), true);
+  assert.strictEqual(isExpired(tokenWith({ username: 'amy' })), false);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRegistry, backendMetrics } = require('../lib/metrics');
+
+test('counters and gauges render in the Prometheus text format', () => {
+  const registry = createRegistry();
+  const requests = registry.counter('http_requests_total', 'Requests.', ['method', 'route']);
+  requests.inc({ method: 'GET', route: '/a' });
+  requests.inc({ method: 'GET', route: '/a' });
+  requests.inc({ method: 'POST', route: 'say "hi"\n' });
+  registry.gauge('active_sessions', 'Sessions.', () => 3);
+
+  assert.strictEqual(registry.render(), [
+    '# HELP http_requests_total Requests.',
+    '# TYPE http_requests_total counter',
+    'http_requests_total{method="GET",route="/a"} 2',
+    'http_requests_total{method="POST",route="say \\"hi\\"\\n"} 1',
+    '# HELP active_sessions Sessions.',
+    '# TYPE active_sessions gauge',
+    'active_sessions 3',
+    '',
+  ].join('\n'));
+});
+
+test('histograms count cumulative buckets, sum and count', () => {
+  const registry = createRegistry();
+  const latency = registry.histogram('latency_seconds', 'Latency.', ['route'], [0.1, 1]);
+  latency.observe({ route: '/a' }, 0.05);
+  latency.observe({ route: '/a' }, 0.5);
+  latency.observe({ route: '/a' }, 2);
+
+  const lines = registry.render().split('\n');
+  assert.deepStrictEqual(lines.slice(2, 7), [
+    'latency_seconds_bucket{route="/a",le="0.1"} 1',
+    'latency_seconds_bucket{route="/a",le="1"} 2',
+    'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+    'latency_seconds_sum{route="/a"} 2.55',
+    'latency_seconds_count{route="/a"} 3',
+  ]);
+});
+
+test('a metric name can only be registered once', () => {
+  const registry = createRegistry();
+  registry.counter('x_total', 'X.');
+  assert.throws(() => registry.counter('x_total', 'X.'), /already registered/);
+});
+
+test('backend attempts are counted by outcome', () => {
+  const registry = createRegistry();
+  const observe = backendMetrics(registry);
+  observe({ method: 'GET', status: 200, error: null, durationMs: 5 });
+  observe({ method: 'GET', status: 404, error: null, durationMs: 5 });
+  observe({ method: 'GET', status: 503, error: null, durationMs: 5 });
+  observe({ method: 'PUT', status: null, error: { code: 'BACKEND_TIMEOUT' }, durationMs: 10000 });
+  observe({ method: 'PUT', status: null, error: { code: 'BACKEND_UNAVAILABLE' }, durationMs: 1 });
+
+  const counts = registry.render().split('\n').filter((line) => line.startsWith('backend_requests_total{'));
+  assert.deepStrictEqual(counts, [
+    'backend_requests_total{method="GET",outcome="ok"} 1',
+    'backend_requests_total{method="GET",outcome="client_error"} 1',
+    'backend_requests_total{method="GET",outcome="server_error"} 1',
+    'backend_requests_total{method="PUT",outcome="timeout"} 1',
+    'backend_requests_total{method="PUT",outcome="unreachable"} 1',
+  ]);
+});
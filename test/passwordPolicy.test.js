@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkPassword } = require('../lib/passwordPolicy');
+
+test('accepts long passwords mixing character classes', () => {
+  assert.deepStrictEqual(checkPassword('Correct-Horse-42', { username: 'amy' }), []);
+});
+
+test('rejects short, uniform, personal and common passwords', () => {
+  assert.ok(checkPassword('Ab1!').some((problem) => problem.includes('at least 10')));
+  assert.ok(checkPassword('alllowercaseletters').some((problem) => problem.includes('at least 3 of')));
+  assert.ok(checkPassword('Amy-Rocks-2024', { username: 'amy' }).includes('password must not contain the username'));
+  assert.ok(checkPassword('Password123!').includes('password is too common'));
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRoles, can, permissionsFor, requirePermission, requireConfirmedSession } = require('../lib/permissions');
+const { createSessionCheck } = require('../lib/sessionCheck');
+
+test('only admins delete, responders and admins escalate, viewers only read', () => {
+  assert.deepStrictEqual(permissionsFor(['viewer']), []);
+  assert.deepStrictEqual(permissionsFor(['responder']), ['incident:create', 'incident:update', 'incident:escalate', 'incident:comment']);
+  assert.ok(can(['admin'], 'incident:delete'));
+  assert.ok(can(['admin'], 'comment:moderate'));
+  assert.ok(!can(['responder'], 'comment:moderate'));
+  assert.ok(!can(['responder'], 'incident:delete'));
+  assert.ok(can(['viewer', 'responder'], 'incident:escalate'));
+});
+
+test('unknown roles are dropped and tokens without roles get the default', () => {
+  assert.deepStrictEqual(normalizeRoles(['Admin', 'superuser'], 'viewer'), ['admin']);
+  assert.deepStrictEqual(normalizeRoles([], 'responder'), ['responder']);
+  assert.deepStrictEqual(normalizeRoles([], 'nonsense'), []);
+});
+
+test('requirePermission answers 403 with the error envelope', () => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  requirePermission('incident:delete')({ roles: ['responder'], id: 'req-1' }, res, () => { passed = true; });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'FORBIDDEN');
+  assert.strictEqual(res.body.requestId, 'req-1');
+});
+
+test('a forged admin token does not get past requireConfirmedSession to a proxy-only resource', async () => {
+  // The backend rejects the token the claims came from
+  const backend = { request: async () => ({ status: 401, ok: false, data: { error: 'Invalid token' }, isJson: true }) };
+  const sessionCheck = createSessionCheck({ backend });
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    clearCookie() { this.cleared = true; },
+  };
+  const req = { backendToken: 'x.forged.x', roles: ['admin'], id: 'req-2' };
+  let reached = false;
+  await requireConfirmedSession(sessionCheck)(req, res, () => {
+    requirePermission('webhook:read')(req, res, () => { reached = true; });
+  });
+
+  assert.strictEqual(reached, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.code, 'SESSION_EXPIRED');
+  assert.ok(res.cleared);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createBackendProxy, BackendError, relay, relayError } = require('../lib/proxy');
+
+// Local backend answering each request with the next of `answers`
+// ({ status, body, delayMs }; an undefined body sends none)
+let server;
+let baseUrl;
+let answers = [];
+const received = [];
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, at: Date.now() });
+    const { status = 200, body, delayMs = 0 } = answers.shift() || {};
+    setTimeout(() => {
+      if (body === undefined) {
+        res.writeHead(status);
+        return res.end();
+      }
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/html' : 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    }, delayMs);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+test.beforeEach(() => {
+  answers = [];
+  received.length = 0;
+});
+
+test('requests carry the token, request id, query and JSON body', async () => {
+  answers = [{ status: 201, body: { id: '7' } }];
+  const backend = createBackendProxy({ baseUrl });
+  const result = await backend.request('post', '/api/incidents', {
+    token: 'jwt', requestId: 'req-1', query: { q: 'disk', empty: '' }, body: { title: 'Disk full' },
+  });
+  assert.deepStrictEqual([result.status, result.ok, result.isJson, result.data], [201, true, true, { id: '7' }]);
+  const [request] = received;
+  assert.deepStrictEqual([request.method, request.url], ['POST', '/api/incidents?q=disk']);
+  assert.strictEqual(request.headers.authorization, 'Bearer jwt');
+  assert.strictEqual(request.headers['x-request-id'], 'req-1');
+});
+
+test('idempotent methods are retried on 502/503/504 with exponential backoff', async () => {
+  answers = [{ status: 503 }, { status: 502 }, { status: 200, body: [] }];
+  const backend = createBackendProxy({ baseUrl, retries: 2, retryDelayMs: 30 });
+  const result = await backend.request('GET', '/api/incidents');
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(received.length, 3);
+  assert.ok(received[1].at - received[0].at >= 25, 'first retry waits retryDelayMs');
+  assert.ok(received[2].at - received[1].at >= 55, 'second retry waits twice as long');
+
+  // Retries used up: the last answer is returned as it is
+  answers = [{ status: 504 }, { status: 504 }];
+  assert.strictEqual((await backend.request('DELETE', '/api/incidents/1', { retries: 1 })).status, 504);
+  // Other failures are not worth another attempt
+  answers = [{ status: 500, body: { error: 'boom' } }];
+  assert.strictEqual((await backend.request('PUT', '/api/incidents/1')).status, 500);
+  assert.strictEqual(received.length, 6);
+});
+
+test('POST is never retried', async () => {
+  answers = [{ status: 503 }, { status: 200, body: {} }];
+  const backend = createBackendProxy({ baseUrl, retries: 2, retryDelayMs: 1 });
+  assert.strictEqual((await backend.request('POST', '/api/escalate/1')).status, 503);
+  assert.strictEqual(received.length, 1);
+});
+
+test('a slow backend becomes BACKEND_TIMEOUT, an unreachable one BACKEND_UNAVAILABLE', async () => {
+  answers = [{ status: 200, body: {}, delayMs: 200 }];
+  const backend = createBackendProxy({ baseUrl, timeoutMs: 50, retries: 0 });
+  const timeout = await backend.request('GET', '/api/incidents').catch((error) => error);
+  assert.ok(timeout instanceof BackendError);
+  assert.strictEqual(timeout.code, 'BACKEND_TIMEOUT');
+
+  // Connection failures are retried like 5xx answers, with the same backoff
+  const closed = createBackendProxy({ baseUrl: 'http://127.0.0.1:1', retries: 2, retryDelayMs: 40 });
+  const startedAt = Date.now();
+  const unreachable = await closed.request('GET', '/api/incidents').catch((error) => error);
+  assert.strictEqual(unreachable.code, 'BACKEND_UNAVAILABLE');
+  assert.ok(Date.now() - startedAt >= 110, 'waited 40ms and 80ms between the attempts');
+});
+
+// Express response stand-in recording what relay/relayError send
+function fakeResponse() {
+  return {
+    cleared: [],
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    clearCookie(name) { this.cleared.push(name); },
+  };
+}
+const req = { id: 'req-1', method: 'GET', path: '/api/incidents', log: { error: () => {} } };
+
+test('relay maps empty, JSON and non-JSON answers', () => {
+  const empty = fakeResponse();
+  relay(req, empty, { status: 204, ok: true, isEmpty: true });
+  assert.deepStrictEqual([empty.statusCode, empty.body], [200, {}]);
+
+  const json = fakeResponse();
+  relay(req, json, { status: 201, ok: true, isJson: true, data: { id: '7' } });
+  assert.deepStrictEqual([json.statusCode, json.body], [201, { id: '7' }]);
+
+  const html = fakeResponse();
+  relay(req, html, { status: 200, ok: true, isJson: false, text: '<html>' });
+  assert.deepStrictEqual([html.statusCode, html.body.code, html.body.backendStatus], [502, 'BACKEND_INVALID_RESPONSE', 200]);
+});
+
+test('relay turns 401/403 into SESSION_EXPIRED and 5xx into 502', () => {
+  const rejected = fakeResponse();
+  relay(req, rejected, { status: 403, ok: false, isJson: true, data: { error: 'Forbidden' } });
+  assert.deepStrictEqual([rejected.statusCode, rejected.body.code], [403, 'SESSION_EXPIRED']);
+  assert.deepStrictEqual(rejected.cleared, ['jwtToken']);
+
+  const failed = fakeResponse();
+  relay(req, failed, { status: 500, ok: false, isJson: true, data: { error: 'boom' } }, 'Fallback');
+  assert.deepStrictEqual(failed.body, { error: 'boom', code: 'BACKEND_ERROR', backendStatus: 500, requestId: 'req-1' });
+  assert.strictEqual(failed.statusCode, 502);
+
+  const missing = fakeResponse();
+  relay(req, missing, { status: 404, ok: false, isJson: false }, 'Fallback');
+  assert.deepStrictEqual([missing.statusCode, missing.body.error], [404, 'Fallback']);
+});
+
+test('relayError maps backend errors to 504/502 and anything else to 500', () => {
+  const timeout = fakeResponse();
+  relayError(req, timeout, new BackendError('slow', 'BACKEND_TIMEOUT'));
+  assert.deepStrictEqual([timeout.statusCode, timeout.body.code], [504, 'BACKEND_TIMEOUT']);
+
+  const unavailable = fakeResponse();
+  relayError(req, unavailable, new BackendError('down', 'BACKEND_UNAVAILABLE'));
+  assert.deepStrictEqual([unavailable.statusCode, unavailable.body.code], [502, 'BACKEND_UNAVAILABLE']);
+
+  const bug = fakeResponse();
+  relayError(req, bug, new TypeError('oops'), 'Something failed.');
+  assert.deepStrictEqual([bug.statusCode, bug.body.code, bug.body.error], [500, 'INTERNAL_ERROR', 'Something failed.']);
+});
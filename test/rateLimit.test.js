@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createRateLimiter } = require('../lib/rateLimit');
+
+// A clock the tests can move forward
+function fakeClock(start = 1000000) {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+function limiterWith(clock, options = {}) {
+  return createRateLimiter({
+    name: 'login',
+    store: createMemoryStore({ now: clock.now }),
+    now: clock.now,
+    limits: { ip: { max: 3, windowMs: 60000 }, username: { max: 2, windowMs: 60000 } },
+    ...options,
+  });
+}
+
+test('blocks once a sliding window is full and frees it as attempts age out', async () => {
+  const clock = fakeClock();
+  const limiter = limiterWith(clock);
+  const identity = { ip: '10.0.0.1', username: 'amy' };
+
+  await limiter.recordAttempt(identity);
+  clock.advance(10000);
+  await limiter.recordAttempt(identity);
+
+  const blocked = await limiter.check(identity);
+  assert.strictEqual(blocked.allowed, false);
+  assert.strictEqual(blocked.reason, 'RATE_LIMITED');
+  assert.strictEqual(blocked.retryAfterMs, 50000);
+
+  // Other users from another address are unaffected
+  assert.ok((await limiter.check({ ip: '10.0.0.2', username: 'bob' })).allowed);
+
+  clock.advance(50000);
+  assert.ok((await limiter.check(identity)).allowed);
+});
+
+test('per-IP limit applies across usernames', async () => {
+  const clock = fakeClock();
+  const limiter = limiterWith(clock);
+  for (const username of ['amy', 'bob', 'cid']) {
+    await limiter.recordAttempt({ ip: '10.0.0.1', username });
+  }
+  assert.strictEqual((await limiter.check({ ip: '10.0.0.1', username: 'dan' })).allowed, false);
+});
+
+test('repeated failures lock the account for progressively longer', async () => {
+  const clock = fakeClock();
+  const limiter = limiterWith(clock, {
+    limits: { ip: { max: 100, windowMs: 60000 } },
+    lockout: { threshold: 3, baseMs: 1000, maxMs: 5000 },
+  });
+  const identity = { ip: '10.0.0.1', username: 'Amy' };
+
+  await limiter.recordFailure(identity);
+  await limiter.recordFailure(identity);
+  assert.ok((await limiter.check(identity)).allowed);
+
+  await limiter.recordFailure(identity);
+  assert.deepStrictEqual(await limiter.check({ username: 'amy' }), { allowed: false, retryAfterMs: 1000, reason: 'LOCKED_OUT' });
+
+  await limiter.recordFailure(identity);
+  assert.strictEqual((await limiter.check(identity)).retryAfterMs, 2000);
+  await limiter.recordFailure(identity);
+  await limiter.recordFailure(identity);
+  assert.strictEqual((await limiter.check(identity)).retryAfterMs, 5000);
+
+  await limiter.recordSuccess(identity);
+  assert.ok((await limiter.check(identity)).allowed);
+});
+
+test('middleware answers 429 with Retry-After once blocked', async () => {
+  const clock = fakeClock();
+  const limiter = limiterWith(clock);
+  const middleware = limiter.middleware((req) => ({ ip: req.ip, username: req.body.username }));
+  const call = () => new Promise((resolve) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve({ res: this, passed: false }); return this; },
+    };
+    middleware({ ip: '10.0.0.1', body: { username: 'amy' } }, res, () => resolve({ res, passed: true }));
+  });
+
+  assert.ok((await call()).passed);
+  assert.ok((await call()).passed);
+  const { res, passed } = await call();
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['Retry-After'], '60');
+  assert.strictEqual(res.body.retryAfter, 60);
+});
+
+test('the memory store sweeps expired entries on write and stays under its size cap', () => {
+  const clock = fakeClock();
+  const store = createMemoryStore({ maxEntries: 3, now: clock.now });
+  store.set('a', 1, 1000);
+  store.set('b', 2, 120000);
+  clock.advance(60000);
+  // 'a' expired unread and goes with the next sweep
+  store.set('c', 3, 120000);
+  assert.strictEqual(store.size, 2);
+
+  store.set('b', 4, 120000);
+  store.set('d', 5, 120000);
+  store.set('e', 6, 120000);
+  assert.strictEqual(store.size, 3);
+  // 'c' was the least recently written
+  assert.deepStrictEqual(['b', 'c', 'd', 'e'].map((key) => store.get(key)), [4, undefined, 5, 6]);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { securityHeaders, CONTENT_SECURITY_POLICY } = require('../lib/securityHeaders');
+
+test('sends a Content-Security-Policy without unsafe-inline or external sources', () => {
+  const headers = {};
+  let calledNext = false;
+  securityHeaders({}, { setHeader: (name, value) => { headers[name] = value; } }, () => { calledNext = true; });
+
+  assert.ok(calledNext);
+  assert.strictEqual(headers['Content-Security-Policy'], CONTENT_SECURITY_POLICY);
+  assert.ok(!CONTENT_SECURITY_POLICY.includes('unsafe-inline'));
+  assert.ok(!CONTENT_SECURITY_POLICY.includes('unsafe-eval'));
+  assert.ok(!/https?:/.test(CONTENT_SECURITY_POLICY));
+  assert.match(CONTENT_SECURITY_POLICY, /script-src 'self'/);
+  assert.strictEqual(headers['X-Content-Type-Options'], 'nosniff');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSessionCheck } = require('../lib/sessionCheck');
+
+// Backend stand-in answering the session check with `status`
+function fakeBackend(status = 200) {
+  const calls = [];
+  return {
+    calls,
+    status,
+    async request(method, path, options) {
+      calls.push({ method, path, token: options.token });
+      return { status: this.status, ok: this.status < 300, data: {}, isJson: true };
+    },
+  };
+}
+
+test('accepted tokens are remembered for cacheMs, rejected ones never', async () => {
+  let time = 0;
+  const backend = fakeBackend();
+  const sessionCheck = createSessionCheck({ backend, path: '/api/me', cacheMs: 1000, now: () => time });
+
+  assert.strictEqual(await sessionCheck.check('good'), null);
+  assert.strictEqual(await sessionCheck.check('good'), null);
+  assert.deepStrictEqual(backend.calls, [{ method: 'GET', path: '/api/me', token: 'good' }]);
+  time = 1000;
+  await sessionCheck.check('good');
+  assert.strictEqual(backend.calls.length, 2);
+  sessionCheck.forget('good');
+  await sessionCheck.check('good');
+  assert.strictEqual(backend.calls.length, 3);
+
+  backend.status = 401;
+  assert.strictEqual((await sessionCheck.check('forged')).status, 401);
+  assert.strictEqual((await sessionCheck.check('forged')).status, 401);
+  assert.strictEqual(backend.calls.length, 5);
+});
+
+test('a token another backend call accepted needs no check of its own', async () => {
+  const backend = fakeBackend();
+  const sessionCheck = createSessionCheck({ backend });
+  sessionCheck.confirm('good');
+  assert.strictEqual(await sessionCheck.check('good'), null);
+  assert.strictEqual(backend.calls.length, 0);
+
+  const uncached = createSessionCheck({ backend, cacheMs: 0 });
+  uncached.confirm('good');
+  await uncached.check('good');
+  await uncached.check('good');
+  assert.strictEqual(backend.calls.length, 2);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createShutdown } = require('../lib/shutdown');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+test('shutdown waits for requests in flight, runs its hooks and then exits', async (t) => {
+  const events = [];
+  let exited;
+  const exitCode = new Promise((resolve) => { exited = resolve; });
+  const shutdown = createShutdown({
+    timeoutMs: 5000,
+    logger: silentLogger,
+    hooks: [() => events.push('hook')],
+    exit: (code) => {
+      events.push('exit');
+      exited(code);
+    },
+  });
+  const server = http.createServer((req, res) => shutdown.track(req, res, () => {
+    setTimeout(() => {
+      events.push('response');
+      res.end('done');
+    }, 100);
+  }));
+  t.after(() => server.close());
+  await new Promise((resolve) => server.listen(0, resolve));
+  shutdown.listen(server, []);
+
+  const body = new Promise((resolve, reject) => {
+    http.get(`http://localhost:${server.address().port}/`, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve(text));
+    }).on('error', reject);
+  });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  shutdown.shutdown('SIGTERM');
+  assert.ok(shutdown.isDraining());
+
+  assert.strictEqual(await body, 'done');
+  assert.strictEqual(await exitCode, 0);
+  assert.deepStrictEqual(events, ['hook', 'response', 'exit']);
+});
@@ -0,0 +1,56 @@
+// Loads public/index.html and public/script.js into jsdom with a stubbed
+// fetch, so dashboard code can be tested without a browser or backend.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+const SCRIPTS = ['i18n.js', 'script.js'];
+const html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8')
+  // Scripts are evaluated by hand below
+  .replace(/<script[^>]*src="[^"]+"[^>]*><\/script>/g, '');
+// One evaluation, so the files share top-level declarations as classic scripts do in a browser
+const script = SCRIPTS.map((file) => fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8')).join('\n');
+
+// `routes` maps "METHOD /path" (query string ignored) to { status, body, headers }, or to
+// { networkError: true } for a request that never gets an answer. Pass an
+// IndexedDB factory (e.g. from fake-indexeddb) to enable the offline outbox.
+// `storage` seeds localStorage (e.g. a saved language).
+function loadDashboard({ routes = {}, indexedDB, storage = {} } = {}) {
+  const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only' });
+  const { window } = dom;
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  const requests = [];
+
+  window.fetch = async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const pathname = new URL(url, window.location.href).pathname;
+    requests.push({ method, url, init });
+    const route = routes[`${method} ${pathname}`] || { status: 404, body: { error: 'Not found' } };
+    if (route.networkError) {
+      throw new window.TypeError('Failed to fetch');
+    }
+    const headers = new Map(Object.entries(route.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+      ok: route.status >= 200 && route.status < 300,
+      status: route.status,
+      headers: { get: (name) => (headers.has(name.toLowerCase()) ? headers.get(name.toLowerCase()) : null) },
+      json: async () => route.body,
+    };
+  };
+  window.EventSource = class {
+    addEventListener() {}
+    close() {}
+  };
+  window.EventSource.CLOSED = 2;
+  if (indexedDB) window.indexedDB = indexedDB;
+
+  window.eval(script);
+  return { window, document: window.document, requests, run: (code) => window.eval(code) };
+}
+
+// Lets pending promise callbacks (stubbed fetches) settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+module.exports = { loadDashboard, flush };
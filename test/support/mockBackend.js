@@ -0,0 +1,218 @@
+// In-process stand-in for the incident backend API, listening on a random
+// loopback port. It keeps users and incidents in memory and can be told to
+// misbehave (5xx, non-JSON, 401/403, slow answers) for the next requests.
+//
+// Routes: POST /api/login, /api/register, /api/refresh; GET/POST /api/incidents;
+// GET/PUT/DELETE /api/incidents/:id; POST /api/escalate/:id; GET / (health).
+// Incident history is not supported, like on the real backend.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const SEEDED_USERS = {
+  admin: { password: 'Admin-password-1', roles: ['admin'] },
+  amy: { password: 'Responder-password-1', roles: ['responder'] },
+  vic: { password: 'Viewer-password-1', roles: ['viewer'] },
+};
+const WRITE_ROLES = ['responder', 'admin'];
+
+// Key the mock signs its tokens with; the proxy never sees it
+const SIGNING_KEY = 'mock-backend-signing-key';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', SIGNING_KEY).update(data).digest('base64url');
+
+// HS256 JWT as the backend would issue it
+function tokenFor(username, { roles = ['responder'], expiresInSeconds = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: username, roles, iat: now, exp: now + expiresInSeconds })}`;
+  return `${data}.${sign(data)}`;
+}
+
+// Token with the same claims but no valid signature, as anyone could make one
+function forgedTokenFor(username, { roles = ['admin'], expiresInSeconds = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return `x.${encode({ sub: username, roles, exp: now + expiresInSeconds })}.x`;
+}
+
+// Claims of a token the mock signed itself, otherwise null
+function claimsOf(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const given = Buffer.from(parts[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+const readBody = (req) => new Promise((resolve) => {
+  let text = '';
+  req.on('data', (chunk) => { text += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(text ? JSON.parse(text) : undefined);
+    } catch (error) {
+      resolve(undefined);
+    }
+  });
+});
+
+function createMockBackend() {
+  let server = null;
+  let users = {};
+  let incidents = new Map();
+  let nextId = 1;
+  // 'METHOD /path' -> [{ status, body, text, contentType, headers, delayMs }]
+  const overrides = new Map();
+  const requests = [];
+
+  function reset() {
+    users = JSON.parse(JSON.stringify(SEEDED_USERS));
+    incidents = new Map();
+    // Ids are not reused, so incident history kept by the proxy never mixes tests
+    overrides.clear();
+    requests.length = 0;
+  }
+
+  // Stores an incident as if it had been created on the backend
+  function addIncident(fields = {}) {
+    const incident = { title: 'Incident', type: 'outage', severity: 'SEV3', status: 'open', reporter: 'amy', ...fields, id: String(fields.id || nextId) };
+    nextId = Math.max(nextId, Number(incident.id) + 1 || nextId + 1);
+    incidents.set(incident.id, incident);
+    return incident;
+  }
+
+  // The next `times` requests to `route` ('GET /api/incidents') get `response`
+  // instead of the normal answer. `text` sends a non-JSON body.
+  function failNext(route, response, times = 1) {
+    overrides.set(route, Array.from({ length: times }, () => response));
+  }
+
+  const send = (res, status, body, headers = {}) => {
+    if (body === undefined) {
+      res.writeHead(status, headers);
+      return res.end();
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  function authorize(req, res, { write = false } = {}) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const claims = match && claimsOf(match[1]);
+    if (!claims || !claims.sub || (claims.exp && claims.exp * 1000 <= Date.now())) {
+      send(res, 401, { error: 'Invalid or expired token' });
+      return null;
+    }
+    if (write && !(claims.roles || []).some((role) => WRITE_ROLES.includes(role))) {
+      send(res, 403, { error: 'Forbidden' });
+      return null;
+    }
+    return claims;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://backend');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+    const pending = overrides.get(`${req.method} ${url.pathname}`);
+    if (pending && pending.length) {
+      const override = pending.shift();
+      if (override.delayMs) await new Promise((resolve) => setTimeout(resolve, override.delayMs));
+      if (override.text !== undefined) {
+        res.writeHead(override.status, { 'Content-Type': override.contentType || 'text/html', ...override.headers });
+        return res.end(override.text);
+      }
+      return send(res, override.status, override.body, override.headers);
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    const idMatch = /^\/api\/(incidents|escalate)\/([^/]+)$/.exec(url.pathname);
+    const id = idMatch && decodeURIComponent(idMatch[2]);
+
+    if (route === 'GET /') return send(res, 200, { status: 'ok' });
+
+    if (route === 'POST /api/login') {
+      const user = body && users[body.username];
+      if (!user || user.password !== body.password) return send(res, 401, { error: 'Invalid username or password' });
+      return send(res, 200, { token: tokenFor(body.username, { roles: user.roles }) });
+    }
+    if (route === 'POST /api/register') {
+      if (!body || !body.username || !body.password) return send(res, 400, { error: 'Username and password are required' });
+      if (users[body.username]) return send(res, 409, { error: 'Username already exists' });
+      users[body.username] = { password: body.password, roles: ['responder'] };
+      return send(res, 201, { message: 'User registered' });
+    }
+    if (route === 'POST /api/refresh') {
+      const claims = authorize(req, res);
+      if (!claims) return null;
+      return send(res, 200, { token: tokenFor(claims.sub, { roles: claims.roles }) });
+    }
+
+    if (url.pathname === '/api/incidents') {
+      if (!authorize(req, res, { write: req.method !== 'GET' })) return null;
+      if (req.method === 'GET') return send(res, 200, [...incidents.values()]);
+      if (req.method === 'POST') return send(res, 201, addIncident({ ...body, id: undefined }));
+    }
+
+    if (idMatch && idMatch[1] === 'incidents') {
+      if (!authorize(req, res, { write: req.method !== 'GET' })) return null;
+      const incident = incidents.get(id);
+      if (!incident) return send(res, 404, { error: 'Incident not found' });
+      if (req.method === 'GET') return send(res, 200, incident);
+      if (req.method === 'PUT') {
+        // Replaces the whole record, like a strict REST backend
+        const updated = { ...body, id };
+        incidents.set(id, updated);
+        return send(res, 200, updated);
+      }
+      if (req.method === 'DELETE') {
+        incidents.delete(id);
+        return send(res, 204);
+      }
+    }
+
+    if (idMatch && idMatch[1] === 'escalate' && req.method === 'POST') {
+      if (!authorize(req, res, { write: true })) return null;
+      const incident = incidents.get(id);
+      if (!incident) return send(res, 404, { error: 'Incident not found' });
+      const escalated = { ...incident, escalated: true };
+      incidents.set(id, escalated);
+      return send(res, 200, escalated);
+    }
+
+    // Unknown routes (e.g. incident history) answer like a plain web server
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    return res.end('<h1>Not Found</h1>');
+  }
+
+  return {
+    requests,
+    reset,
+    addIncident,
+    failNext,
+    tokenFor,
+    forgedTokenFor,
+    getIncident: (id) => incidents.get(String(id)),
+    async start() {
+      reset();
+      server = http.createServer((req, res) => {
+        handle(req, res).catch((error) => send(res, 500, { error: error.message }));
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    stop() {
+      if (!server) return Promise.resolve();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createMockBackend, tokenFor, forgedTokenFor, SEEDED_USERS };
@@ -0,0 +1,112 @@
+// Runs app.js in-process against the mock backend, for route tests.
+// app.js reads its configuration when it is first required, so every test
+// file gets one proxy (node --test runs each file in its own process).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBackend, tokenFor, forgedTokenFor } = require('./mockBackend');
+
+let started = null;
+
+// A browser stand-in: keeps the cookies the proxy sets and sends them back
+function createClient(baseUrl) {
+  const cookies = new Map();
+  let csrfToken = null;
+
+  async function request(method, urlPath, { body, headers = {}, csrf = method !== 'GET' } = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+    if (cookies.size) {
+      init.headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (csrf && csrfToken) init.headers['X-CSRF-Token'] = csrfToken;
+    if (body !== undefined) {
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      if (!init.headers['Content-Type']) init.headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(`${baseUrl}${urlPath}`, init);
+    const setCookies = response.headers.getSetCookie();
+    setCookies.forEach((line) => {
+      const [pair] = line.split(';');
+      const [name, ...rest] = pair.split('=');
+      const value = rest.join('=');
+      // An expired or emptied cookie is the server clearing it
+      if (!value || /expires=Thu, 01 Jan 1970/i.test(line)) cookies.delete(name.trim());
+      else cookies.set(name.trim(), value);
+    });
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = null;
+    }
+    if (data && data.csrfToken) csrfToken = data.csrfToken;
+    return { status: response.status, headers: response.headers, setCookies, text, data };
+  }
+
+  return {
+    request,
+    cookies,
+    get: (urlPath, options) => request('GET', urlPath, options),
+    post: (urlPath, body, options) => request('POST', urlPath, { ...options, body }),
+    put: (urlPath, body, options) => request('PUT', urlPath, { ...options, body }),
+    delete: (urlPath, options) => request('DELETE', urlPath, options),
+    setCsrfToken: (token) => { csrfToken = token; },
+  };
+}
+
+// `env` adds settings for this test file (e.g. WEBHOOKS)
+async function startProxy({ env = {} } = {}) {
+  if (started) return started;
+  const backend = createMockBackend();
+  const backendUrl = await backend.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+  Object.assign(process.env, {
+    BACKEND_API_URL: backendUrl,
+    BACKEND_RETRIES: '0',
+    BACKEND_TIMEOUT_MS: '1000',
+    HISTORY_STORE_FILE: path.join(dataDir, 'incident-history.json'),
+    COMMENT_STORE_FILE: path.join(dataDir, 'incident-comments.json'),
+    WEBHOOK_STORE_FILE: path.join(dataDir, 'webhook-deliveries.json'),
+    READINESS_CACHE_MS: '0',
+    LOG_LEVEL: 'silent',
+    ...env,
+  });
+  delete process.env.CONFIG_FILE;
+
+  const app = require('../../app');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  started = {
+    backend,
+    baseUrl,
+    client: () => createClient(baseUrl),
+    // A client with a session for `username` (no login round trip) and its CSRF token
+    async session(username = 'amy', roles = ['responder'], options = {}) {
+      const client = createClient(baseUrl);
+      client.cookies.set('jwtToken', tokenFor(username, { roles, ...options }));
+      if (!options.expiresInSeconds || options.expiresInSeconds > 0) await client.get('/api/csrf');
+      return client;
+    },
+    // Like session(), but the cookie is a hand-made token the backend never signed
+    async forgedSession(username = 'mallory', roles = ['admin']) {
+      const client = createClient(baseUrl);
+      client.cookies.set('jwtToken', forgedTokenFor(username, { roles }));
+      await client.get('/api/csrf');
+      return client;
+    },
+    async stop() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await backend.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+  return started;
+}
+
+module.exports = { startProxy, createClient };
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate, validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+const messages = (result) => result.errors.map((error) => [error.field, error.message]);
+
+test('strings are trimmed and stripped of control characters; passwords keep their spaces', () => {
+  const { value, errors } = validate(schemas.login, { username: ' amy\u0000 ', password: ' secret\u0007 ' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value, { username: 'amy', password: ' secret ' });
+});
+
+test('unknown fields, wrong types and missing required fields are all reported', () => {
+  const result = validate(schemas.createIncident, { title: 42, status: 'closed', severity: 'SEV9', description: undefined });
+  assert.deepStrictEqual(messages(result), [
+    ['title', 'title must be of type string'],
+    ['status', "Unknown field 'status'"],
+    ['severity', 'severity must be one of: SEV1, SEV2, SEV3, SEV4'],
+  ]);
+  assert.deepStrictEqual(messages(validate(schemas.createIncident, {})), [['title', 'title is required']]);
+  assert.deepStrictEqual(messages(validate(schemas.createIncident, { title: '   ' })), [['title', 'title is required']]);
+  assert.deepStrictEqual(messages(validate(schemas.login, [])), [[null, 'Request body must be a JSON object']]);
+});
+
+test('length, pattern and item bounds are enforced', () => {
+  assert.deepStrictEqual(messages(validate(schemas.createIncident, { title: 'x'.repeat(201) })), [['title', 'title must be at most 200 characters']]);
+  assert.deepStrictEqual(messages(validate(schemas.createIncident, { title: 'x'.repeat(200) })), []);
+  assert.deepStrictEqual(messages(validate(schemas.register, { username: 'al', password: 'p' })), [['username', 'username must be at least 3 characters']]);
+  assert.deepStrictEqual(messages(validate(schemas.register, { username: 'amy smith', password: 'p' })),
+    [['username', 'username may only contain letters, digits, dots, dashes and underscores']]);
+  assert.deepStrictEqual(messages(validate(schemas.bulkIncidents, { action: 'escalate', ids: [] })), [['ids', 'ids must contain at least 1 item']]);
+  assert.deepStrictEqual(messages(validate(schemas.bulkIncidents, { action: 'escalate', ids: Array.from({ length: 101 }, (_, i) => i) })),
+    [['ids', 'ids must contain at most 100 items']]);
+  assert.deepStrictEqual(messages(validate(schemas.updateIncident, { type: '', status: 'investigating' })), []);
+});
+
+test('validateBody answers 400 with the error envelope or passes the clean body on', () => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  const rejected = { id: 'req-1', body: { title: '' } };
+  validateBody(schemas.createIncident)(rejected, res, () => assert.fail('must not pass'));
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(res.body, {
+    errors: [{ field: 'title', message: 'title is required' }],
+    error: 'Request validation failed.',
+    code: 'VALIDATION_FAILED',
+    backendStatus: null,
+    requestId: 'req-1',
+  });
+
+  const accepted = { body: { title: '  Disk full  ', severity: 'SEV1' } };
+  let passed = false;
+  validateBody(schemas.createIncident)(accepted, res, () => { passed = true; });
+  assert.ok(passed);
+  assert.deepStrictEqual(accepted.body, { title: 'Disk full', severity: 'SEV1' });
+});
@@ -0,0 +1,89 @@
+// Route tests for the outbound webhooks, with the local receiver from scripts/
+const test = require('node:test');
+const assert = require('node:assert');
+const { startProxy } = require('./support/proxyApp');
+const { createWebhookReceiver } = require('../scripts/webhook-receiver');
+
+let proxy;
+const receiver = createWebhookReceiver({ secret: 's3cret', failFirst: 1 });
+test.before(async () => {
+  const url = await receiver.listen();
+  proxy = await startProxy({
+    env: {
+      WEBHOOKS: JSON.stringify([
+        { name: 'pager', url: `${url}/pager`, secret: 's3cret', events: ['escalated', 'severity_changed'] },
+        { name: 'chat', url: `${url}/chat`, format: 'slack', events: ['created'] },
+      ]),
+      WEBHOOK_RETRY_DELAY_MS: '20',
+    },
+  });
+});
+test.after(async () => {
+  await proxy.stop();
+  await receiver.close();
+});
+
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(check(), 'condition not reached in time');
+}
+
+test('escalations, severity changes and new incidents are sent to the subscribed endpoints', async () => {
+  const incident = proxy.backend.addIncident({ title: 'Disk full', severity: 'SEV3' });
+  const client = await proxy.session('amy');
+
+  await client.post(`/api/escalate/${incident.id}`);
+  // The first delivery is answered with 503 and retried
+  await waitFor(() => receiver.received.filter((delivery) => delivery.event === 'escalated').length === 2);
+  const escalated = receiver.received.filter((delivery) => delivery.event === 'escalated');
+  assert.deepStrictEqual(escalated.map((delivery) => delivery.failed), [true, false]);
+  assert.strictEqual(escalated[1].deliveryId, escalated[0].deliveryId);
+  assert.strictEqual(escalated[1].signature, 'valid');
+  assert.deepStrictEqual([escalated[1].path, escalated[1].payload.actor, escalated[1].payload.incident.id], ['/pager', 'amy', incident.id]);
+
+  const { headers } = await client.get(`/api/incidents/${incident.id}`);
+  await client.put(`/api/incidents/${incident.id}`, { severity: 'SEV1' }, { headers: { 'If-Match': headers.get('etag') } });
+  await waitFor(() => receiver.received.some((delivery) => delivery.event === 'severity_changed'));
+  const changed = receiver.received.find((delivery) => delivery.event === 'severity_changed');
+  assert.deepStrictEqual(changed.payload.changes, { severity: { from: 'SEV3', to: 'SEV1' } });
+
+  await client.post('/api/incidents', { title: 'CPU spike' });
+  await waitFor(() => receiver.received.some((delivery) => delivery.path === '/chat'));
+  const slack = receiver.received.find((delivery) => delivery.path === '/chat');
+  assert.deepStrictEqual([slack.event, slack.signature], ['created', 'unsigned']);
+  assert.match(slack.payload.text, /^\*Incident created\* by amy: CPU spike \(#\d+, SEV3, open\)$/);
+});
+
+test('only admins see the delivery log', async () => {
+  const responder = await proxy.session('amy');
+  assert.strictEqual((await responder.get('/api/webhooks/deliveries')).status, 403);
+
+  const admin = await proxy.session('admin', ['admin']);
+  const response = await admin.get('/api/webhooks/deliveries');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.data.endpoints.map((endpoint) => endpoint.name), ['pager', 'chat']);
+  // URLs and secrets stay on the server
+  assert.ok(!response.text.includes('s3cret') && !response.text.includes('/pager'));
+  assert.ok(response.data.deliveries.length >= 3);
+  assert.ok(response.data.deliveries.every((delivery) => delivery.status === 'delivered'));
+  const escalation = response.data.deliveries.find((delivery) => delivery.event === 'escalated');
+  assert.deepStrictEqual([escalation.attempts, escalation.endpoint], [2, 'pager']);
+
+  assert.deepStrictEqual((await admin.get('/api/webhooks/deliveries?status=dead')).data.deliveries, []);
+  assert.strictEqual((await admin.get('/api/webhooks/deliveries?status=lost')).status, 400);
+});
+
+test('the delivery log needs a token the backend accepts, not just an admin claim', async () => {
+  const forged = await proxy.forgedSession('mallory', ['admin']);
+  const response = await forged.get('/api/webhooks/deliveries');
+  assert.deepStrictEqual([response.status, response.data.code], [401, 'SESSION_EXPIRED']);
+  assert.ok(!response.text.includes('pager'));
+
+  // Without the backend nothing can be confirmed, so nothing is served
+  const admin = await proxy.session('ada', ['admin']);
+  proxy.backend.failNext('GET /api/incidents', { status: 503, body: { error: 'down' } });
+  const unconfirmed = await admin.get('/api/webhooks/deliveries');
+  assert.strictEqual(unconfirmed.status, 502);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebhooks, sign, verifySignature, slackMessage } = require('../lib/webhooks');
+const { createJsonStore } = require('../lib/jsonStore');
+const { createLogger } = require('../lib/logger');
+
+const quiet = createLogger({ level: 'silent' });
+const incident = { id: '7', title: 'Disk <full>', severity: 'SEV1', status: 'open' };
+
+// fetch stand-in answering with the given statuses in turn (null: network error)
+function stubFetch(statuses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    if (status === null) throw new Error('connect ECONNREFUSED');
+    return { status, ok: status >= 200 && status < 300, text: async () => '' };
+  };
+  return { fetch, calls };
+}
+
+// Resolves once `check` holds, polling the delivery log
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.ok(check(), 'condition not reached in time');
+}
+
+test('signatures cover the timestamp and body and expire', () => {
+  const now = Date.now();
+  const timestamp = String(Math.floor(now / 1000));
+  const signature = sign('s3cret', timestamp, '{"a":1}');
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.ok(verifySignature('s3cret', { timestamp, signature, body: '{"a":1}', now }));
+  assert.ok(!verifySignature('s3cret', { timestamp, signature, body: '{"a":2}', now }));
+  assert.ok(!verifySignature('other', { timestamp, signature, body: '{"a":1}', now }));
+  assert.ok(!verifySignature('s3cret', { timestamp, signature, body: '{"a":1}', now: now + 10 * 60 * 1000 }));
+});
+
+test('Slack messages escape incident text', () => {
+  const { text } = slackMessage({ event: 'severity_changed', incident, actor: 'amy', changes: { severity: { from: 'SEV3', to: 'SEV1' } } });
+  assert.strictEqual(text, '*Incident severity changed* from SEV3 to SEV1 by amy: Disk &lt;full&gt; (#7, SEV1, open)');
+});
+
+test('generic deliveries are signed JSON sent only to subscribed endpoints', async () => {
+  const { fetch, calls } = stubFetch([200]);
+  const webhooks = createWebhooks({
+    endpoints: [
+      { name: 'ops', url: 'https://ops.example.com/hook', format: 'json', secret: 's3cret', events: ['escalated'] },
+      { name: 'chat', url: 'https://hooks.slack.example/x', format: 'slack', secret: null, events: ['created'] },
+    ],
+    store: createJsonStore(null),
+    fetch,
+    logger: quiet,
+  });
+
+  const [delivery] = webhooks.notify('escalated', incident, { actor: 'amy' });
+  await waitFor(() => webhooks.list({ status: 'delivered' }).length === 1);
+
+  assert.strictEqual(calls.length, 1);
+  const { headers, body } = calls[0];
+  assert.strictEqual(calls[0].url, 'https://ops.example.com/hook');
+  assert.strictEqual(headers['X-Webhook-Event'], 'escalated');
+  assert.strictEqual(headers['X-Webhook-Delivery'], delivery.id);
+  assert.ok(verifySignature('s3cret', { timestamp: headers['X-Webhook-Timestamp'], signature: headers['X-Webhook-Signature'], body }));
+  assert.deepStrictEqual(JSON.parse(body), { id: delivery.id, event: 'escalated', at: delivery.createdAt, actor: 'amy', changes: null, incident });
+  await webhooks.close();
+});
+
+test('failed deliveries are retried with backoff and end up as dead letters', async () => {
+  const { fetch, calls } = stubFetch([503, null, 500]);
+  const outcomes = [];
+  const webhooks = createWebhooks({
+    endpoints: [{ name: 'ops', url: 'https://ops.example.com/hook', format: 'json', secret: null, events: ['created'] }],
+    store: createJsonStore(null),
+    fetch,
+    maxAttempts: 3,
+    retryDelayMs: 5,
+    logger: quiet,
+    onDelivery: ({ outcome }) => outcomes.push(outcome),
+  });
+
+  webhooks.notify('created', incident);
+  await waitFor(() => webhooks.list({ status: 'dead' }).length === 1);
+
+  assert.strictEqual(calls.length, 3);
+  assert.deepStrictEqual(outcomes, ['retry', 'retry', 'dead']);
+  const [dead] = webhooks.list({ status: 'dead' });
+  assert.deepStrictEqual([dead.attempts, dead.responseStatus, dead.lastError], [3, 500, 'Receiver answered 500']);
+  assert.strictEqual(dead.incidentId, '7');
+  await webhooks.close();
+});
+
+test('client errors are not retried and pending deliveries survive a restart', async () => {
+  const store = createJsonStore(null);
+  const endpoint = { name: 'ops', url: 'https://ops.example.com/hook', format: 'json', secret: null, events: ['created'] };
+
+  const rejected = stubFetch([400]);
+  const first = createWebhooks({ endpoints: [endpoint], store, fetch: rejected.fetch, logger: quiet });
+  first.notify('created', incident);
+  await waitFor(() => first.list({ status: 'dead' }).length === 1);
+  assert.strictEqual(rejected.calls.length, 1);
+
+  // Stopped with a delivery still queued, then started again
+  const down = stubFetch([503]);
+  const second = createWebhooks({ endpoints: [endpoint], store, fetch: down.fetch, retryDelayMs: 60000, logger: quiet });
+  second.notify('created', { ...incident, id: '8' });
+  await waitFor(() => down.calls.length === 1);
+  await second.close();
+  assert.strictEqual(second.list({ status: 'pending' }).length, 1);
+
+  const up = stubFetch([200]);
+  const third = createWebhooks({ endpoints: [endpoint], store, fetch: up.fetch, retryDelayMs: 1, logger: quiet, now: () => Date.now() + 120000 });
+  await waitFor(() => third.list({ status: 'delivered' }).length === 1);
+  assert.strictEqual(third.list().length, 2);
+  await third.close();
+});